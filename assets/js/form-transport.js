@@ -0,0 +1,316 @@
+/**
+ * 刀友 - AI Coach for Dota2
+ * 表单提交与离线队列
+ *
+ * 不依赖 DOM，页面中的 forms 模块与 Service Worker（Background Sync）共用，
+ * Service Worker 只需加载 utils.js 和本文件，不需要加载整个 main.js。
+ * 页面中在 utils.js 之后、main.js 之前引入。
+ */
+
+/* global utils */
+
+// ============================================
+// 离线提交队列（IndexedDB）
+// ============================================
+const offlineQueue = (function() {
+  'use strict';
+
+  const DB_NAME = 'daoyou-forms';
+  const DB_VERSION = 1;
+  const STORE = 'queue';
+
+  let dbPromise = null;
+
+  /**
+   * 当前环境是否支持 IndexedDB
+   * @returns {boolean}
+   */
+  function isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * 把 IDBRequest 包装为 Promise
+   * @param {IDBRequest} request - 请求
+   * @returns {Promise}
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * 打开数据库（只打开一次）
+   * @returns {Promise<IDBDatabase>}
+   */
+  function open() {
+    if (!dbPromise) {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+      };
+      dbPromise = promisify(request).catch(err => {
+        dbPromise = null;
+        throw err;
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * 在事务中操作队列
+   * @param {string} mode - 'readonly' 或 'readwrite'
+   * @param {Function} fn - 接收 object store，返回 IDBRequest
+   * @returns {Promise}
+   */
+  function withStore(mode, fn) {
+    return open().then(db => promisify(fn(db.transaction(STORE, mode).objectStore(STORE))));
+  }
+
+  /**
+   * 加入队列
+   * @param {object} record - 提交记录
+   * @returns {Promise<number>} 记录 id
+   */
+  function add(record) {
+    return withStore('readwrite', store => store.add(Object.assign({ createdAt: Date.now() }, record)));
+  }
+
+  /**
+   * 按加入顺序获取所有记录
+   * @returns {Promise<object[]>}
+   */
+  function getAll() {
+    return withStore('readonly', store => store.getAll());
+  }
+
+  /**
+   * 删除记录
+   * @param {number} id - 记录 id
+   * @returns {Promise}
+   */
+  function remove(id) {
+    return withStore('readwrite', store => store.delete(id));
+  }
+
+  return {
+    isSupported,
+    add,
+    getAll,
+    remove
+  };
+})();
+
+// ============================================
+// 表单提交
+// 按 data-endpoint 的协议选择适配器，处理超时与重试，并按顺序重发离线队列
+// ============================================
+const formTransport = (function() {
+  'use strict';
+
+  // Background Sync 的标签，页面注册同步、Service Worker 响应同步时使用
+  const SYNC_TAG = 'forms-queue';
+
+  // 重试的基础间隔（毫秒），之后每次翻倍
+  const RETRY_DELAY = 500;
+
+  // 重发离线队列时每条提交的超时（毫秒）
+  const QUEUE_TIMEOUT = 10000;
+
+  // 正在进行的重发，避免同时重发两次
+  let flushing = null;
+
+  /**
+   * 提交适配器，按 data-endpoint 的协议选择：
+   * - http / https / 相对路径: fetch
+   * - mock: 本地模拟，开发时使用
+   * 适配器接收 { url, method, body, headers, signal }，返回 Promise<{ ok, status, data }>
+   */
+  const adapters = utils.createAdapters({
+    http: fetchAdapter,
+    mock: mockAdapter
+  });
+
+  /**
+   * 使用 fetch 提交
+   * @param {object} request - 请求
+   * @returns {Promise<{ok: boolean, status: number, data: any}>}
+   */
+  function fetchAdapter(request) {
+    return fetch(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: request.signal
+    }).then(response => {
+      const type = response.headers.get('Content-Type') || '';
+      const parse = type.indexOf('json') !== -1 ? response.json() : response.text();
+      return parse.catch(() => null).then(data => ({
+        ok: response.ok,
+        status: response.status,
+        data
+      }));
+    });
+  }
+
+  /**
+   * 本地模拟提交：延迟后返回成功，可通过地址参数模拟失败
+   * 例如 mock:contact?status=503&delay=2000
+   * @param {object} request - 请求
+   * @returns {Promise<{ok: boolean, status: number, data: any}>}
+   */
+  function mockAdapter(request) {
+    const query = new URLSearchParams(request.url.split('?')[1] || '');
+    const status = parseInt(query.get('status'), 10) || 200;
+    const delay = parseInt(query.get('delay'), 10) || 600;
+
+    // 与真实请求一样，离线时以网络错误失败
+    if (isOffline()) {
+      return Promise.reject(new TypeError('Network request failed (offline)'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        resolve({ ok: status < 400, status, data: { ok: status < 400 } });
+      }, delay);
+
+      if (request.signal) {
+        request.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(request.signal.reason || new Error('Aborted'));
+        });
+      }
+    });
+  }
+
+  /**
+   * 浏览器是否处于离线状态
+   * @returns {boolean}
+   */
+  function isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * 生成请求
+   * @param {object} submission - readSubmission() 的结果或离线队列中的记录
+   * @returns {object}
+   */
+  function buildRequest(submission) {
+    const request = {
+      url: submission.endpoint,
+      method: submission.method,
+      headers: { Accept: 'application/json' },
+      payload: submission.payload
+    };
+
+    if (submission.format === 'json') {
+      request.headers['Content-Type'] = 'application/json';
+      request.body = JSON.stringify(submission.payload);
+    } else {
+      const body = new FormData();
+      Object.keys(submission.payload).forEach(key => body.append(key, submission.payload[key]));
+      request.body = body;
+    }
+    return request;
+  }
+
+  /**
+   * 响应状态是否值得重试：5xx、429（网络错误和超时总是重试）
+   * @param {number} status - HTTP 状态码
+   * @returns {boolean}
+   */
+  function isRetryableStatus(status) {
+    return status >= 500 || status === 429;
+  }
+
+  /**
+   * 按地址选择适配器提交，失败时按指数退避重试
+   * @param {object} request - 请求
+   * @param {object} opts - { timeout, retries }
+   * @returns {Promise<{ok: boolean, status: number, data: any}>}
+   */
+  function send(request, opts) {
+    const adapter = adapters.get(request.url);
+
+    function run(count) {
+      // 每次尝试单独计时，超时后中止
+      const attempt = utils.withTimeout(signal => adapter(Object.assign({}, request, { signal })), opts.timeout);
+      return attempt.then(response => {
+        if (response.ok || count >= opts.retries || !isRetryableStatus(response.status)) return response;
+        return wait(count).then(() => run(count + 1));
+      }, err => {
+        if (count >= opts.retries) throw err;
+        return wait(count).then(() => run(count + 1));
+      });
+    }
+
+    function wait(count) {
+      return new Promise(resolve => setTimeout(resolve, RETRY_DELAY * Math.pow(2, count)));
+    }
+
+    return run(0);
+  }
+
+  /**
+   * 按顺序重发离线队列中的提交
+   * 遇到网络错误或可重试的状态码时停止，留待下次；被服务端拒绝的提交会被丢弃
+   * 页面与 Service Worker（Background Sync）都会调用
+   * @param {Function} onSent - 每条提交发送成功后调用，参数为队列记录
+   * @returns {Promise<{sent: number, dropped: number, remaining: number}>}
+   */
+  function flushQueue(onSent) {
+    if (flushing) return flushing;
+    if (!offlineQueue.isSupported()) return Promise.resolve({ sent: 0, dropped: 0, remaining: 0 });
+
+    flushing = offlineQueue.getAll().then(records => {
+      const result = { sent: 0, dropped: 0, remaining: records.length };
+
+      return records.reduce((chain, record) => chain.then(stopped => {
+        if (stopped) return true;
+
+        const request = buildRequest(record);
+        return send(request, { timeout: QUEUE_TIMEOUT, retries: 0 }).then(response => {
+          if (!response.ok && isRetryableStatus(response.status)) return true;
+
+          if (response.ok) {
+            result.sent++;
+            if (onSent) onSent(record);
+          } else {
+            result.dropped++;
+            console.warn(`Dropping queued submission to ${record.endpoint}: status ${response.status}`);
+          }
+          result.remaining--;
+          return offlineQueue.remove(record.id).then(() => false);
+        }, () => true);
+      }), Promise.resolve(false)).then(() => result);
+    }).then(result => {
+      flushing = null;
+      if (typeof window !== 'undefined' && (result.sent || result.dropped)) {
+        window.dispatchEvent(new CustomEvent('formQueueFlushed', { detail: result }));
+      }
+      return result;
+    }, err => {
+      flushing = null;
+      throw err;
+    });
+
+    return flushing;
+  }
+
+  return {
+    SYNC_TAG,
+    registerAdapter: adapters.register,
+    isOffline,
+    buildRequest,
+    send,
+    flushQueue
+  };
+})();
+
+// 导出模块（CommonJS，供 Node 中的脚本使用；ES 模块构建由 scripts/build.js 合并进 main.esm.js）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { offlineQueue, formTransport };
+}
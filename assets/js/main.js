@@ -8,8 +8,20 @@
  * - 滚动动画效果
  * - 导航交互
  * - 移动端菜单
+ *
+ * 各模块通过 modules 注册依赖和 init/destroy 钩子，由 app 按页面的 <body data-modules> 启动
+ *
+ * 不依赖 DOM、Worker 也要用到的部分在单独的文件中，页面需按顺序先于 main.js 引入:
+ * utils.js（工具函数）、particle-engine.js（粒子模拟与绘制）、form-transport.js（表单提交与离线队列）
  */
 
+// 在 Node 中 require 时按依赖顺序读取上述文件
+if (typeof require === 'function' && typeof module !== 'undefined' && module.exports) {
+  ['./utils.js', './particle-engine.js', './form-transport.js'].forEach(file => {
+    Object.assign(globalThis, require(file));
+  });
+}
+
 // ============================================
 // i18n 国际化系统
 // ============================================
@@ -19,46 +31,305 @@ const i18n = (function() {
   // 默认语言
   let currentLang = 'zh'; // 'zh' 中文, 'en' 英文
 
-  // 语言数据缓存
+  // 语言清单：可用语言及其 BCP-47 标签、本地名称、文字方向，以及价格使用的货币
+  // 以 locales/manifest.json 为准，加载失败时使用以下内置清单
+  let manifest = {
+    defaultLanguage: 'zh',
+    fallback: ['zh', 'en'],
+    namespaces: ['common', 'home', 'features', 'aigc', 'community', 'pricing', 'about', 'notfound'],
+    languages: [
+      { code: 'zh', tag: 'zh-CN', name: '中文', label: '中文', dir: 'ltr', loading: '刀友加载中…', currency: 'CNY' },
+      { code: 'en', tag: 'en', name: 'English', label: 'EN', dir: 'ltr', loading: 'Loading Dotamate…', currency: 'USD' }
+    ]
+  };
+
+  let manifestPromise;
+
+  // main.js 所在的站点根目录（绝对地址），用于定位 locales/ 以及识别路径中的语言前缀
+  const scriptRoot = (function() {
+    // ES 模块构建（scripts/build.js）中替换为 import.meta.url
+    const src = typeof document !== 'undefined' && document.currentScript && document.currentScript.src;
+    const match = src && src.match(/^(.*\/)assets\/js\/[^/]+\.js(?:[?#].*)?$/);
+    return match ? match[1] : null;
+  })();
+
+  // 所有可用的语言命名空间（对应 locales/<lang>/<namespace>.json），同样以语言清单为准
+  let namespaces = manifest.namespaces.slice();
+
+  // 回退语言链：当前语言缺失的键依次从这些语言中查找，全部缺失时返回键名
+  let fallbackLanguages = ['zh', 'en'];
+
+  // 语言数据缓存，结构为 translations[lang][namespace]
   const translations = {};
 
+  // 正在进行的请求，避免同一文件重复加载
+  const pending = {};
+
+  // 已按需请求过的回退语言文件，每个文件只尝试一次；fallbackBatch 收集同一轮渲染中的请求
+  const requestedFallbacks = {};
+  let fallbackBatch = null;
+
+  // 开发模式：记录缺失的翻译键并在页面上以浮层显示
+  let debugMode = false;
+  const missingKeys = {};
+
   /**
-   * 加载语言文件
+   * 加载语言清单 locales/manifest.json
+   * @returns {Promise<object>} 语言清单
+   */
+  function loadManifest() {
+    if (!manifestPromise) {
+      manifestPromise = fetch(getRootPath() + 'locales/manifest.json')
+        .then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          return r.json();
+        })
+        .then(data => {
+          setManifest(data);
+          return manifest;
+        })
+        .catch(err => {
+          console.error('Failed to load locale manifest:', err);
+          return manifest;
+        });
+    }
+    return manifestPromise;
+  }
+
+  /**
+   * 校验并应用语言清单
+   * @param {object} data - manifest.json 内容
+   */
+  function setManifest(data) {
+    if (!data || !Array.isArray(data.languages) || !data.languages.length) {
+      throw new Error('Invalid locale manifest');
+    }
+
+    const languages = data.languages
+      .filter(locale => locale && locale.code)
+      .map(locale => ({
+        code: locale.code,
+        tag: locale.tag || locale.code,
+        name: locale.name || locale.code,
+        label: locale.label || locale.name || locale.code,
+        dir: locale.dir === 'rtl' ? 'rtl' : 'ltr',
+        loading: locale.loading || '',
+        currency: locale.currency || ''
+      }));
+
+    manifest = {
+      defaultLanguage: data.defaultLanguage || languages[0].code,
+      fallback: Array.isArray(data.fallback) ? data.fallback : [],
+      namespaces: Array.isArray(data.namespaces) && data.namespaces.length ? data.namespaces : manifest.namespaces,
+      languages
+    };
+    fallbackLanguages = manifest.fallback.slice();
+    namespaces = manifest.namespaces.slice();
+  }
+
+  /**
+   * 直接注册某个命名空间的语言数据（用于离线预渲染，无需 fetch）
    * @param {string} lang - 语言代码
-   * @returns {Promise}
+   * @param {string} namespace - 命名空间
+   * @param {object} data - 语言数据
+   */
+  function addTranslations(lang, namespace, data) {
+    translations[lang] = translations[lang] || {};
+    translations[lang][namespace] = data;
+  }
+
+  /**
+   * 获取命名空间的全部语言数据：当前语言优先，尚未加载时按回退语言链查找
+   * @param {string} namespace - 命名空间
+   * @returns {object|null}
+   */
+  function getTranslations(namespace) {
+    const chain = getLanguageChain(currentLang);
+    for (let i = 0; i < chain.length; i++) {
+      const data = translations[chain[i]];
+      if (data && data[namespace]) return data[namespace];
+    }
+    return null;
+  }
+
+  /**
+   * 获取所有可用语言
+   * @returns {Array<{code: string, tag: string, name: string, label: string, dir: string, loading: string, currency: string}>}
+   */
+  function getLocales() {
+    return manifest.languages.slice();
+  }
+
+  /**
+   * 获取所有命名空间（Service Worker 据此预缓存语言文件）
+   * @returns {string[]}
+   */
+  function getNamespaces() {
+    return namespaces.slice();
+  }
+
+  /**
+   * 根据语言代码查找清单中的语言
+   * @param {string} code - 语言代码
+   * @returns {object|undefined}
+   */
+  function getLocale(code) {
+    return manifest.languages.find(locale => locale.code === code);
+  }
+
+  /**
+   * 根据用户偏好的语言列表协商出最合适的可用语言
+   * 先匹配完整标签（如 pt-BR），再匹配主语言（如 pt）
+   * @param {string[]} preferred - 偏好语言列表，如 navigator.languages
+   * @returns {string|null} 语言代码，无匹配时返回 null
+   */
+  function negotiateLanguage(preferred) {
+    const languages = manifest.languages;
+
+    for (let i = 0; i < preferred.length; i++) {
+      if (!preferred[i]) continue;
+      const wanted = preferred[i].toLowerCase();
+      const primary = wanted.split('-')[0];
+
+      const exact = languages.find(locale =>
+        locale.tag.toLowerCase() === wanted || locale.code.toLowerCase() === wanted);
+      if (exact) return exact.code;
+
+      const partial = languages.find(locale =>
+        locale.code.toLowerCase() === primary || locale.tag.toLowerCase().split('-')[0] === primary);
+      if (partial) return partial.code;
+    }
+
+    return null;
+  }
+
+  /**
+   * 在 window 上派发事件（Node 与 Worker 中没有 window 时忽略）
+   * @param {string} name - 事件名
+   * @param {object} detail - 事件数据
+   */
+  function emit(name, detail) {
+    if (typeof window !== 'undefined' && typeof CustomEvent !== 'undefined') {
+      window.dispatchEvent(new CustomEvent(name, { detail }));
+    }
+  }
+
+  /**
+   * 加载单个命名空间的语言文件，开始和结束时分别派发 localeLoading / localeLoaded 事件
+   * 加载失败只影响该命名空间，不会清空其他已加载的数据
+   * @param {string} lang - 语言代码
+   * @param {string} namespace - 命名空间
+   * @returns {Promise<object|undefined>}
    */
-  function loadLanguage(lang) {
+  function loadNamespace(lang, namespace) {
+    translations[lang] = translations[lang] || {};
+
     // 如果已经加载过，直接返回
-    if (translations[lang]) {
-      return Promise.resolve(translations[lang]);
+    if (translations[lang][namespace]) {
+      return Promise.resolve(translations[lang][namespace]);
     }
 
+    const id = `${lang}/${namespace}`;
+    if (pending[id]) return pending[id];
+
+    emit('localeLoading', { lang, namespace });
+
     // 获取根目录路径（处理 pages/ 子目录的情况）
-    const rootPath = getRootPath();
-
-    return Promise.all([
-      fetch(rootPath + `locales/${lang}/common.json`).then(r => r.json()),
-      fetch(rootPath + `locales/${lang}/home.json`).then(r => r.json()),
-      fetch(rootPath + `locales/${lang}/features.json`).then(r => r.json()),
-      fetch(rootPath + `locales/${lang}/aigc.json`).then(r => r.json()),
-      fetch(rootPath + `locales/${lang}/community.json`).then(r => r.json()),
-      fetch(rootPath + `locales/${lang}/pricing.json`).then(r => r.json()),
-      fetch(rootPath + `locales/${lang}/about.json`).then(r => r.json())
-    ]).then(([common, home, features, aigc, community, pricing, about]) => {
-      translations[lang] = { common, home, features, aigc, community, pricing, about };
-      console.log('Language files loaded for:', lang);
+    pending[id] = fetch(getRootPath() + `locales/${id}.json`)
+      .then(r => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      })
+      .then(data => {
+        translations[lang][namespace] = data;
+        return data;
+      })
+      .catch(err => {
+        console.error(`Failed to load language file ${id}:`, err);
+        return undefined;
+      })
+      .then(data => {
+        // 失败的请求不缓存，之后可以重试
+        delete pending[id];
+        emit('localeLoaded', { lang, namespace, ok: data !== undefined });
+        return data;
+      });
+
+    return pending[id];
+  }
+
+  /**
+   * 加载语言文件
+   * 默认只加载 common 和当前页面用到的命名空间；回退语言的文件在 t() 遇到缺失的键时才加载
+   * @param {string} lang - 语言代码
+   * @param {string[]} names - 要加载的命名空间，默认为当前页面所需
+   * @returns {Promise}
+   */
+  function loadLanguage(lang, names = getPageNamespaces()) {
+    const requests = names.map(namespace => loadNamespace(lang, namespace));
+
+    return Promise.all(requests).then(() => {
+      console.log('Language files loaded for:', lang, names.join(', '));
       return translations[lang];
-    }).catch(err => {
-      console.error('Failed to load language file:', err);
-      return translations[currentLang] || {};
     });
   }
 
+  /**
+   * 按需加载当前语言的命名空间
+   * @param {string|string[]} names - 命名空间
+   * @returns {Promise}
+   */
+  function loadNamespaces(names) {
+    const list = (Array.isArray(names) ? names : [names]).filter(isNamespace);
+    return loadLanguage(currentLang, list);
+  }
+
+  /**
+   * 判断是否为已知的命名空间
+   * @param {string} name - 命名空间
+   * @returns {boolean}
+   */
+  function isNamespace(name) {
+    return namespaces.indexOf(name) !== -1;
+  }
+
+  /**
+   * 获取当前页面需要的命名空间：common、当前页面，以及 data-i18n-page 引用到的其他命名空间
+   * @returns {string[]}
+   */
+  function getPageNamespaces() {
+    const names = ['common', getCurrentPage()];
+    document.querySelectorAll('[data-i18n-page]').forEach(el => {
+      const name = el.getAttribute('data-i18n-page');
+      if (names.indexOf(name) === -1) names.push(name);
+    });
+    return names.filter(isNamespace);
+  }
+
+  /**
+   * 获取某语言的查找顺序：自身在前，随后是回退语言
+   * @param {string} lang - 语言代码
+   * @returns {string[]}
+   */
+  function getLanguageChain(lang) {
+    return [lang].concat(fallbackLanguages.filter(code => code !== lang));
+  }
+
+  /**
+   * 设置回退语言链，如 ['zh'] 表示 en → zh → 键名
+   * @param {string[]} languages - 回退语言代码列表
+   */
+  function setFallbackLanguages(languages) {
+    fallbackLanguages = Array.isArray(languages) ? languages.slice() : [];
+  }
+
   /**
    * 获取根目录路径
    * @returns {string}
    */
   function getRootPath() {
+    if (scriptRoot) return scriptRoot;
+
     const path = window.location.pathname;
     // 如果在 pages/ 目录下，需要返回上一级
     if (path.includes('/pages/')) {
@@ -67,625 +338,5812 @@ const i18n = (function() {
     return '';
   }
 
+  /**
+   * 获取相对于站点根目录的页面路径，如 'pages/pricing.html' 或 'en/index.html'
+   * @returns {string}
+   */
+  function getSitePath() {
+    const path = window.location.pathname;
+    const rootPath = scriptRoot ? new URL(scriptRoot).pathname : '/';
+    return path.indexOf(rootPath) === 0 ? path.slice(rootPath.length) : path.replace(/^\//, '');
+  }
+
+  /**
+   * 获取路径前缀中的语言，如 /en/pages/pricing.html 中的 'en'
+   * @returns {string|null}
+   */
+  function getPathLanguage() {
+    const segments = getSitePath().split('/');
+    return segments.length > 1 && getLocale(segments[0]) ? segments[0] : null;
+  }
+
+  /**
+   * 获取 URL 指定的语言：?lang= 优先，其次是路径前缀
+   * @returns {string|null}
+   */
+  function getUrlLanguage() {
+    const param = new URLSearchParams(window.location.search).get('lang');
+    return (param && negotiateLanguage([param])) || getPathLanguage();
+  }
+
+  /**
+   * 生成当前页面在指定语言下的地址
+   * 当前地址带语言前缀时替换前缀，否则使用 ?lang= 参数
+   * @param {string|null} lang - 语言代码，为 null 时返回不带语言的地址（x-default）
+   * @returns {string}
+   */
+  function buildLanguageUrl(lang) {
+    const url = new URL(window.location.href);
+    const pathLang = getPathLanguage();
+
+    if (pathLang) {
+      const rootPath = url.pathname.slice(0, url.pathname.length - getSitePath().length);
+      const rest = getSitePath().slice(pathLang.length + 1);
+      url.pathname = rootPath + (lang ? `${lang}/` : '') + rest;
+      url.searchParams.delete('lang');
+    } else if (lang) {
+      url.searchParams.set('lang', lang);
+    } else {
+      url.searchParams.delete('lang');
+    }
+
+    return url.toString();
+  }
+
+  /**
+   * 在不刷新页面的情况下把地址栏更新为当前语言
+   */
+  function updateUrl() {
+    if (!window.history || !window.history.replaceState) return;
+    const url = buildLanguageUrl(currentLang);
+    if (url !== window.location.href) {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }
+
+  /**
+   * 根据当前语言更新 <title>、描述、Open Graph 标签及 hreflang 链接
+   * 标题和描述来自页面命名空间的 meta.*，首页直接使用 common 中的 site.title
+   */
+  function updateMetadata() {
+    const page = getCurrentPage();
+    const site = t('site.title', 'common');
+    // 语言文件全部加载失败时保留页面原有的元信息
+    if (site === 'site.title') return;
+
+    const title = page === 'home'
+      ? site
+      : t('site.titleTemplate', 'common', { page: t('meta.title', page), site });
+    const description = t('meta.description', page);
+
+    document.title = title;
+    setMeta('name', 'description', description);
+    setMeta('property', 'og:title', title);
+    setMeta('property', 'og:description', description);
+    setMeta('property', 'og:url', buildLanguageUrl(currentLang));
+    setMeta('property', 'og:locale', getLangTag().replace('-', '_'));
+    setMeta('property', 'twitter:title', title, false);
+    setMeta('property', 'twitter:description', description, false);
+
+    // og:locale:alternate 与 hreflang 链接每次重新生成
+    document.querySelectorAll('meta[property="og:locale:alternate"], link[rel="alternate"][hreflang]').forEach(el => {
+      el.parentNode.removeChild(el);
+    });
+
+    manifest.languages.forEach(locale => {
+      if (locale.code !== currentLang) {
+        appendHead('meta', { property: 'og:locale:alternate', content: locale.tag.replace('-', '_') });
+      }
+      appendHead('link', { rel: 'alternate', hreflang: locale.tag, href: buildLanguageUrl(locale.code) });
+    });
+    appendHead('link', { rel: 'alternate', hreflang: 'x-default', href: buildLanguageUrl(null) });
+  }
+
+  /**
+   * 设置 <meta> 标签内容
+   * @param {string} attr - 标识属性，'name' 或 'property'
+   * @param {string} name - 属性值，如 'og:title'
+   * @param {string} content - 内容
+   * @param {boolean} create - 标签不存在时是否创建
+   */
+  function setMeta(attr, name, content, create = true) {
+    const meta = document.head.querySelector(`meta[${attr}="${name}"]`);
+    if (meta) {
+      meta.setAttribute('content', content);
+    } else if (create) {
+      appendHead('meta', { [attr]: name, content });
+    }
+  }
+
+  /**
+   * 向 <head> 追加元素
+   * @param {string} tag - 标签名
+   * @param {object} attrs - 属性
+   */
+  function appendHead(tag, attrs) {
+    const el = document.createElement(tag);
+    Object.keys(attrs).forEach(name => el.setAttribute(name, attrs[name]));
+    document.head.appendChild(el);
+  }
+
   /**
    * 获取翻译文本
    * @param {string} key - 翻译键，支持点号分隔的嵌套路径，如 'home.hero.title'
-   * @param {string} page - 页面名称，默认为当前页面
+   * @param {string|object} page - 页面名称，默认为当前页面；传入对象时视为 params
+   * @param {object} params - 插值参数，如 { count: 5 }
    * @returns {string}
    */
-  function t(key, page = getCurrentPage()) {
-    const data = translations[currentLang];
-    if (!data) return key;
+  function t(key, page = getCurrentPage(), params) {
+    // 支持 t(key, params) 简写
+    if (page && typeof page === 'object') {
+      params = page;
+      page = getCurrentPage();
+    }
 
     // 解析嵌套路径
     const keys = key.split('.');
+    const chain = getLanguageChain(currentLang);
+
+    // 按回退语言链依次查找
+    for (let i = 0; i < chain.length; i++) {
+      const data = translations[chain[i]];
+      if (!data) continue;
 
-    // 先从指定的页面中查找
-    let value = getNestedValue(data[page], keys);
+      // 先从指定的页面中查找
+      let value = getNestedValue(data[page], keys);
+
+      // 如果在页面中找不到，从 common 中查找
+      if (value === undefined && data.common) {
+        value = getNestedValue(data.common, keys);
+      }
 
-    // 如果在页面中找不到，从 common 中查找
-    if (value === undefined && data.common) {
-      value = getNestedValue(data.common, keys);
+      if (value !== undefined) {
+        if (i > 0) reportMissing(key, page, chain[i]);
+        return typeof value === 'string' ? format(value, params) : value;
+      }
     }
 
-    return value !== undefined ? value : key;
+    loadFallbacks(chain, page);
+    reportMissing(key, page, null);
+    return key;
   }
 
   /**
-   * 从嵌套对象中获取值
-   * @param {object} obj - 要查找的对象
-   * @param {array} keys - 键路径数组
-   * @returns {any|undefined}
+   * 当前语言缺少某个键时，按需加载回退语言中对应的命名空间
+   * 同一轮渲染中的请求合并在一起，加载完成后重新翻译页面并派发 languageChanged（detail.fallback 为 true）
+   * @param {string[]} chain - 语言查找顺序
+   * @param {string} page - 命名空间
    */
-  function getNestedValue(obj, keys) {
-    if (!obj || typeof obj !== 'object') return undefined;
+  function loadFallbacks(chain, page) {
+    // Node 与 Worker 中只使用已添加的数据
+    if (typeof document === 'undefined') return;
 
-    let value = obj;
-    for (let i = 0; i < keys.length; i++) {
-      if (value && typeof value === 'object' && keys[i] in value) {
-        value = value[keys[i]];
+    const names = [page, 'common'].filter(isNamespace);
+
+    // 当前语言的文件尚未开始加载或还在加载时不急于回退
+    if (!translations[chain[0]] || names.some(namespace => pending[`${chain[0]}/${namespace}`])) return;
+
+    chain.slice(1).forEach(code => {
+      names.forEach(namespace => {
+        const id = `${code}/${namespace}`;
+        if (requestedFallbacks[id] || (translations[code] && translations[code][namespace])) return;
+        requestedFallbacks[id] = true;
+
+        if (!fallbackBatch) {
+          const batch = fallbackBatch = [];
+          Promise.resolve().then(() => {
+            fallbackBatch = null;
+            return Promise.all(batch);
+          }).then(results => {
+            if (!results.some(Boolean)) return;
+            updatePageTranslations();
+            emit('languageChanged', { lang: currentLang, fallback: true });
+          });
+        }
+        fallbackBatch.push(loadNamespace(code, namespace));
+      });
+    });
+  }
+
+  /**
+   * 记录当前语言中缺失的键（仅开发模式）
+   * @param {string} key - 翻译键
+   * @param {string} page - 命名空间
+   * @param {string|null} resolvedLang - 实际命中的回退语言，全部缺失时为 null
+   */
+  function reportMissing(key, page, resolvedLang) {
+    // 语言文件尚未加载时的查找不计入
+    if (!debugMode || !translations[currentLang]) return;
+
+    const id = `${currentLang}:${page}:${key}`;
+    if (missingKeys[id]) return;
+
+    missingKeys[id] = { lang: currentLang, page, key, fallback: resolvedLang };
+    console.warn(`[i18n] Missing "${page}.${key}" in ${currentLang}` +
+      (resolvedLang ? `, using ${resolvedLang}` : ''));
+  }
+
+  /**
+   * 获取已记录的缺失键列表
+   * @returns {Array<{lang: string, page: string, key: string, fallback: string|null}>}
+   */
+  function getMissingKeys() {
+    return Object.keys(missingKeys).map(id => missingKeys[id]);
+  }
+
+  /**
+   * 检测是否开启开发模式：URL 中带 ?i18n-debug，或 localStorage 中 daoyou-i18n-debug 为 '1'
+   * @returns {boolean}
+   */
+  function detectDebugMode() {
+    if (/[?&]i18n-debug(=1|=true)?(&|$)/.test(window.location.search || '')) return true;
+    try {
+      return localStorage.getItem('daoyou-i18n-debug') === '1';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 开启或关闭开发模式
+   * @param {boolean} enabled - 是否开启
+   */
+  function setDebug(enabled) {
+    debugMode = !!enabled;
+    try {
+      if (debugMode) {
+        localStorage.setItem('daoyou-i18n-debug', '1');
       } else {
-        return undefined;
+        localStorage.removeItem('daoyou-i18n-debug');
       }
+    } catch (e) {}
+    renderDebugOverlay();
+  }
+
+  /**
+   * 渲染缺失键浮层
+   */
+  function renderDebugOverlay() {
+    let overlay = document.querySelector('.i18n-debug');
+
+    if (!debugMode) {
+      if (overlay) overlay.parentNode.removeChild(overlay);
+      return;
     }
-    return value;
+
+    if (!overlay) {
+      overlay = document.createElement('div');
+      overlay.className = 'i18n-debug';
+      overlay.setAttribute('role', 'status');
+      overlay.innerHTML = `
+        <div class="i18n-debug-header">
+          <span class="i18n-debug-title"></span>
+          <button type="button" class="i18n-debug-toggle" aria-label="Toggle list">&minus;</button>
+        </div>
+        <ul class="i18n-debug-list"></ul>
+      `;
+      overlay.querySelector('.i18n-debug-toggle').addEventListener('click', () => {
+        overlay.classList.toggle('collapsed');
+      });
+      document.body.appendChild(overlay);
+    }
+
+    const entries = getMissingKeys().filter(entry => entry.lang === currentLang);
+    overlay.querySelector('.i18n-debug-title').textContent =
+      `Missing translation keys (${currentLang}): ${entries.length}`;
+
+    const list = overlay.querySelector('.i18n-debug-list');
+    list.textContent = '';
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = `${entry.page}.${entry.key}` + (entry.fallback ? ` → ${entry.fallback}` : '');
+      item.classList.toggle('is-fallback', !!entry.fallback);
+      list.appendChild(item);
+    });
   }
 
   /**
-   * 获取当前页面名称
+   * 格式化消息：支持 {name} 占位符以及 ICU 风格的 plural / select
+   * 例如 "{count, plural, one {# match} other {# matches}}"
+   * @param {string} message - 消息模板
+   * @param {object} params - 插值参数
+   * @param {number} pluralValue - 当前所在 plural 分支的数值，用于替换 #
    * @returns {string}
    */
-  function getCurrentPage() {
-    const path = window.location.pathname;
-    if (path.includes('features')) return 'features';
-    if (path.includes('aigc')) return 'aigc';
-    if (path.includes('community')) return 'community';
-    if (path.includes('pricing')) return 'pricing';
-    if (path.includes('about')) return 'about';
-    return 'home';
+  function format(message, params, pluralValue) {
+    if (typeof message !== 'string') return message;
+    if (message.indexOf('{') === -1 && pluralValue === undefined) return message;
+
+    params = params || {};
+    let result = '';
+    let i = 0;
+
+    while (i < message.length) {
+      const char = message[i];
+
+      if (char === '{') {
+        const end = findClosingBrace(message, i);
+        if (end === -1) {
+          // 括号不匹配，原样输出剩余部分
+          result += message.slice(i);
+          break;
+        }
+        result += formatArgument(message.slice(i + 1, end), params, message.slice(i, end + 1), pluralValue);
+        i = end + 1;
+      } else if (char === '#' && pluralValue !== undefined) {
+        result += formatNumber(pluralValue);
+        i++;
+      } else {
+        result += char;
+        i++;
+      }
+    }
+
+    return result;
   }
 
   /**
-   * 更新页面上的所有翻译文本
+   * 格式化单个参数块（花括号内部内容）
+   * @param {string} body - 如 'name' 或 'count, plural, one {...} other {...}'
+   * @param {object} params - 插值参数
+   * @param {string} raw - 原始文本，参数缺失时原样返回
+   * @param {number} pluralValue - 外层 plural 分支的数值，select 分支中的 # 沿用它
+   * @returns {string}
    */
-  function updatePageTranslations() {
-    // 更新带有 data-i18n 属性的元素
-    document.querySelectorAll('[data-i18n]').forEach(el => {
-      const key = el.getAttribute('data-i18n');
-      const page = el.getAttribute('data-i18n-page') || getCurrentPage();
-      const translation = t(key, page);
+  function formatArgument(body, params, raw, pluralValue) {
+    const firstComma = body.indexOf(',');
+    const name = (firstComma === -1 ? body : body.slice(0, firstComma)).trim();
 
-      if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
-        el.placeholder = translation;
-      } else {
-        el.textContent = translation;
+    if (!(name in params)) return raw;
+    const value = params[name];
+
+    // 简单占位符 {name}
+    if (firstComma === -1) {
+      return typeof value === 'number' ? formatNumber(value) : String(value);
+    }
+
+    const secondComma = body.indexOf(',', firstComma + 1);
+    const type = body.slice(firstComma + 1, secondComma === -1 ? undefined : secondComma).trim();
+    const options = secondComma === -1 ? {} : parseOptions(body.slice(secondComma + 1));
+
+    if (type === 'plural') {
+      const number = Number(value);
+      let branch = options['=' + number];
+      if (branch === undefined) {
+        branch = options[getPluralCategory(number)];
       }
-    });
+      if (branch === undefined) branch = options.other;
+      return branch === undefined ? raw : format(branch, params, number);
+    }
 
-    // 更新带有 data-i18n-attr 属性的元素（用于翻译属性值）
-    document.querySelectorAll('[data-i18n-attr]').forEach(el => {
-      const attrConfig = el.getAttribute('data-i18n-attr');
-      const [attr, key] = attrConfig.split(':');
-      const page = el.getAttribute('data-i18n-page') || getCurrentPage();
-      el.setAttribute(attr, t(key, page));
-    });
+    if (type === 'select') {
+      const branch = options[String(value)] !== undefined ? options[String(value)] : options.other;
+      return branch === undefined ? raw : format(branch, params, pluralValue);
+    }
 
-    // 更新语言切换按钮状态
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-      btn.classList.toggle('active', btn.getAttribute('data-lang') === currentLang);
-    });
+    return String(value);
+  }
+
+  /**
+   * 解析 plural / select 的分支，如 'one {# match} other {# matches}'
+   * @param {string} str - 分支文本
+   * @returns {object} 选择器到分支模板的映射
+   */
+  function parseOptions(str) {
+    const options = {};
+    let i = 0;
+
+    while (i < str.length) {
+      const open = str.indexOf('{', i);
+      if (open === -1) break;
+      const close = findClosingBrace(str, open);
+      if (close === -1) break;
+
+      const selector = str.slice(i, open).trim();
+      if (selector) {
+        options[selector] = str.slice(open + 1, close);
+      }
+      i = close + 1;
+    }
+
+    return options;
+  }
+
+  /**
+   * 查找与起始花括号匹配的结束花括号
+   * @param {string} str - 文本
+   * @param {number} start - 起始 '{' 的位置
+   * @returns {number} 结束 '}' 的位置，不匹配时返回 -1
+   */
+  function findClosingBrace(str, start) {
+    let depth = 0;
+    for (let i = start; i < str.length; i++) {
+      if (str[i] === '{') depth++;
+      if (str[i] === '}') {
+        depth--;
+        if (depth === 0) return i;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * 获取数值对应的复数类别（zero / one / two / few / many / other）
+   * @param {number} number - 数值
+   * @returns {string}
+   */
+  function getPluralCategory(number) {
+    if (typeof Intl !== 'undefined' && Intl.PluralRules) {
+      return new Intl.PluralRules(getLangTag()).select(number);
+    }
+    return number === 1 ? 'one' : 'other';
+  }
+
+  /**
+   * 按当前语言格式化数字
+   * @param {number} number - 数值
+   * @returns {string}
+   */
+  function formatNumber(number) {
+    if (typeof Intl !== 'undefined' && Intl.NumberFormat) {
+      return new Intl.NumberFormat(getLangTag()).format(number);
+    }
+    return String(number);
+  }
+
+  /**
+   * 获取当前语言的 BCP-47 标签
+   * @returns {string}
+   */
+  function getLangTag() {
+    const locale = getLocale(currentLang);
+    return locale ? locale.tag : currentLang;
+  }
+
+  // 富文本翻译中允许的标签及属性
+  const allowedTags = {
+    B: [],
+    STRONG: [],
+    I: [],
+    EM: [],
+    CODE: [],
+    BR: [],
+    A: ['href']
+  };
+
+  /**
+   * 将翻译中的受限标记安全地渲染到元素中
+   * 只保留白名单内的标签和属性，其余标签只保留文本内容
+   * @param {Element} el - 目标元素
+   * @param {string} markup - 翻译文本，如 'Everything in <strong>Free</strong>'
+   */
+  function setRichContent(el, markup) {
+    const template = document.createElement('template');
+    template.innerHTML = String(markup);
+
+    const fragment = document.createDocumentFragment();
+    sanitizeNodes(template.content.childNodes, fragment);
+
+    el.textContent = '';
+    el.appendChild(fragment);
+  }
+
+  /**
+   * 递归复制白名单内的节点
+   * @param {NodeList} nodes - 源节点列表
+   * @param {Node} parent - 目标父节点
+   */
+  function sanitizeNodes(nodes, parent) {
+    Array.prototype.forEach.call(nodes, node => {
+      if (node.nodeType === node.TEXT_NODE) {
+        parent.appendChild(document.createTextNode(node.textContent));
+        return;
+      }
+      if (node.nodeType !== node.ELEMENT_NODE) return;
+
+      const attrs = allowedTags[node.tagName];
+      if (!attrs) {
+        // 不允许的标签：丢弃标签本身，保留文本
+        sanitizeNodes(node.childNodes, parent);
+        return;
+      }
+
+      const clean = document.createElement(node.tagName.toLowerCase());
+      attrs.forEach(attr => {
+        const value = node.getAttribute(attr);
+        if (value !== null && (attr !== 'href' || isSafeUrl(value))) {
+          clean.setAttribute(attr, value);
+        }
+      });
+
+      if (clean.tagName === 'A' && /^https?:/i.test(clean.getAttribute('href') || '')) {
+        clean.setAttribute('target', '_blank');
+        clean.setAttribute('rel', 'noopener noreferrer');
+      }
+
+      sanitizeNodes(node.childNodes, clean);
+      parent.appendChild(clean);
+    });
+  }
+
+  /**
+   * 检查链接地址是否安全（禁止 javascript: 等协议）
+   * @param {string} url - 链接地址
+   * @returns {boolean}
+   */
+  function isSafeUrl(url) {
+    // 浏览器解析链接时会忽略空白和控制字符，检查前先去掉
+    const normalized = url.replace(/[\u0000-\u0020]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    return !scheme || /^(https?|mailto)$/i.test(scheme[1]);
+  }
+
+  /**
+   * 读取元素上的插值参数（data-i18n-params，JSON 格式）
+   * @param {Element} el - 元素
+   * @returns {object|undefined}
+   */
+  function getElementParams(el) {
+    const raw = el.getAttribute('data-i18n-params');
+    if (!raw) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      console.warn('Invalid data-i18n-params:', raw);
+      return undefined;
+    }
+  }
+
+  /**
+   * 转义参数中的 HTML 特殊字符（富文本模式下使用）
+   * @param {object} params - 插值参数
+   * @returns {object}
+   */
+  function escapeParams(params) {
+    if (!params) return params;
+    const escaped = {};
+    Object.keys(params).forEach(name => {
+      const value = params[name];
+      escaped[name] = typeof value === 'string'
+        ? value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+        : value;
+    });
+    return escaped;
+  }
+
+  /**
+   * 从嵌套对象中获取值
+   * @param {object} obj - 要查找的对象
+   * @param {array} keys - 键路径数组
+   * @returns {any|undefined}
+   */
+  function getNestedValue(obj, keys) {
+    if (!obj || typeof obj !== 'object') return undefined;
+
+    let value = obj;
+    for (let i = 0; i < keys.length; i++) {
+      if (value && typeof value === 'object' && keys[i] in value) {
+        value = value[keys[i]];
+      } else {
+        return undefined;
+      }
+    }
+    return value;
+  }
+
+  /**
+   * 获取当前页面名称
+   * <html data-i18n-page> 优先，用于地址不能说明页面的情况（如任意路径上的 404.html）
+   * @returns {string}
+   */
+  function getCurrentPage() {
+    const declared = document.documentElement.getAttribute('data-i18n-page');
+    if (declared) return declared;
+
+    const path = window.location.pathname;
+    if (path.includes('features')) return 'features';
+    if (path.includes('aigc')) return 'aigc';
+    if (path.includes('community')) return 'community';
+    if (path.includes('pricing')) return 'pricing';
+    if (path.includes('about')) return 'about';
+    return 'home';
+  }
+
+  /**
+   * 更新页面上的所有翻译文本
+   */
+  function updatePageTranslations() {
+    // 更新带有 data-i18n 属性的元素
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+      const key = el.getAttribute('data-i18n');
+      const page = el.getAttribute('data-i18n-page') || getCurrentPage();
+      const params = getElementParams(el);
+
+      if (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA') {
+        el.placeholder = t(key, page, params);
+      } else if (el.hasAttribute('data-i18n-html')) {
+        // 富文本：参数先转义，再按白名单渲染标记
+        setRichContent(el, t(key, page, escapeParams(params)));
+      } else {
+        el.textContent = t(key, page, params);
+      }
+    });
+
+    // 更新带有 data-i18n-attr 属性的元素（用于翻译属性值）
+    document.querySelectorAll('[data-i18n-attr]').forEach(el => {
+      const attrConfig = el.getAttribute('data-i18n-attr');
+      const [attr, key] = attrConfig.split(':');
+      const page = el.getAttribute('data-i18n-page') || getCurrentPage();
+      el.setAttribute(attr, t(key, page, getElementParams(el)));
+    });
+
+    // 更新语言切换按钮状态
+    document.querySelectorAll('.lang-btn').forEach(btn => {
+      const active = btn.getAttribute('data-lang') === currentLang;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+
+    // 更新 HTML lang / dir 属性
+    const locale = getLocale(currentLang);
+    document.documentElement.lang = getLangTag();
+    document.documentElement.dir = locale ? locale.dir : 'ltr';
+
+    // 更新标题与 SEO 元信息
+    updateMetadata();
+
+    // 开发模式下刷新缺失键浮层
+    if (debugMode) renderDebugOverlay();
+  }
+
+  /**
+   * 切换语言
+   * @param {string} lang - 语言代码
+   * @returns {Promise}
+   */
+  function setLanguage(lang) {
+    if (lang === currentLang) return Promise.resolve();
+    if (!getLocale(lang)) {
+      console.warn('Unsupported language:', lang);
+      return Promise.resolve();
+    }
+
+    // 新语言需要加载页面所需的命名空间，以及之前按需加载过的命名空间
+    const names = getPageNamespaces();
+    Object.keys(translations[currentLang] || {}).forEach(name => {
+      if (names.indexOf(name) === -1) names.push(name);
+    });
+
+    currentLang = lang;
+
+    // 保存到 localStorage
+    try {
+      localStorage.setItem('daoyou-lang', lang);
+    } catch (e) {}
+
+    updateUrl();
+
+    return loadLanguage(lang, names).then(() => {
+      updatePageTranslations();
+      // 触发自定义事件
+      window.dispatchEvent(new CustomEvent('languageChanged', { detail: { lang } }));
+    });
+  }
+
+  /**
+   * 获取当前语言
+   * @returns {string}
+   */
+  function getLanguage() {
+    return currentLang;
+  }
+
+  /**
+   * 检测访问者的语言：优先使用 URL 指定的语言（?lang= 或路径前缀），
+   * 其次是 localStorage 中保存的偏好，最后从浏览器语言协商
+   * 基于当前的语言清单，清单加载前调用时使用内置清单（如加载屏幕）
+   * @returns {string} 语言代码
+   */
+  function detectLanguage() {
+    let savedLang = null;
+    try {
+      savedLang = localStorage.getItem('daoyou-lang');
+    } catch (e) {}
+    const browserLangs = navigator.languages && navigator.languages.length
+      ? navigator.languages
+      : [navigator.language];
+
+    return getUrlLanguage() ||
+      (savedLang && getLocale(savedLang) ? savedLang : null) ||
+      negotiateLanguage(browserLangs) ||
+      manifest.defaultLanguage;
+  }
+
+  /**
+   * 初始化 i18n 系统
+   */
+  function init() {
+    debugMode = detectDebugMode();
+
+    return loadManifest().then(() => {
+      const urlLang = getUrlLanguage();
+      currentLang = detectLanguage();
+
+      // 通过链接指定的语言同时作为之后浏览其他页面的偏好
+      if (urlLang) {
+        try {
+          localStorage.setItem('daoyou-lang', urlLang);
+        } catch (e) {}
+      }
+
+      // 加载语言文件并更新页面
+      return loadLanguage(currentLang);
+    }).then(() => {
+      updatePageTranslations();
+      document.body.classList.add('i18n-loaded');
+    });
+  }
+
+  return {
+    init,
+    t,
+    format,
+    setRichContent,
+    setLanguage,
+    getLanguage,
+    detectLanguage,
+    getLocales,
+    getNamespaces,
+    setManifest,
+    addTranslations,
+    getTranslations,
+    getRootPath,
+    buildLanguageUrl,
+    loadManifest,
+    negotiateLanguage,
+    loadLanguage,
+    loadNamespaces,
+    setFallbackLanguages,
+    getMissingKeys,
+    setDebug,
+    updatePageTranslations
+  };
+})();
+
+// ============================================
+// 粒子特效系统
+// 支持 OffscreenCanvas 时在 Worker 中绘制（particles-worker.js），否则在主线程绘制；
+// 两种模式共用 particleEngine，这里只负责 DOM 事件与动画循环的启停
+// ============================================
+const particles = (function() {
+  'use strict';
+
+  let canvas;
+  let animationId;
+
+  // 'main' 主线程绘制 / 'worker' Worker 绘制
+  let mode = null;
+  let worker = null;
+  let running = false;
+
+  // 主线程侧保留的交互选项（用于判断是否绑定指针事件）
+  let options = {};
+
+  // Worker 模式下最近一次上报的质量参数
+  let workerQuality = { count: 0, connectionDistance: 0, frameTime: 0 };
+
+  // 暂停条件：页面隐藏、画布滚出视口、用户偏好减少动态效果
+  const state = {
+    pageVisible: true,
+    inView: true,
+    reducedMotion: false
+  };
+
+  let observer;
+  let motionQuery;
+  let resizeHandler;
+  let pointerTarget;
+
+  // 指针位置（画布坐标），用于点击迸发
+  const pointer = { x: 0, y: 0 };
+
+  /**
+   * 从画布的 data 属性读取交互选项
+   * - data-particles-theme: default / radiant-dire / arcane
+   * - data-particles-hover: attract / repel
+   * - data-particles-click: burst
+   * - data-particles-link: 存在即开启（值为 false 时关闭）
+   * - data-particles-worker: 值为 false 时始终在主线程绘制
+   * @param {HTMLCanvasElement} el - 画布
+   * @returns {object}
+   */
+  function readOptions(el) {
+    const data = el.dataset;
+    const hover = data.particlesHover;
+    return {
+      theme: particleEngine.hasTheme(data.particlesTheme) ? data.particlesTheme : 'default',
+      hover: hover === 'attract' || hover === 'repel' ? hover : null,
+      burst: data.particlesClick === 'burst',
+      link: data.particlesLink !== undefined && data.particlesLink !== 'false',
+      worker: data.particlesWorker !== 'false'
+    };
+  }
+
+  /**
+   * 是否可以把画布交给 Worker 绘制
+   * @returns {boolean}
+   */
+  function supportsWorker() {
+    return options.worker &&
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof canvas.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * 获取画布的逻辑尺寸并同步 CSS 尺寸
+   * @returns {{width: number, height: number, pixelRatio: number}}
+   */
+  function measure() {
+    const size = {
+      width: window.innerWidth,
+      height: window.innerHeight,
+      pixelRatio: window.devicePixelRatio || 1
+    };
+    canvas.style.width = size.width + 'px';
+    canvas.style.height = size.height + 'px';
+    return size;
+  }
+
+  /**
+   * 在 Worker 中绘制：转移画布控制权并发送初始化消息
+   * @returns {boolean} 是否成功
+   */
+  function initWorker() {
+    try {
+      const offscreen = canvas.transferControlToOffscreen();
+      worker = new Worker(i18n.getRootPath() + 'assets/js/particles-worker.js');
+      worker.addEventListener('message', handleWorkerMessage);
+      worker.addEventListener('error', handleWorkerError);
+
+      const size = measure();
+      worker.postMessage({
+        type: 'init',
+        canvas: offscreen,
+        options,
+        width: size.width,
+        height: size.height,
+        pixelRatio: size.pixelRatio
+      }, [offscreen]);
+    } catch (err) {
+      console.warn('Particles worker unavailable, rendering on the main thread:', err);
+      terminateWorker();
+      return false;
+    }
+
+    mode = 'worker';
+    return true;
+  }
+
+  /**
+   * 在主线程绘制
+   * @returns {boolean} 是否成功
+   */
+  function initMainThread() {
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return false;
+
+    particleEngine.init(ctx, options);
+    const size = measure();
+    particleEngine.resize(size.width, size.height, size.pixelRatio);
+
+    mode = 'main';
+    return true;
+  }
+
+  /**
+   * 结束 Worker
+   */
+  function terminateWorker() {
+    if (!worker) return;
+
+    worker.removeEventListener('message', handleWorkerMessage);
+    worker.removeEventListener('error', handleWorkerError);
+    worker.terminate();
+    worker = null;
+  }
+
+  /**
+   * 控制权已经转移的画布不能再获取上下文，用一个新的同名画布替换它
+   */
+  function replaceCanvas() {
+    const fresh = canvas.cloneNode(false);
+    canvas.parentNode.replaceChild(fresh, canvas);
+    canvas = fresh;
+    if (observer) {
+      observer.disconnect();
+      observer.observe(canvas);
+    }
+  }
+
+  /**
+   * Worker 上报的消息
+   */
+  function handleWorkerMessage(e) {
+    if (e.data && e.data.type === 'quality') {
+      workerQuality = e.data.quality;
+    }
+  }
+
+  /**
+   * Worker 加载或运行出错：回退到主线程绘制
+   */
+  function handleWorkerError(e) {
+    if (e && e.preventDefault) e.preventDefault();
+    console.warn('Particles worker failed, falling back to the main thread.');
+
+    terminateWorker();
+    running = false;
+    replaceCanvas();
+
+    if (initMainThread()) {
+      updateLoop();
+    } else {
+      mode = null;
+    }
+  }
+
+  /**
+   * 向 Worker 发送消息（仅 Worker 模式）
+   * @param {object} message - 消息
+   */
+  function post(message) {
+    if (worker) worker.postMessage(message);
+  }
+
+  /**
+   * 动画循环（主线程模式）
+   * @param {number} time - requestAnimationFrame 时间戳
+   */
+  function animate(time) {
+    particleEngine.frame(time, true);
+    animationId = requestAnimationFrame(animate);
+  }
+
+  /**
+   * 是否应该运行动画循环
+   * @returns {boolean}
+   */
+  function shouldAnimate() {
+    return !!mode && state.pageVisible && state.inView && !state.reducedMotion;
+  }
+
+  /**
+   * 根据当前状态启动或暂停动画循环
+   * 减少动态效果时只绘制一帧静态画面
+   */
+  function updateLoop() {
+    if (shouldAnimate()) {
+      if (!running) {
+        running = true;
+        if (mode === 'worker') {
+          post({ type: 'run' });
+        } else {
+          particleEngine.resetTiming();
+          animationId = requestAnimationFrame(animate);
+        }
+      }
+      return;
+    }
+
+    pauseLoop();
+    if (mode && state.reducedMotion) {
+      renderStatic();
+    }
+  }
+
+  /**
+   * 暂停动画循环（保留粒子状态）
+   */
+  function pauseLoop() {
+    if (!running) return;
+
+    running = false;
+    if (mode === 'worker') {
+      post({ type: 'pause' });
+    } else if (animationId) {
+      cancelAnimationFrame(animationId);
+      animationId = null;
+    }
+  }
+
+  /**
+   * 绘制一帧静态画面
+   */
+  function renderStatic() {
+    if (mode === 'worker') {
+      post({ type: 'render' });
+    } else {
+      particleEngine.frame(0, false);
+    }
+  }
+
+  /**
+   * 页面可见性变化
+   */
+  function handleVisibility() {
+    state.pageVisible = document.visibilityState !== 'hidden';
+    updateLoop();
+  }
+
+  /**
+   * 画布进入/离开视口
+   */
+  function handleIntersection(entries) {
+    state.inView = entries[entries.length - 1].isIntersecting;
+    updateLoop();
+  }
+
+  /**
+   * 减少动态效果偏好变化
+   */
+  function handleMotionChange(e) {
+    state.reducedMotion = e.matches;
+    updateLoop();
+  }
+
+  /**
+   * 将事件坐标转换为画布坐标并同步给绘制端
+   * @param {PointerEvent} e - 指针事件
+   */
+  function updatePointer(e) {
+    const rect = canvas.getBoundingClientRect();
+    pointer.x = e.clientX - rect.left;
+    pointer.y = e.clientY - rect.top;
+    setPointer(true);
+  }
+
+  /**
+   * @param {boolean} active - 指针是否在区域内
+   */
+  function setPointer(active) {
+    if (mode === 'worker') {
+      post({ type: 'pointer', x: pointer.x, y: pointer.y, active });
+    } else {
+      particleEngine.setPointer(pointer.x, pointer.y, active);
+    }
+  }
+
+  /**
+   * 指针移动（鼠标悬停或触摸拖动）
+   */
+  function handlePointerMove(e) {
+    if (!mode) return;
+    updatePointer(e);
+  }
+
+  /**
+   * 指针离开或触摸结束
+   */
+  function handlePointerLeave(e) {
+    // 鼠标在区域内抬起按键时保持交互
+    if (e.type === 'pointerup' && e.pointerType === 'mouse') return;
+    if (!mode) return;
+    setPointer(false);
+  }
+
+  /**
+   * 点击/触摸时迸发粒子（点击链接、按钮等可交互元素时除外）
+   */
+  function handlePointerDown(e) {
+    if (!mode) return;
+    updatePointer(e);
+
+    if (options.burst && !e.target.closest('a, button, input, textarea, select, label')) {
+      burst(pointer.x, pointer.y);
+    }
+  }
+
+  /**
+   * 绑定指针事件
+   * 画布本身不接收指针事件（pointer-events: none），因此监听它所在的区域
+   */
+  function bindPointer() {
+    if (!options.hover && !options.burst && !options.link) return;
+
+    pointerTarget = canvas.parentElement || window;
+    pointerTarget.addEventListener('pointermove', handlePointerMove, { passive: true });
+    pointerTarget.addEventListener('pointerdown', handlePointerDown, { passive: true });
+    pointerTarget.addEventListener('pointerup', handlePointerLeave, { passive: true });
+    pointerTarget.addEventListener('pointercancel', handlePointerLeave, { passive: true });
+    pointerTarget.addEventListener('pointerleave', handlePointerLeave, { passive: true });
+  }
+
+  /**
+   * 解绑指针事件
+   */
+  function unbindPointer() {
+    if (!pointerTarget) return;
+
+    pointerTarget.removeEventListener('pointermove', handlePointerMove);
+    pointerTarget.removeEventListener('pointerdown', handlePointerDown);
+    pointerTarget.removeEventListener('pointerup', handlePointerLeave);
+    pointerTarget.removeEventListener('pointercancel', handlePointerLeave);
+    pointerTarget.removeEventListener('pointerleave', handlePointerLeave);
+    pointerTarget = null;
+  }
+
+  /**
+   * 窗口大小变化：按比例移动已有粒子，而不是重新创建
+   */
+  function handleResize() {
+    if (!mode) return;
+
+    const size = measure();
+    if (mode === 'worker') {
+      post({ type: 'resize', width: size.width, height: size.height, pixelRatio: size.pixelRatio });
+      return;
+    }
+
+    particleEngine.resize(size.width, size.height, size.pixelRatio);
+
+    // 修改画布尺寸会清空画面，暂停状态下需要补绘一帧
+    if (!running && state.reducedMotion) {
+      renderStatic();
+    }
+  }
+
+  /**
+   * 鼠标交互 - 添加新粒子
+   */
+  function addParticle(x, y) {
+    if (mode === 'worker') {
+      post({ type: 'add', x, y });
+    } else if (mode) {
+      particleEngine.addParticle(x, y);
+    }
+  }
+
+  /**
+   * 在指定位置迸发一圈短暂存在的粒子
+   * @param {number} x - 画布 x 坐标
+   * @param {number} y - 画布 y 坐标
+   */
+  function burst(x, y) {
+    // 暂停或减少动态效果时不产生迸发
+    if (!running) return;
+
+    if (mode === 'worker') {
+      post({ type: 'burst', x, y });
+    } else {
+      particleEngine.burst(x, y);
+    }
+  }
+
+  /**
+   * 切换主题，已有粒子重新着色
+   * @param {string} name - 主题名称
+   */
+  function setTheme(name) {
+    if (!particleEngine.hasTheme(name)) return;
+
+    options.theme = name;
+    if (mode === 'worker') {
+      post({ type: 'theme', name });
+    } else if (mode) {
+      particleEngine.setTheme(name);
+    }
+  }
+
+  /**
+   * 启动粒子系统
+   */
+  function start() {
+    // 已经启动
+    if (mode) return;
+
+    canvas = document.getElementById('particles-canvas');
+    if (!canvas) return;
+
+    options = readOptions(canvas);
+    state.pageVisible = document.visibilityState !== 'hidden';
+    state.inView = true;
+
+    if (!(supportsWorker() && initWorker()) && !initMainThread()) {
+      canvas = null;
+      return;
+    }
+
+    // 尊重系统的减少动态效果设置
+    if (window.matchMedia) {
+      motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      state.reducedMotion = motionQuery.matches;
+      if (motionQuery.addEventListener) {
+        motionQuery.addEventListener('change', handleMotionChange);
+      } else if (motionQuery.addListener) {
+        motionQuery.addListener(handleMotionChange);
+      }
+    }
+
+    // 后台标签页中暂停
+    document.addEventListener('visibilitychange', handleVisibility);
+
+    resizeHandler = utils.throttle(handleResize, 200);
+    window.addEventListener('resize', resizeHandler);
+
+    // 画布滚出视口时暂停
+    if ('IntersectionObserver' in window) {
+      observer = new IntersectionObserver(handleIntersection);
+      observer.observe(canvas);
+    }
+
+    bindPointer();
+    updateLoop();
+  }
+
+  /**
+   * 停止粒子系统，移除所有监听器并清空画布
+   */
+  function stop() {
+    pauseLoop();
+
+    document.removeEventListener('visibilitychange', handleVisibility);
+    if (resizeHandler) {
+      window.removeEventListener('resize', resizeHandler);
+      resizeHandler = null;
+    }
+    if (motionQuery) {
+      if (motionQuery.removeEventListener) {
+        motionQuery.removeEventListener('change', handleMotionChange);
+      } else if (motionQuery.removeListener) {
+        motionQuery.removeListener(handleMotionChange);
+      }
+      motionQuery = null;
+    }
+    if (observer) {
+      observer.disconnect();
+      observer = null;
+    }
+    unbindPointer();
+
+    if (mode === 'worker') {
+      terminateWorker();
+      // 控制权已转移给 Worker，换一个新画布以便之后重新启动
+      replaceCanvas();
+    } else if (mode === 'main') {
+      particleEngine.clear();
+    }
+
+    workerQuality = { count: 0, connectionDistance: 0, frameTime: 0 };
+    mode = null;
+    canvas = null;
+  }
+
+  /**
+   * 重新启动（丢弃现有粒子并重新创建）
+   */
+  function restart() {
+    stop();
+    start();
+  }
+
+  /**
+   * 获取当前的质量参数（调试用）
+   * Worker 模式下返回最近一次上报的值
+   * @returns {{count: number, connectionDistance: number, frameTime: number, mode: string|null}}
+   */
+  function getQuality() {
+    const quality = mode === 'worker' ? workerQuality : particleEngine.getQuality();
+    return Object.assign({}, quality, { mode });
+  }
+
+  return {
+    start,
+    stop,
+    restart,
+    addParticle,
+    burst,
+    setTheme,
+    getQuality
+  };
+})();
+
+// ============================================
+// 滚动动画系统
+// ============================================
+const scrollReveal = (function() {
+  'use strict';
+
+  const SELECTOR = '.reveal';
+
+  // 未声明 data-reveal-group 的元素在同一批次中的默认交错间隔（毫秒）
+  const DEFAULT_STAGGER = 100;
+  const DEFAULT_THRESHOLD = 0.1;
+
+  // 按阈值共用 IntersectionObserver
+  const observers = new Map();
+
+  // 正在观察的元素 -> 所用的观察器
+  let tracked = new Map();
+
+  let mutationObserver;
+  let motionQuery;
+  let reducedMotion = false;
+  let started = false;
+
+  /**
+   * 读取数值属性
+   * @param {string} value - 属性值
+   * @param {number} fallback - 缺省或无效时的值
+   * @returns {number}
+   */
+  function readNumber(value, fallback) {
+    const number = parseFloat(value);
+    return isNaN(number) ? fallback : number;
+  }
+
+  /**
+   * 元素离开视口后是否重新隐藏（data-reveal-repeat，值为 false 时关闭）
+   * @param {Element} el - 元素
+   * @returns {boolean}
+   */
+  function isRepeat(el) {
+    return el.dataset.revealRepeat !== undefined && el.dataset.revealRepeat !== 'false';
+  }
+
+  /**
+   * 读取元素的显示阈值（0 ~ 1）
+   * @param {Element} el - 元素
+   * @returns {number}
+   */
+  function getThreshold(el) {
+    return Math.min(1, Math.max(0, readNumber(el.dataset.revealThreshold, DEFAULT_THRESHOLD)));
+  }
+
+  /**
+   * 获取指定阈值的观察器
+   * 同时监听 0，这样 repeat 元素完全离开视口时也能收到通知
+   * @param {number} threshold - 阈值
+   * @returns {IntersectionObserver}
+   */
+  function getObserver(threshold) {
+    if (!observers.has(threshold)) {
+      const observer = new IntersectionObserver(entries => {
+        handleIntersection(entries, threshold);
+      }, {
+        root: null,
+        rootMargin: '0px',
+        threshold: threshold > 0 ? [0, threshold] : [0]
+      });
+      observers.set(threshold, observer);
+    }
+    return observers.get(threshold);
+  }
+
+  /**
+   * 应用元素上声明的时长，方向由 CSS 根据 data-reveal-direction 处理
+   * @param {Element} el - 元素
+   */
+  function applyOptions(el) {
+    const duration = readNumber(el.dataset.revealDuration, null);
+    if (duration !== null) {
+      el.style.setProperty('--reveal-duration', duration + 'ms');
+    }
+  }
+
+  /**
+   * 显示元素
+   * @param {Element} el - 元素
+   * @param {number} offset - 交错产生的额外延迟（毫秒）
+   */
+  function show(el, offset) {
+    const delay = reducedMotion ? 0 : readNumber(el.dataset.revealDelay, 0) + offset;
+    el.style.setProperty('--reveal-delay', delay + 'ms');
+    el.classList.add('active');
+  }
+
+  /**
+   * 停止观察元素
+   * @param {Element} el - 元素
+   */
+  function untrack(el) {
+    const observer = tracked.get(el);
+    if (observer) {
+      observer.unobserve(el);
+      tracked.delete(el);
+    }
+  }
+
+  /**
+   * 处理元素进入/离开视口
+   * 同一批次进入视口的元素按所属分组（data-reveal-group）依文档顺序交错显示
+   * @param {IntersectionObserverEntry[]} entries - 观察结果
+   * @param {number} threshold - 观察器阈值
+   */
+  function handleIntersection(entries, threshold) {
+    const batch = new Map();
+
+    entries.forEach(entry => {
+      const el = entry.target;
+      if (!tracked.has(el)) return;
+
+      if (entry.isIntersecting && entry.intersectionRatio >= threshold) {
+        if (!isRepeat(el)) untrack(el);
+        if (el.classList.contains('active')) return;
+
+        const group = el.closest('[data-reveal-group]');
+        if (!batch.has(group)) batch.set(group, []);
+        batch.get(group).push(el);
+      } else if (!entry.isIntersecting && isRepeat(el)) {
+        el.classList.remove('active');
+      }
+    });
+
+    batch.forEach((elements, group) => {
+      const stagger = group ? readNumber(group.dataset.revealGroup, DEFAULT_STAGGER) : DEFAULT_STAGGER;
+      elements
+        .sort((a, b) => (a.compareDocumentPosition(b) & a.DOCUMENT_POSITION_FOLLOWING ? -1 : 1))
+        .forEach((el, index) => show(el, index * stagger));
+    });
+  }
+
+  /**
+   * 查找根节点（包括自身）中的 reveal 元素
+   * @param {Node} root - 根节点
+   * @returns {Element[]}
+   */
+  function findTargets(root) {
+    if (!root || !root.querySelectorAll) return [];
+
+    const targets = Array.from(root.querySelectorAll(SELECTOR));
+    if (root.matches && root.matches(SELECTOR)) targets.unshift(root);
+    return targets;
+  }
+
+  /**
+   * 开始观察根节点下尚未显示的 reveal 元素
+   * 已显示过的一次性元素不会重新观察
+   * @param {Node} root - 根节点，默认整个文档
+   */
+  function observe(root) {
+    findTargets(root || document).forEach(el => {
+      if (tracked.has(el)) return;
+      if (el.classList.contains('active') && !isRepeat(el)) return;
+
+      applyOptions(el);
+
+      // 不支持 IntersectionObserver 或用户偏好减少动态效果时直接显示
+      if (reducedMotion || !('IntersectionObserver' in window)) {
+        show(el, 0);
+        return;
+      }
+
+      const observer = getObserver(getThreshold(el));
+      tracked.set(el, observer);
+      observer.observe(el);
+    });
+  }
+
+  /**
+   * 停止观察根节点下的元素（节点被移除时）
+   * @param {Node} root - 根节点
+   */
+  function unobserve(root) {
+    findTargets(root).forEach(untrack);
+  }
+
+  /**
+   * 处理 DOM 变化：自动观察后插入的内容，释放被移除的元素
+   * @param {MutationRecord[]} mutations - 变化记录
+   */
+  function handleMutations(mutations) {
+    mutations.forEach(mutation => {
+      mutation.removedNodes.forEach(node => {
+        if (!node.isConnected) unobserve(node);
+      });
+      mutation.addedNodes.forEach(node => observe(node));
+    });
+  }
+
+  /**
+   * 减少动态效果偏好变化：开启后立即显示所有内容
+   */
+  function handleMotionChange(e) {
+    reducedMotion = e.matches;
+    if (!reducedMotion) return;
+
+    tracked.forEach((observer, el) => show(el, 0));
+    disconnectObservers();
+  }
+
+  /**
+   * 断开所有 IntersectionObserver
+   */
+  function disconnectObservers() {
+    observers.forEach(observer => observer.disconnect());
+    observers.clear();
+    tracked = new Map();
+  }
+
+  /**
+   * 初始化观察器
+   */
+  function init() {
+    if (started) return;
+    started = true;
+
+    if (window.matchMedia) {
+      motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+      reducedMotion = motionQuery.matches;
+      if (motionQuery.addEventListener) {
+        motionQuery.addEventListener('change', handleMotionChange);
+      } else if (motionQuery.addListener) {
+        motionQuery.addListener(handleMotionChange);
+      }
+    }
+
+    observe(document);
+
+    // 之后插入的内容（动态列表、翻译后的区块等）自动加入观察
+    if ('MutationObserver' in window) {
+      mutationObserver = new MutationObserver(handleMutations);
+      mutationObserver.observe(document.body, { childList: true, subtree: true });
+    }
+  }
+
+  /**
+   * 刷新观察器（观察新出现且尚未显示的元素）
+   */
+  function refresh() {
+    if (started) observe(document);
+  }
+
+  /**
+   * 停止所有观察
+   */
+  function destroy() {
+    if (!started) return;
+    started = false;
+
+    disconnectObservers();
+    if (mutationObserver) {
+      mutationObserver.disconnect();
+      mutationObserver = null;
+    }
+    if (motionQuery) {
+      if (motionQuery.removeEventListener) {
+        motionQuery.removeEventListener('change', handleMotionChange);
+      } else if (motionQuery.removeListener) {
+        motionQuery.removeListener(handleMotionChange);
+      }
+      motionQuery = null;
+    }
+  }
+
+  return {
+    init,
+    refresh,
+    observe,
+    destroy
+  };
+})();
+
+// ============================================
+// 导航系统
+// ============================================
+const navigation = (function() {
+  'use strict';
+
+  let header;
+  let progressBar;
+  let lastScrollY = 0;
+  let ticking = false;
+
+  // 页内目录（.section-nav）中的链接及其对应的区块
+  let spyLinks = [];
+  let activeId = null;
+
+  // 地址中带锚点打开页面时，先等 scrollToHash() 滚动到位再开始同步 location.hash
+  let syncHash = false;
+
+  /**
+   * 处理滚动事件（每帧最多处理一次）
+   */
+  function handleScroll() {
+    if (ticking) return;
+    ticking = true;
+    requestAnimationFrame(update);
+  }
+
+  /**
+   * 根据滚动位置更新页头状态、阅读进度和当前区块
+   */
+  function update() {
+    ticking = false;
+    const scrollY = window.scrollY;
+
+    // 添加/移除 scrolled 类
+    if (scrollY > 50) {
+      header.classList.add('scrolled');
+    } else {
+      header.classList.remove('scrolled');
+    }
+
+    updateProgress(scrollY);
+    updateSpy();
+
+    lastScrollY = scrollY;
+  }
+
+  /**
+   * 更新阅读进度条
+   * @param {number} scrollY - 当前滚动位置
+   */
+  function updateProgress(scrollY) {
+    if (!progressBar) return;
+
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const progress = scrollable > 0 ? Math.min(1, Math.max(0, scrollY / scrollable)) : 0;
+    progressBar.style.transform = `scaleX(${progress})`;
+    progressBar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+  }
+
+  /**
+   * 在页头底部创建阅读进度条
+   */
+  function createProgressBar() {
+    progressBar = header.querySelector('.reading-progress');
+    if (progressBar) return;
+
+    progressBar = document.createElement('div');
+    progressBar.className = 'reading-progress';
+    progressBar.setAttribute('role', 'progressbar');
+    progressBar.setAttribute('aria-valuemin', '0');
+    progressBar.setAttribute('aria-valuemax', '100');
+    progressBar.setAttribute('data-i18n-attr', 'aria-label:nav.readingProgress');
+    progressBar.setAttribute('data-i18n-page', 'common');
+    progressBar.setAttribute('aria-label', i18n.t('nav.readingProgress', 'common'));
+    header.appendChild(progressBar);
+  }
+
+  /**
+   * 根据锚点获取目标元素
+   * @param {string} hash - 形如 '#analysis' 的锚点
+   * @returns {Element|null}
+   */
+  function getHashTarget(hash) {
+    if (!hash || hash.length < 2) return null;
+
+    try {
+      return document.getElementById(decodeURIComponent(hash.slice(1)));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 获取滚动到目标时应预留的高度（固定页头）
+   * @returns {number}
+   */
+  function getOffset() {
+    return header ? header.offsetHeight : 0;
+  }
+
+  /**
+   * 滚动到目标元素，目标顶部对齐到固定页头下方
+   * @param {Element} target - 目标元素
+   * @param {string} behavior - 'smooth' 或 'auto'
+   */
+  function scrollToElement(target, behavior) {
+    const top = target.getBoundingClientRect().top + window.scrollY - getOffset();
+    window.scrollTo({
+      top: Math.max(0, top),
+      behavior: behavior || 'smooth'
+    });
+  }
+
+  /**
+   * 收集页内目录中的链接
+   */
+  function collectSpyLinks() {
+    spyLinks = [];
+    document.querySelectorAll('.section-nav a[href^="#"]').forEach(link => {
+      const section = getHashTarget(link.getAttribute('href'));
+      if (section) spyLinks.push({ link, section });
+    });
+  }
+
+  /**
+   * 高亮当前所在区块对应的目录链接，并在不跳动页面的情况下同步 location.hash
+   */
+  function updateSpy() {
+    if (!spyLinks.length) return;
+
+    // 顶部越过页头下方 1/3 视口处的最后一个区块即为当前区块
+    const line = getOffset() + window.innerHeight / 3;
+    let current = null;
+    spyLinks.forEach(item => {
+      if (item.section.getBoundingClientRect().top <= line) current = item;
+    });
+
+    const id = current ? current.section.id : null;
+    if (id === activeId) return;
+    activeId = id;
+
+    spyLinks.forEach(item => {
+      const active = item === current;
+      item.link.classList.toggle('active', active);
+      if (active) {
+        item.link.setAttribute('aria-current', 'location');
+      } else {
+        item.link.removeAttribute('aria-current');
+      }
+    });
+
+    // 回到页面顶部时去掉锚点
+    if (!syncHash) return;
+    const hash = id && window.scrollY > 0 ? '#' + id : '';
+    const url = window.location.pathname + window.location.search + hash;
+    history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * 更新当前页面的导航链接状态
+   */
+  function updateActiveLink() {
+    // 比较解析后的路径，相对地址与绝对地址（客户端路由固定后的链接）都适用
+    const normalize = path => path.replace(/\/index\.html$/, '/');
+    const currentPath = normalize(window.location.pathname);
+
+    document.querySelectorAll('.nav-link').forEach(link => {
+      const active = normalize(new URL(link.getAttribute('href'), window.location.href).pathname) === currentPath;
+      link.classList.toggle('active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'page');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  /**
+   * 平滑滚动到锚点（事件委托，之后插入的链接同样生效）
+   */
+  function smoothScrollToAnchor(e) {
+    const link = e.target.closest && e.target.closest('a[href^="#"]');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const href = link.getAttribute('href');
+    const target = getHashTarget(href);
+    if (!target) return;
+
+    e.preventDefault();
+    scrollToElement(target, 'smooth');
+    if (window.location.hash !== href) {
+      history.pushState(history.state, '', href);
+    }
+  }
+
+  /**
+   * 滚动到地址中的锚点（页面翻译完成、布局稳定之后调用）
+   * @param {string} behavior - 'smooth' 或 'auto'，默认 'auto'
+   */
+  function scrollToHash(behavior) {
+    const target = getHashTarget(window.location.hash);
+    syncHash = true;
+    if (target && header) {
+      scrollToElement(target, behavior === 'smooth' ? 'smooth' : 'auto');
+    }
+  }
+
+  /**
+   * 地址栏中的锚点被修改（手动输入或前进/后退）
+   */
+  function handleHashChange() {
+    scrollToHash('smooth');
+  }
+
+  /**
+   * 重新收集页内目录并刷新状态（页面内容替换后调用）
+   */
+  function refresh() {
+    if (!header) return;
+
+    collectSpyLinks();
+    activeId = undefined;
+    update();
+  }
+
+  /**
+   * 初始化导航
+   */
+  function init() {
+    header = document.querySelector('.header');
+    if (!header) return;
+
+    createProgressBar();
+    collectSpyLinks();
+    syncHash = !getHashTarget(window.location.hash);
+
+    // 监听滚动
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    window.addEventListener('resize', handleScroll, { passive: true });
+    window.addEventListener('hashchange', handleHashChange);
+    update(); // 初始检查
+
+    // 更新当前链接
+    updateActiveLink();
+
+    // 平滑滚动
+    document.addEventListener('click', smoothScrollToAnchor);
+  }
+
+  /**
+   * 移除监听器和阅读进度条
+   */
+  function destroy() {
+    if (!header) return;
+
+    window.removeEventListener('scroll', handleScroll);
+    window.removeEventListener('resize', handleScroll);
+    window.removeEventListener('hashchange', handleHashChange);
+    document.removeEventListener('click', smoothScrollToAnchor);
+
+    if (progressBar && progressBar.parentNode) progressBar.parentNode.removeChild(progressBar);
+    header.classList.remove('scrolled');
+    progressBar = null;
+    header = null;
+    spyLinks = [];
+    activeId = null;
+    syncHash = false;
+  }
+
+  return {
+    init,
+    refresh,
+    updateActiveLink,
+    scrollToHash,
+    destroy
+  };
+})();
+
+// ============================================
+// 移动端菜单
+// ============================================
+const mobileMenu = (function() {
+  'use strict';
+
+  let menuBtn;
+  let menu;
+  let desktopQuery;
+  let isOpen = false;
+
+  // 菜单中可获得焦点的元素
+  const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+  /**
+   * 派发菜单打开/关闭事件
+   * @param {string} name - 'mobileMenuOpen' 或 'mobileMenuClose'
+   */
+  function emit(name) {
+    window.dispatchEvent(new CustomEvent(name, {
+      detail: { menu, button: menuBtn }
+    }));
+  }
+
+  /**
+   * 打开菜单：锁定背景滚动，焦点移入菜单
+   */
+  function open() {
+    if (!menu || isOpen) return;
+    isOpen = true;
+
+    menuBtn.classList.add('active');
+    menu.classList.add('active');
+    menuBtn.setAttribute('aria-expanded', 'true');
+    menu.removeAttribute('aria-hidden');
+    document.body.classList.add('menu-open');
+
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('click', handleOutsideClick);
+
+    const first = menu.querySelector(FOCUSABLE);
+    if (first) first.focus();
+
+    emit('mobileMenuOpen');
+  }
+
+  /**
+   * 关闭菜单
+   * @param {object} opts - { restoreFocus: 是否把焦点还给菜单按钮，默认 true }
+   */
+  function close(opts = {}) {
+    if (!menu || !isOpen) return;
+    isOpen = false;
+
+    menuBtn.classList.remove('active');
+    menu.classList.remove('active');
+    menuBtn.setAttribute('aria-expanded', 'false');
+    menu.setAttribute('aria-hidden', 'true');
+    document.body.classList.remove('menu-open');
+
+    document.removeEventListener('keydown', handleKeydown);
+    document.removeEventListener('click', handleOutsideClick);
+
+    if (opts.restoreFocus !== false) menuBtn.focus();
+
+    emit('mobileMenuClose');
+  }
+
+  /**
+   * 切换菜单
+   */
+  function toggle() {
+    if (isOpen) {
+      close();
+    } else {
+      open();
+    }
+  }
+
+  /**
+   * Escape 关闭菜单；Tab 在菜单按钮和菜单内的元素之间循环
+   */
+  function handleKeydown(e) {
+    if (e.key === 'Escape') {
+      close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable = [menuBtn].concat(Array.from(menu.querySelectorAll(FOCUSABLE)));
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    } else if (focusable.indexOf(document.activeElement) === -1) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * 点击菜单外部关闭（只在菜单打开时监听）
+   */
+  function handleOutsideClick(e) {
+    if (!menu.contains(e.target) && !menuBtn.contains(e.target)) {
+      close({ restoreFocus: false });
+    }
+  }
+
+  /**
+   * 点击菜单中的链接后关闭菜单，焦点交给新页面
+   */
+  function handleMenuClick(e) {
+    if (e.target.closest('a[href]')) {
+      close({ restoreFocus: false });
+    }
+  }
+
+  /**
+   * 切换到桌面宽度时关闭菜单
+   */
+  function handleDesktopChange(e) {
+    if (e.matches) close({ restoreFocus: false });
+  }
+
+  /**
+   * 初始化移动端菜单
+   */
+  function init() {
+    menuBtn = document.querySelector('.mobile-menu-btn');
+    menu = document.querySelector('.mobile-menu');
+
+    if (!menuBtn || !menu) return;
+
+    if (!menu.id) menu.id = 'mobile-menu';
+    menuBtn.setAttribute('aria-controls', menu.id);
+    menuBtn.setAttribute('aria-expanded', 'false');
+    menu.setAttribute('aria-hidden', 'true');
+
+    // 点击按钮切换菜单
+    menuBtn.addEventListener('click', toggle);
+
+    // 点击菜单链接后关闭菜单
+    menu.addEventListener('click', handleMenuClick);
+
+    // 与 CSS 中隐藏菜单按钮的断点一致
+    if (window.matchMedia) {
+      desktopQuery = window.matchMedia('(min-width: 768px)');
+      if (desktopQuery.addEventListener) {
+        desktopQuery.addEventListener('change', handleDesktopChange);
+      } else if (desktopQuery.addListener) {
+        desktopQuery.addListener(handleDesktopChange);
+      }
+    }
+  }
+
+  /**
+   * 关闭菜单并移除监听器
+   */
+  function destroy() {
+    if (!menu) return;
+
+    close({ restoreFocus: false });
+    menuBtn.removeEventListener('click', toggle);
+    menu.removeEventListener('click', handleMenuClick);
+    if (desktopQuery) {
+      if (desktopQuery.removeEventListener) {
+        desktopQuery.removeEventListener('change', handleDesktopChange);
+      } else if (desktopQuery.removeListener) {
+        desktopQuery.removeListener(handleDesktopChange);
+      }
+      desktopQuery = null;
+    }
+    menuBtn = null;
+    menu = null;
+  }
+
+  return {
+    init,
+    open,
+    close,
+    toggle,
+    isOpen: () => isOpen,
+    destroy
+  };
+})();
+
+// ============================================
+// 客户端路由（<body data-router> 时启用）
+// 站内页面之间跳转时只替换 <main>，页头、语言数据和粒子等保持不变
+// ============================================
+const router = (function() {
+  'use strict';
+
+  // 站点根目录下可由路由处理的页面（可带语言前缀）
+  const ROUTABLE = /^(index\.html)?$|^pages\/[\w-]+\.html$/;
+
+  // 需要解析为绝对地址的属性
+  const URL_ATTRS = ['href', 'src', 'poster', 'action'];
+
+  // 已获取的页面 HTML，按地址（不含锚点）缓存
+  const cache = new Map();
+
+  let enabled = false;
+  let currentUrl;
+  // 初始页面加载的脚本（之后保持不变）
+  let scripts;
+  let controller = null;
+  let saveScroll;
+
+  /**
+   * 去掉地址中的锚点
+   * @param {URL} url - 地址
+   * @returns {string}
+   */
+  function withoutHash(url) {
+    return url.href.replace(/#.*$/, '');
+  }
+
+  /**
+   * 判断地址是否为站内可由路由处理的页面
+   * @param {URL} url - 地址
+   * @returns {boolean}
+   */
+  function isRoutable(url) {
+    if (url.origin !== window.location.origin) return false;
+
+    const root = new URL(i18n.getRootPath(), window.location.href).pathname;
+    if (url.pathname.indexOf(root) !== 0) return false;
+
+    const segments = url.pathname.slice(root.length).split('/');
+    const codes = i18n.getLocales().map(locale => locale.code);
+    if (segments.length > 1 && codes.indexOf(segments[0]) !== -1) segments.shift();
+
+    return ROUTABLE.test(segments.join('/'));
+  }
+
+  /**
+   * 把元素中的相对地址解析为绝对地址，替换页面后这些链接仍然有效
+   * @param {Element} root - 根元素
+   * @param {string} base - 解析所用的基准地址
+   */
+  function resolveUrls(root, base) {
+    URL_ATTRS.forEach(attr => {
+      root.querySelectorAll(`[${attr}]`).forEach(el => {
+        const value = el.getAttribute(attr);
+        // 跳过锚点、协议地址和空值
+        if (!value || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(value)) return;
+        el.setAttribute(attr, new URL(value, base).href);
+      });
+    });
+  }
+
+  /**
+   * 获取页面脚本列表，脚本不同的页面无法只替换 <main>
+   * @param {Document} doc - 文档
+   * @param {string} base - 解析所用的基准地址
+   * @returns {string}
+   */
+  function getScripts(doc, base) {
+    return Array.from(doc.querySelectorAll('script')).map(script => {
+      const src = script.getAttribute('src');
+      return src ? new URL(src, base).href : 'inline';
+    }).join('\n');
+  }
+
+  /**
+   * 获取页面 HTML
+   * @param {URL} url - 地址
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<string>}
+   */
+  function fetchPage(url, signal) {
+    const key = withoutHash(url);
+    if (cache.has(key)) return Promise.resolve(cache.get(key));
+
+    return fetch(key, { signal, headers: { Accept: 'text/html' } }).then(response => {
+      const type = response.headers.get('Content-Type') || '';
+      if (!response.ok || type.indexOf('html') === -1) {
+        throw new Error(`Failed to load ${key}: ${response.status}`);
+      }
+      return response.text();
+    }).then(html => {
+      cache.set(key, html);
+      return html;
+    });
+  }
+
+  /**
+   * 记录当前历史记录的滚动位置
+   */
+  function storeScroll() {
+    if (!enabled) return;
+    history.replaceState(Object.assign({}, history.state, { router: true, scrollY: window.scrollY }), '');
+  }
+
+  /**
+   * 替换页面内容
+   * @param {Document} doc - 新页面文档
+   * @param {URL} url - 新页面地址
+   * @param {object} opts - { push: 是否新增历史记录, scrollY: 需要恢复的滚动位置 }
+   * @returns {Promise}
+   */
+  function swap(doc, url, opts) {
+    const oldMain = document.querySelector('main');
+    const newMain = document.importNode(doc.querySelector('main'), true);
+    resolveUrls(newMain, withoutHash(url));
+
+    // 粒子画布位于页面内容中时需要随内容一起重建
+    const hadCanvas = !!oldMain.querySelector('#particles-canvas');
+    if (hadCanvas && modules.isStarted('particles')) particles.stop();
+
+    if (opts.push) {
+      history.pushState({ router: true, scrollY: 0 }, '', url.href);
+    }
+    currentUrl = withoutHash(new URL(window.location.href));
+
+    oldMain.parentNode.replaceChild(newMain, oldMain);
+    document.title = doc.title;
+
+    // 加载新页面用到的命名空间后重新翻译
+    return i18n.loadLanguage(i18n.getLanguage()).catch(err => {
+      console.warn('Failed to load translations for', url.href, err);
+    }).then(() => {
+      i18n.updatePageTranslations();
+      scrollReveal.refresh();
+      navigation.updateActiveLink();
+      if (newMain.querySelector('#particles-canvas') && modules.isStarted('particles')) particles.start();
+
+      if (typeof opts.scrollY === 'number') {
+        window.scrollTo(0, opts.scrollY);
+      } else if (url.hash) {
+        navigation.scrollToHash('auto');
+      } else {
+        window.scrollTo(0, 0);
+      }
+      navigation.refresh();
+
+      // 新页面的内容获得焦点，方便键盘与读屏用户
+      if (opts.push) {
+        newMain.setAttribute('tabindex', '-1');
+        newMain.focus({ preventScroll: true });
+      }
+
+      window.dispatchEvent(new CustomEvent('pageChanged', {
+        detail: { url: window.location.href }
+      }));
+    });
+  }
+
+  /**
+   * 跳转到站内页面
+   * @param {string|URL} target - 地址
+   * @param {object} opts - { push: 是否新增历史记录（默认 true）, scrollY: 需要恢复的滚动位置 }
+   * @returns {Promise}
+   */
+  function navigate(target, opts = {}) {
+    const url = new URL(target, window.location.href);
+    const push = opts.push !== false;
+
+    if (!enabled || !isRoutable(url)) {
+      window.location.assign(url.href);
+      return Promise.resolve();
+    }
+
+    if (controller) controller.abort();
+    const current = controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+
+    if (push) storeScroll();
+    document.documentElement.classList.add('is-navigating');
+
+    return fetchPage(url, current && current.signal).then(html => {
+      // 期间又发起了新的跳转
+      if (controller !== current) return;
+
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      // 脚本或启用的模块不同的页面需要完整加载
+      if (!doc.querySelector('main') || getScripts(doc, withoutHash(url)) !== scripts ||
+          doc.body.getAttribute('data-modules') !== document.body.getAttribute('data-modules')) {
+        throw new Error('Page is not compatible with the router');
+      }
+
+      const update = () => swap(doc, url, { push, scrollY: opts.scrollY });
+      const reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+      if (document.startViewTransition && !reducedMotion) {
+        return document.startViewTransition(update).updateCallbackDone;
+      }
+      return update();
+    }).catch(err => {
+      if (err && err.name === 'AbortError') return;
+
+      // 无法在页面内切换时回退为普通跳转
+      console.warn('Router falling back to a full page load:', err);
+      if (push) {
+        window.location.assign(url.href);
+      } else {
+        window.location.replace(url.href);
+      }
+    }).then(() => {
+      if (controller === current) {
+        controller = null;
+        document.documentElement.classList.remove('is-navigating');
+      }
+    });
+  }
+
+  /**
+   * 拦截站内链接点击
+   */
+  function handleClick(e) {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+    const link = e.target.closest && e.target.closest('a[href]');
+    if (!link || link.hasAttribute('download') || link.hasAttribute('data-no-router')) return;
+    if (link.target && link.target !== '_self') return;
+
+    const url = new URL(link.href, window.location.href);
+    if (!isRoutable(url)) return;
+
+    // 同一页面内的锚点：只滚动，不重新加载
+    if (withoutHash(url) === currentUrl) {
+      if (!url.hash) return;
+      e.preventDefault();
+      if (url.hash !== window.location.hash) {
+        history.pushState(history.state, '', url.href);
+      }
+      navigation.scrollToHash('smooth');
+      return;
+    }
+
+    e.preventDefault();
+    navigate(url);
+  }
+
+  /**
+   * 前进/后退
+   */
+  function handlePopState(e) {
+    const url = new URL(window.location.href);
+
+    // 只有锚点变化时交给 hashchange 处理
+    if (withoutHash(url) === currentUrl) return;
+
+    navigate(url, {
+      push: false,
+      scrollY: e.state && typeof e.state.scrollY === 'number' ? e.state.scrollY : undefined
+    });
+  }
+
+  /**
+   * 初始化路由
+   */
+  function init() {
+    if (enabled || !document.body.hasAttribute('data-router')) return;
+    if (!document.querySelector('main') || !window.history || !window.history.pushState || !window.fetch || !window.DOMParser) return;
+
+    enabled = true;
+    currentUrl = withoutHash(new URL(window.location.href));
+    scripts = getScripts(document, currentUrl);
+
+    // 页头、移动端菜单和页脚在页面之间保留，其中的相对地址需要固定下来
+    document.querySelectorAll('body > :not(main)').forEach(el => resolveUrls(el, currentUrl));
+
+    // 由路由自行恢复滚动位置（包括刷新页面时）
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+    const saved = history.state && history.state.scrollY;
+    if (typeof saved === 'number' && !window.location.hash) {
+      window.scrollTo(0, saved);
+    }
+    history.replaceState(Object.assign({}, history.state, { router: true }), '');
+
+    saveScroll = utils.debounce(storeScroll, 150);
+    window.addEventListener('scroll', saveScroll, { passive: true });
+    window.addEventListener('popstate', handlePopState);
+    document.addEventListener('click', handleClick);
+  }
+
+  /**
+   * 停用路由，之后的跳转都是普通页面加载
+   */
+  function destroy() {
+    if (!enabled) return;
+    enabled = false;
+
+    if (controller) controller.abort();
+    controller = null;
+    window.removeEventListener('scroll', saveScroll);
+    window.removeEventListener('popstate', handlePopState);
+    document.removeEventListener('click', handleClick);
+    document.documentElement.classList.remove('is-navigating');
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'auto';
+    }
+  }
+
+  return {
+    init,
+    navigate,
+    destroy
+  };
+})();
+
+// ============================================
+// 语言切换器
+// ============================================
+const langSwitcher = (function() {
+  'use strict';
+
+  /**
+   * 根据语言清单渲染切换按钮
+   * @param {Element} container - .lang-switcher 容器
+   */
+  function render(container) {
+    const current = i18n.getLanguage();
+    container.textContent = '';
+
+    i18n.getLocales().forEach(locale => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'lang-btn';
+      btn.setAttribute('data-lang', locale.code);
+      btn.setAttribute('lang', locale.tag);
+      btn.setAttribute('title', locale.name);
+      btn.setAttribute('aria-pressed', locale.code === current ? 'true' : 'false');
+      btn.classList.toggle('active', locale.code === current);
+      btn.textContent = locale.label;
+      container.appendChild(btn);
+    });
+  }
+
+  let containers = [];
+
+  /**
+   * 点击语言按钮（事件委托，按钮由 render() 动态生成）
+   */
+  function handleClick(e) {
+    const btn = e.target.closest('.lang-btn');
+    if (btn && e.currentTarget.contains(btn)) {
+      i18n.setLanguage(btn.getAttribute('data-lang'));
+    }
+  }
+
+  /**
+   * 初始化语言切换器
+   */
+  function init() {
+    containers = Array.from(document.querySelectorAll('.lang-switcher'));
+    if (!containers.length) return;
+
+    i18n.loadManifest().then(() => {
+      containers.forEach(render);
+    });
+
+    containers.forEach(container => {
+      container.addEventListener('click', handleClick);
+    });
+  }
+
+  /**
+   * 移除监听器
+   */
+  function destroy() {
+    containers.forEach(container => {
+      container.removeEventListener('click', handleClick);
+    });
+    containers = [];
+  }
+
+  return {
+    init,
+    destroy
+  };
+})();
+
+// ============================================
+// 表单处理
+// ============================================
+const forms = (function() {
+  'use strict';
+
+  // 默认超时（毫秒）与重试次数，可通过 data-timeout / data-retries 覆盖
+  const DEFAULT_TIMEOUT = 10000;
+  const DEFAULT_RETRIES = 2;
+
+  // 简单的邮箱格式检查，与浏览器 type="email" 的规则接近
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+  // 参与校验的字段
+  const FIELDS = 'input:not([type="hidden"]):not([type="submit"]):not([type="button"]), textarea, select';
+
+  // 已显示的错误与状态（切换语言时重新翻译）
+  const fieldErrors = new WeakMap();
+  const formStatuses = new WeakMap();
+
+  /**
+   * 检查值是否完全匹配 pattern 属性；写错的正则不做检查，与浏览器忽略无效 pattern 的行为一致
+   * @param {string} pattern - pattern 属性
+   * @param {string} value - 字段的值
+   * @returns {boolean}
+   */
+  function matchesPattern(pattern, value) {
+    let regex;
+    try {
+      regex = new RegExp(`^(?:${pattern})$`);
+    } catch (err) {
+      console.warn('[forms] ignoring invalid pattern:', pattern);
+      return true;
+    }
+    return regex.test(value);
+  }
+
+  /**
+   * 检查单个字段，返回错误（翻译键与参数）或 null
+   * @param {HTMLInputElement|HTMLTextAreaElement|HTMLSelectElement} field - 字段
+   * @returns {{key: string, params: object}|null}
+   */
+  function checkField(field) {
+    if (field.disabled) return null;
+
+    const value = field.type === 'checkbox' ? (field.checked ? field.value : '') : field.value.trim();
+    const minLength = utils.readNumber(field.getAttribute('minlength'), 0);
+    const maxLength = utils.readNumber(field.getAttribute('maxlength'), Infinity);
+    const pattern = field.getAttribute('pattern');
+
+    if (!value) {
+      return field.required ? { key: 'forms.errors.required', params: {} } : null;
+    }
+    if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+      return { key: 'forms.errors.email', params: {} };
+    }
+    if (value.length < minLength) {
+      return { key: 'forms.errors.minlength', params: { min: minLength } };
+    }
+    if (value.length > maxLength) {
+      return { key: 'forms.errors.maxlength', params: { max: maxLength } };
+    }
+    if (pattern && !matchesPattern(pattern, value)) {
+      return { key: 'forms.errors.pattern', params: {} };
+    }
+    return null;
+  }
+
+  /**
+   * 获取（必要时创建）字段下方的错误提示元素
+   * @param {Element} field - 字段
+   * @returns {HTMLElement}
+   */
+  function getErrorElement(field) {
+    const id = (field.id || field.name) + '-error';
+    // 字段名可能含引号、方括号等字符，逐个比较而不拼进选择器
+    let el = Array.from(field.form.querySelectorAll('[data-error-for]'))
+      .find(candidate => candidate.getAttribute('data-error-for') === field.name);
+    if (el) return el;
+
+    el = document.createElement('p');
+    el.className = 'form-error';
+    el.id = id;
+    el.setAttribute('data-error-for', field.name);
+    field.insertAdjacentElement('afterend', el);
+    return el;
+  }
+
+  /**
+   * 显示或清除字段错误
+   * @param {Element} field - 字段
+   * @param {{key: string, params: object, message: string}|null} error - 错误（message 为服务端返回的原文）
+   */
+  function setFieldError(field, error) {
+    const el = getErrorElement(field);
+    fieldErrors.set(el, error);
+
+    if (error) {
+      el.textContent = error.message || i18n.t(error.key, 'common', error.params);
+      el.hidden = false;
+      field.setAttribute('aria-invalid', 'true');
+      field.setAttribute('aria-describedby', el.id);
+    } else {
+      el.textContent = '';
+      el.hidden = true;
+      field.removeAttribute('aria-invalid');
+    }
+  }
+
+  /**
+   * 校验整个表单，错误显示在对应字段下方
+   * @param {HTMLFormElement} form - 表单
+   * @returns {boolean} 是否通过
+   */
+  function validate(form) {
+    let firstInvalid = null;
+
+    form.querySelectorAll(FIELDS).forEach(field => {
+      if (!field.name) return;
+      const error = checkField(field);
+      setFieldError(field, error);
+      if (error && !firstInvalid) firstInvalid = field;
+    });
+
+    if (firstInvalid) firstInvalid.focus();
+    return !firstInvalid;
+  }
+
+  /**
+   * 获取（必要时创建）表单状态区域
+   * @param {HTMLFormElement} form - 表单
+   * @returns {HTMLElement}
+   */
+  function getStatusElement(form) {
+    let el = form.querySelector('.form-status');
+    if (el) return el;
+
+    el = document.createElement('div');
+    el.className = 'form-status';
+    el.setAttribute('role', 'status');
+    el.setAttribute('aria-live', 'polite');
+    form.appendChild(el);
+    return el;
+  }
+
+  /**
+   * 显示表单状态
+   * @param {HTMLFormElement} form - 表单
+   * @param {string|null} state - 'pending' / 'success' / 'error' / 'queued'，null 时清除
+   * @param {string} key - 翻译键
+   * @param {string} page - 翻译命名空间
+   */
+  function setStatus(form, state, key, page = 'common') {
+    const el = getStatusElement(form);
+    formStatuses.set(el, state ? { key, page } : null);
+    el.classList.remove('is-pending', 'is-success', 'is-error', 'is-queued');
+
+    if (!state) {
+      el.textContent = '';
+      return;
+    }
+    el.classList.add(`is-${state}`);
+    el.textContent = i18n.t(key, page);
+  }
+
+  /**
+   * 切换提交中的状态
+   * @param {HTMLFormElement} form - 表单
+   * @param {boolean} busy - 是否正在提交
+   */
+  function setBusy(form, busy) {
+    const submitBtn = form.querySelector('[type="submit"]');
+    form.classList.toggle('is-submitting', busy);
+    form.setAttribute('aria-busy', busy ? 'true' : 'false');
+    if (!submitBtn) return;
+
+    submitBtn.disabled = busy;
+    // 保留按钮原有文字，只在前面加上加载图标
+    const spinner = submitBtn.querySelector('.loading');
+    if (busy && !spinner) {
+      const el = document.createElement('span');
+      el.className = 'loading';
+      el.setAttribute('aria-hidden', 'true');
+      submitBtn.insertBefore(el, submitBtn.firstChild);
+    } else if (!busy && spinner) {
+      spinner.remove();
+    }
+  }
+
+  /**
+   * 读取表单要提交的内容（不含 DOM 引用，可以存入离线队列）
+   * @param {HTMLFormElement} form - 表单
+   * @returns {{endpoint: string, method: string, format: string, payload: object}}
+   */
+  function readSubmission(form) {
+    const payload = {};
+    new FormData(form).forEach((value, key) => {
+      payload[key] = value;
+    });
+
+    return {
+      endpoint: form.getAttribute('data-endpoint'),
+      method: (form.getAttribute('method') || 'POST').toUpperCase(),
+      format: form.getAttribute('data-format') === 'json' ? 'json' : 'form',
+      payload
+    };
+  }
+
+  /**
+   * 显示服务端返回的字段错误，如 { errors: { email: '...' } }
+   * @param {HTMLFormElement} form - 表单
+   * @param {any} data - 响应数据
+   */
+  function showServerErrors(form, data) {
+    if (!data || typeof data !== 'object' || !data.errors) return;
+
+    Object.keys(data.errors).forEach(name => {
+      const field = form.elements[name];
+      if (field && field.name) {
+        setFieldError(field, { key: 'forms.errors.server', params: {}, message: String(data.errors[name]) });
+      }
+    });
+  }
+
+  /**
+   * 提交表单
+   * @param {HTMLFormElement} form - 带有 data-endpoint 的表单
+   * @returns {Promise<boolean>} 是否提交成功
+   */
+  function submit(form) {
+    if (form.classList.contains('is-submitting')) return Promise.resolve(false);
+
+    form.setAttribute('data-validated', '');
+    if (!validate(form)) {
+      setStatus(form, null);
+      return Promise.resolve(false);
+    }
+
+    const submission = readSubmission(form);
+    const request = formTransport.buildRequest(submission);
+    const opts = {
+      timeout: utils.readNumber(form.getAttribute('data-timeout'), DEFAULT_TIMEOUT),
+      retries: utils.readNumber(form.getAttribute('data-retries'), DEFAULT_RETRIES)
+    };
+    const page = form.getAttribute('data-i18n-page') || 'common';
+    const canQueue = form.hasAttribute('data-queue-offline') && offlineQueue.isSupported();
+
+    setBusy(form, true);
+    setStatus(form, 'pending', 'forms.status.sending');
+
+    // 已知离线时不必等待重试，直接进入队列
+    const result = canQueue && formTransport.isOffline()
+      ? Promise.reject(new TypeError('Offline'))
+      : formTransport.send(request, opts);
+
+    return result.then(response => {
+      if (!response.ok) {
+        showServerErrors(form, response.data);
+        const error = new Error(`Submission failed with status ${response.status}`);
+        error.response = response;
+        throw error;
+      }
+
+      form.reset();
+      form.removeAttribute('data-validated');
+      setStatus(form, 'success', form.getAttribute('data-success') || 'forms.status.success', page);
+      form.dispatchEvent(new CustomEvent('formSuccess', { bubbles: true, detail: { response } }));
+      return true;
+    }).catch(err => {
+      // 因为离线而失败（不是服务端拒绝）时保存到队列，恢复网络后自动重发
+      if (canQueue && !err.response && formTransport.isOffline()) {
+        return enqueue(form, submission, page);
+      }
+
+      const key = err.name === 'TimeoutError' ? 'forms.status.timeout' : 'forms.status.error';
+      setStatus(form, 'error', key);
+      form.dispatchEvent(new CustomEvent('formError', { bubbles: true, detail: { error: err } }));
+      return false;
+    }).then(result => {
+      setBusy(form, false);
+      return result;
+    });
+  }
+
+  /**
+   * 把提交保存到离线队列
+   * @param {HTMLFormElement} form - 表单
+   * @param {object} submission - 提交内容
+   * @param {string} page - 成功提示的翻译命名空间
+   * @returns {Promise<boolean>}
+   */
+  function enqueue(form, submission, page) {
+    const record = Object.assign({}, submission, {
+      formId: form.id || null,
+      successKey: form.getAttribute('data-success') || 'forms.status.success',
+      page
+    });
+
+    return offlineQueue.add(record).then(() => {
+      form.reset();
+      form.removeAttribute('data-validated');
+      setStatus(form, 'queued', 'forms.status.queued');
+      form.dispatchEvent(new CustomEvent('formQueued', { bubbles: true, detail: { record } }));
+      scheduleFlush();
+      return false;
+    }, err => {
+      console.warn('Failed to queue submission:', err);
+      setStatus(form, 'error', 'forms.status.error');
+      return false;
+    });
+  }
+
+  /**
+   * 重发成功后，如果原表单仍在页面上，把“已排队”提示改为成功
+   * @param {object} record - 队列记录
+   */
+  function notifySent(record) {
+    if (typeof document === 'undefined' || !record.formId) return;
+
+    const form = document.getElementById(record.formId);
+    const status = form && form.querySelector('.form-status');
+    const current = status && formStatuses.get(status);
+    if (current && current.key === 'forms.status.queued') {
+      setStatus(form, 'success', record.successKey, record.page);
+    }
+  }
+
+  /**
+   * 按顺序重发离线队列中的提交，原表单仍在页面上时更新它的提示
+   * 页面与 Service Worker（Background Sync）都会调用 formTransport.flushQueue()
+   * @returns {Promise<{sent: number, dropped: number, remaining: number}>}
+   */
+  function flushQueue() {
+    return formTransport.flushQueue(notifySent);
+  }
+
+  /**
+   * 是否由 Service Worker 的 Background Sync 负责重发
+   * @returns {boolean}
+   */
+  function canBackgroundSync() {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator &&
+      !!navigator.serviceWorker.controller && typeof SyncManager !== 'undefined';
+  }
+
+  /**
+   * 安排重发：支持 Background Sync 时交给 Service Worker，否则在线时直接在页面中重发
+   */
+  function scheduleFlush() {
+    if (canBackgroundSync()) {
+      navigator.serviceWorker.ready.then(registration => registration.sync.register(formTransport.SYNC_TAG)).catch(() => {
+        if (!formTransport.isOffline()) flushQueue();
+      });
+      return;
+    }
+    if (!formTransport.isOffline()) {
+      flushQueue().catch(err => console.warn('Failed to replay queued submissions:', err));
+    }
+  }
+
+  /**
+   * 处理表单提交（事件委托，之后插入的表单同样生效）
+   */
+  function handleSubmit(e) {
+    const form = e.target;
+    if (!form.matches || !form.matches('form[data-endpoint]')) return;
+
+    e.preventDefault();
+    submit(form);
+  }
+
+  /**
+   * 提交过一次后，字段修改时即时重新校验
+   */
+  function handleInput(e) {
+    const field = e.target;
+    if (!field.form || !field.name || !field.form.matches('[data-endpoint][data-validated]')) return;
+    setFieldError(field, checkField(field));
+  }
+
+  /**
+   * 切换语言后重新渲染已显示的错误和状态
+   */
+  function handleLanguageChange() {
+    document.querySelectorAll('.form-error').forEach(el => {
+      const error = fieldErrors.get(el);
+      if (error && !error.message) el.textContent = i18n.t(error.key, 'common', error.params);
+    });
+    document.querySelectorAll('.form-status').forEach(el => {
+      const status = formStatuses.get(el);
+      if (status) el.textContent = i18n.t(status.key, status.page);
+    });
+  }
+
+  /**
+   * 关闭浏览器自带的校验提示，校验与提示由脚本负责
+   */
+  function prepare() {
+    document.querySelectorAll('form[data-endpoint]').forEach(form => {
+      form.setAttribute('novalidate', '');
+    });
+  }
+
+  /**
+   * 初始化表单
+   */
+  function init() {
+    prepare();
+
+    document.addEventListener('submit', handleSubmit);
+    document.addEventListener('input', handleInput);
+    document.addEventListener('change', handleInput);
+    window.addEventListener('languageChanged', handleLanguageChange);
+    // 客户端路由替换页面内容后处理新的表单
+    window.addEventListener('pageChanged', prepare);
+
+    // 恢复网络时重发离线期间排队的提交，页面打开时也检查一次
+    window.addEventListener('online', scheduleFlush);
+    scheduleFlush();
+  }
+
+  /**
+   * 移除监听器（已显示的错误与状态保留）
+   */
+  function destroy() {
+    document.removeEventListener('submit', handleSubmit);
+    document.removeEventListener('input', handleInput);
+    document.removeEventListener('change', handleInput);
+    window.removeEventListener('languageChanged', handleLanguageChange);
+    window.removeEventListener('pageChanged', prepare);
+    window.removeEventListener('online', scheduleFlush);
+  }
+
+  return {
+    init,
+    destroy,
+    submit,
+    validate,
+    registerAdapter: formTransport.registerAdapter,
+    flushQueue
+  };
+})();
+
+// ============================================
+// 定价
+// 套餐卡片由 plans 定义生成：价格按当前语言的货币格式化，年付节省的比例自动计算
+// ============================================
+const pricing = (function() {
+  'use strict';
+
+  // 语言清单未指定货币，或套餐没有该货币的价格时使用
+  const DEFAULT_CURRENCY = 'USD';
+  const DEFAULT_BILLING = 'month';
+
+  // 计费周期，对应 pricing.json 中的 billing.* / period.*
+  const BILLINGS = ['month', 'year'];
+
+  /**
+   * 套餐定义，文字在 locales/<lang>/pricing.json 的 plans.<id> / features.* / badges.* 中
+   * （plans.<id> 下的 name / tagline / cta 也可以按计费周期分别翻译）
+   * - prices: 各计费周期在各货币下的价格，只有 forever 的套餐不随计费周期变化
+   * - features: 功能键，可带翻译参数；也可以按计费周期分别列出
+   * - popular: 突出显示；badge: 角标键，同样可以按计费周期区分
+   */
+  let plans = [
+    {
+      id: 'free',
+      prices: { forever: { CNY: 0, USD: 0 } },
+      features: [
+        'matchStats',
+        'database',
+        'forum',
+        'fortune',
+        { key: 'weeklySummaries', params: { count: 5 } }
+      ]
+    },
+    {
+      id: 'premium',
+      prices: {
+        month: { CNY: 7, USD: 1 },
+        year: { CNY: 70, USD: 10 }
+      },
+      popular: true,
+      badge: { month: 'popular', year: 'bestValue' },
+      features: {
+        month: [
+          'everythingFree',
+          'instantAnalysis',
+          { key: 'dailyMatches', params: { count: 20 } },
+          'weeklyReports',
+          'heroCards',
+          'proComparison',
+          'adFree'
+        ],
+        year: [
+          'everythingMonthly',
+          'priorityProcessing',
+          'visionAnalysis',
+          'reportTemplates',
+          'exclusiveTutorials',
+          'earlyAccess',
+          'prioritySupport'
+        ]
+      }
+    }
+  ];
+
+  let started = false;
+
+  /**
+   * 取值：按计费周期区分的对象取对应的一项，其余原样返回
+   * @param {any} value - 值，如 { month: 'popular', year: 'bestValue' }
+   * @param {string} billing - 计费周期
+   * @returns {any}
+   */
+  function pick(value, billing) {
+    if (value && typeof value === 'object' && !Array.isArray(value)) return value[billing];
+    return value;
+  }
+
+  /**
+   * 当前语言的清单条目
+   * @returns {object|undefined}
+   */
+  function getLocale() {
+    const lang = i18n.getLanguage();
+    return i18n.getLocales().find(locale => locale.code === lang);
+  }
+
+  /**
+   * 当前语言使用的货币（locales/manifest.json 中的 currency）
+   * @returns {string} ISO 4217 货币代码
+   */
+  function getCurrency() {
+    const locale = getLocale();
+    return (locale && locale.currency) || DEFAULT_CURRENCY;
+  }
+
+  /**
+   * 按当前语言格式化价格，整数价格不显示小数
+   * @param {number} amount - 金额
+   * @param {string} currency - 货币代码
+   * @returns {string}
+   */
+  function formatPrice(amount, currency) {
+    const locale = getLocale();
+    const whole = Math.round(amount * 100) % 100 === 0;
+    return new Intl.NumberFormat(locale ? locale.tag : undefined, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: whole ? 0 : 2,
+      maximumFractionDigits: whole ? 0 : 2
+    }).format(amount);
+  }
+
+  /**
+   * 按当前语言格式化百分比
+   * @param {number} ratio - 比例（0 ~ 1）
+   * @returns {string}
+   */
+  function formatPercent(ratio) {
+    const locale = getLocale();
+    return new Intl.NumberFormat(locale ? locale.tag : undefined, {
+      style: 'percent',
+      maximumFractionDigits: 0
+    }).format(ratio);
+  }
+
+  /**
+   * 套餐在某计费周期下的价格
+   * @param {object} plan - 套餐
+   * @param {string} billing - 计费周期
+   * @param {string} currency - 首选货币
+   * @returns {{amount: number, currency: string, interval: string}|null}
+   */
+  function getPrice(plan, billing, currency) {
+    const interval = plan.prices[billing] ? billing : 'forever';
+    const amounts = plan.prices[interval];
+    if (!amounts) return null;
+
+    if (typeof amounts[currency] === 'number') {
+      return { amount: amounts[currency], currency, interval };
+    }
+    if (typeof amounts[DEFAULT_CURRENCY] === 'number') {
+      return { amount: amounts[DEFAULT_CURRENCY], currency: DEFAULT_CURRENCY, interval };
+    }
+    return null;
+  }
+
+  /**
+   * 年付相对按月付费十二个月节省的比例
+   * @param {object} plan - 套餐
+   * @param {string} currency - 货币代码
+   * @returns {number} 0 ~ 1，没有可比较的价格时为 0
+   */
+  function getSavings(plan, currency) {
+    const month = getPrice(plan, 'month', currency);
+    const year = getPrice(plan, 'year', currency);
+    if (!month || !year || month.interval !== 'month' || year.interval !== 'year' || month.currency !== year.currency) return 0;
+    if (month.amount <= 0) return 0;
+
+    return Math.max(0, 1 - year.amount / (month.amount * 12));
+  }
+
+  /**
+   * 所有套餐中最大的年付节省比例（显示在切换按钮上）
+   * @param {string} currency - 货币代码
+   * @returns {number}
+   */
+  function getMaxSavings(currency) {
+    return plans.reduce((max, plan) => Math.max(max, getSavings(plan, currency)), 0);
+  }
+
+  /**
+   * 翻译 pricing 命名空间中的键
+   * @param {string} key - 翻译键
+   * @param {object} params - 参数
+   * @returns {any}
+   */
+  function t(key, params) {
+    return i18n.t(key, 'pricing', params);
+  }
+
+  /**
+   * 生成套餐卡片的结构，文字与价格由 update() 填入
+   * @param {object} plan - 套餐
+   * @returns {HTMLElement}
+   */
+  function createCard(plan) {
+    const card = document.createElement('div');
+    card.className = 'pricing-card reveal' + (plan.popular ? ' popular' : '');
+    card.setAttribute('data-plan', plan.id);
+    card.innerHTML = `
+      <span class="pricing-badge" hidden></span>
+      <div class="pricing-header">
+        <h3 class="pricing-name"></h3>
+        <p class="pricing-tagline"></p>
+        <div class="pricing-price">
+          <span class="pricing-amount"></span>
+          <span class="pricing-period"></span>
+        </div>
+        <p class="pricing-note" hidden></p>
+      </div>
+      <ul class="pricing-features"></ul>
+      <div class="pricing-cta">
+        <a href="${plan.href || '#'}" class="btn ${plan.prices.forever ? 'btn-secondary' : 'btn-primary'}"></a>
+      </div>
+    `;
+    return card;
+  }
+
+  /**
+   * 生成功能列表项
+   * @param {string|object} feature - 功能键或 { key, params }
+   * @returns {HTMLLIElement}
+   */
+  function createFeature(feature) {
+    const item = typeof feature === 'string' ? { key: feature } : feature;
+    const li = document.createElement('li');
+    li.className = 'pricing-feature';
+    li.innerHTML = `
+      <span class="pricing-feature-icon" aria-hidden="true">
+        <svg viewBox="0 0 24 24"><polyline points="20 6 9 17 4 12"/></svg>
+      </span>
+      <span></span>
+    `;
+    // 翻译中可以包含 <strong> 等受限标记
+    i18n.setRichContent(li.lastElementChild, t(`features.${item.key}`, item.params));
+    return li;
+  }
+
+  /**
+   * 按当前语言与计费周期填写一张卡片
+   * @param {HTMLElement} card - 卡片
+   * @param {object} plan - 套餐
+   * @param {string} billing - 计费周期
+   * @param {string} currency - 货币代码
+   */
+  function updateCard(card, plan, billing, currency) {
+    const price = getPrice(plan, billing, currency);
+    const badge = pick(plan.badge, billing);
+    const badgeEl = card.querySelector('.pricing-badge');
+    const note = card.querySelector('.pricing-note');
+    const list = card.querySelector('.pricing-features');
+
+    badgeEl.hidden = !badge;
+    badgeEl.textContent = badge ? t(`badges.${badge}`) : '';
+    badgeEl.setAttribute('data-badge', badge || '');
+
+    card.querySelector('.pricing-name').textContent = pick(t(`plans.${plan.id}.name`), billing) || '';
+    card.querySelector('.pricing-tagline').textContent = pick(t(`plans.${plan.id}.tagline`), billing) || '';
+    card.querySelector('.pricing-amount').textContent = price ? formatPrice(price.amount, price.currency) : '';
+    card.querySelector('.pricing-period').textContent = price ? t(`period.${price.interval}`) : '';
+    card.querySelector('.pricing-cta .btn').textContent = pick(t(`plans.${plan.id}.cta`), billing) || '';
+
+    // 年付时显示折合每月的价格与节省比例
+    const savings = getSavings(plan, currency);
+    if (price && price.interval === 'year') {
+      const parts = [t('equivalent', { price: formatPrice(price.amount / 12, price.currency) })];
+      if (savings > 0) parts.push(t('billing.save', { percent: formatPercent(savings) }));
+      note.textContent = parts.join(' · ');
+      note.hidden = false;
+    } else {
+      note.textContent = '';
+      note.hidden = true;
+    }
+
+    list.textContent = '';
+    (pick(plan.features, billing) || []).forEach(feature => list.appendChild(createFeature(feature)));
+  }
+
+  /**
+   * 按当前语言与选中的计费周期更新整个定价区域
+   * @param {HTMLElement} container - [data-pricing] 元素
+   */
+  function update(container) {
+    const billing = container.getAttribute('data-billing');
+    const currency = getCurrency();
+    const savings = getMaxSavings(currency);
+
+    container.querySelector('.pricing-toggle').setAttribute('aria-label', t('billing.label'));
+    container.querySelectorAll('.pricing-toggle-btn').forEach(btn => {
+      const value = btn.getAttribute('data-billing');
+      btn.setAttribute('aria-pressed', value === billing ? 'true' : 'false');
+      btn.classList.toggle('active', value === billing);
+      btn.firstElementChild.textContent = t(`billing.${value}`);
+    });
+
+    const save = container.querySelector('.pricing-save');
+    save.hidden = savings <= 0;
+    save.textContent = savings > 0 ? t('billing.save', { percent: formatPercent(savings) }) : '';
+
+    plans.forEach(plan => {
+      const card = container.querySelector(`.pricing-card[data-plan="${plan.id}"]`);
+      if (card) updateCard(card, plan, billing, currency);
+    });
+  }
+
+  /**
+   * 在容器中生成计费周期切换按钮与套餐卡片
+   * 初始计费周期取自 data-billing，默认按月
+   * @param {HTMLElement} container - [data-pricing] 元素
+   */
+  function render(container) {
+    const billing = container.getAttribute('data-billing');
+    container.setAttribute('data-billing', BILLINGS.indexOf(billing) !== -1 ? billing : DEFAULT_BILLING);
+
+    container.innerHTML = `
+      <div class="pricing-toggle" role="group">
+        ${BILLINGS.map(value => `
+          <button type="button" class="pricing-toggle-btn" data-billing="${value}" aria-pressed="false">
+            <span></span>${value === 'year' ? ' <span class="pricing-save" hidden></span>' : ''}
+          </button>
+        `).join('')}
+      </div>
+      <div class="pricing-grid" data-reveal-group></div>
+    `;
+
+    const grid = container.querySelector('.pricing-grid');
+    plans.forEach(plan => grid.appendChild(createCard(plan)));
+    update(container);
+  }
+
+  /**
+   * 切换计费周期
+   * @param {HTMLElement} container - [data-pricing] 元素
+   * @param {string} billing - 'month' 或 'year'
+   */
+  function setBilling(container, billing) {
+    if (BILLINGS.indexOf(billing) === -1 || container.getAttribute('data-billing') === billing) return;
+
+    container.setAttribute('data-billing', billing);
+    update(container);
+    container.dispatchEvent(new CustomEvent('billingChanged', { bubbles: true, detail: { billing } }));
+  }
+
+  /**
+   * 替换套餐定义并重新生成页面上的定价区域
+   * @param {object[]} list - 套餐定义
+   */
+  function setPlans(list) {
+    plans = list.slice();
+    if (started) renderAll();
+  }
+
+  /**
+   * 生成页面上所有的定价区域
+   */
+  function renderAll() {
+    document.querySelectorAll('[data-pricing]').forEach(render);
+  }
+
+  /**
+   * 切换语言后更新文字、货币与价格
+   */
+  function updateAll() {
+    document.querySelectorAll('[data-pricing]').forEach(container => {
+      if (container.querySelector('.pricing-toggle')) update(container);
+    });
+  }
+
+  /**
+   * 点击计费周期按钮（事件委托，客户端路由插入的内容同样生效）
+   */
+  function handleClick(e) {
+    const btn = e.target.closest && e.target.closest('.pricing-toggle-btn');
+    const container = btn && btn.closest('[data-pricing]');
+    if (container) setBilling(container, btn.getAttribute('data-billing'));
+  }
+
+  /**
+   * 初始化定价区域（需要 pricing 命名空间已加载）
+   */
+  function init() {
+    if (started) return;
+    started = true;
+
+    renderAll();
+    document.addEventListener('click', handleClick);
+    window.addEventListener('languageChanged', updateAll);
+    // 客户端路由替换页面内容后生成新的定价区域
+    window.addEventListener('pageChanged', renderAll);
+  }
+
+  /**
+   * 移除监听器（已生成的卡片保留）
+   */
+  function destroy() {
+    if (!started) return;
+    started = false;
+
+    document.removeEventListener('click', handleClick);
+    window.removeEventListener('languageChanged', updateAll);
+    window.removeEventListener('pageChanged', renderAll);
+  }
+
+  return {
+    init,
+    destroy,
+    render,
+    setBilling,
+    setPlans,
+    getSavings,
+    formatPrice
+  };
+})();
+
+// ============================================
+// 常见问题
+// 从页面命名空间中的数组生成可搜索的折叠列表，支持锚点直达，并输出 FAQPage 结构化数据
+// ============================================
+const faq = (function() {
+  'use strict';
+
+  // 问题元素 id 的前缀，锚点 #faq-<id> 直接打开对应问题
+  const ID_PREFIX = 'faq-';
+
+  // 语言文件中的 id 只允许字母、数字、下划线和连字符，其他情况改用序号
+  const ID_PATTERN = /^[\w-]+$/;
+
+  let started = false;
+  let filterCount = 0;
+
+  /**
+   * 读取容器对应的问题列表
+   * data-faq 为数组的翻译键（默认 faq.items），命名空间取自 data-i18n-page，默认为当前页面
+   * @param {HTMLElement} container - [data-faq] 元素
+   * @returns {Array<{id: string, question: string, answer: string}>}
+   */
+  function getEntries(container) {
+    const key = container.getAttribute('data-faq') || 'faq.items';
+    const entries = i18n.t(key, container.getAttribute('data-i18n-page') || undefined);
+
+    if (!Array.isArray(entries)) {
+      console.warn(`FAQ: "${key}" is not an array of questions`);
+      return [];
+    }
+    return normalizeEntries(entries);
+  }
+
+  /**
+   * 整理语言文件中的问题数组，得到与页面锚点一致的 id（搜索索引也用它生成 #faq-<id>）
+   * 不合规的 id 改用序号，重复的 id 依次加上 -2、-3，保证元素 id 与锚点唯一
+   * @param {Array<object>} entries - 语言文件中的问题数组
+   * @returns {Array<{id: string, question: string, answer: string}>}
+   */
+  function normalizeEntries(entries) {
+    const used = new Set();
+    return entries
+      .filter(entry => entry && entry.question)
+      .map((entry, index) => {
+        const base = ID_PATTERN.test(entry.id) ? String(entry.id) : String(index + 1);
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        used.add(id);
+
+        return {
+          id,
+          question: String(entry.question),
+          answer: String(entry.answer || '')
+        };
+      });
+  }
+
+  /**
+   * 统一大小写与空白，用于搜索
+   * @param {string} text - 文本
+   * @returns {string}
+   */
+  function normalize(text) {
+    return text.toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 根据锚点找到问题元素
+   * @param {string} hash - 形如 '#faq-refund' 的锚点
+   * @returns {HTMLElement|null}
+   */
+  function getHashItem(hash) {
+    if (!hash || hash.indexOf('#' + ID_PREFIX) !== 0) return null;
+
+    let id;
+    try {
+      id = decodeURIComponent(hash.slice(1));
+    } catch (e) {
+      return null;
+    }
+    const item = document.getElementById(id);
+    return item && item.classList.contains('faq-item') ? item : null;
+  }
+
+  /**
+   * 展开或收起问题
+   * @param {HTMLElement} item - .faq-item
+   * @param {boolean} open - 是否展开
+   */
+  function setOpen(item, open) {
+    const trigger = item.querySelector('.faq-trigger');
+    trigger.setAttribute('aria-expanded', open ? 'true' : 'false');
+    item.querySelector('.faq-answer').hidden = !open;
+    item.classList.toggle('is-open', open);
+  }
+
+  /**
+   * 生成单个问题
+   * @param {object} entry - { id, question, answer }
+   * @returns {HTMLElement}
+   */
+  function createItem(entry) {
+    const id = ID_PREFIX + entry.id;
+    const item = document.createElement('div');
+    item.className = 'faq-item';
+    item.id = id;
+    item.innerHTML = `
+      <h3 class="faq-question">
+        <button type="button" class="faq-trigger" aria-expanded="false">
+          <span></span>
+          <svg class="faq-icon" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <polyline points="6 9 12 15 18 9"/>
+          </svg>
+        </button>
+      </h3>
+      <div class="faq-answer" role="region" hidden></div>
+    `;
+
+    const button = item.querySelector('.faq-trigger');
+    const panel = item.querySelector('.faq-answer');
+    button.id = `${id}-button`;
+    button.setAttribute('aria-controls', `${id}-panel`);
+    panel.id = `${id}-panel`;
+    panel.setAttribute('aria-labelledby', button.id);
+
+    button.querySelector('span').textContent = entry.question;
+    // 回答中可以包含链接、<strong> 等受限标记
+    i18n.setRichContent(panel, entry.answer);
+    return item;
+  }
+
+  /**
+   * 按关键词筛选问题，所有关键词都出现在问题或回答中才显示
+   * @param {HTMLElement} container - [data-faq] 元素
+   */
+  function applyFilter(container) {
+    const input = container.querySelector('.faq-filter');
+    const status = container.querySelector('.faq-status');
+    const terms = normalize(input.value).split(' ').filter(Boolean);
+    let count = 0;
+
+    container.querySelectorAll('.faq-item').forEach(item => {
+      const text = normalize(item.textContent);
+      const match = terms.every(term => text.indexOf(term) !== -1);
+      item.hidden = !match;
+      if (match) count++;
+    });
+
+    if (!terms.length) {
+      status.textContent = '';
+    } else {
+      status.textContent = count
+        ? i18n.t('faq.results', 'common', { count })
+        : i18n.t('faq.noResults', 'common');
+    }
+  }
+
+  /**
+   * 展开问题，被搜索隐藏时先清空搜索
+   * @param {HTMLElement} item - .faq-item
+   */
+  function openItem(item) {
+    const container = item.closest('[data-faq]');
+    if (item.hidden && container) {
+      container.querySelector('.faq-filter').value = '';
+      applyFilter(container);
+    }
+    setOpen(item, true);
+  }
+
+  /**
+   * 生成（或按当前语言重新生成）常见问题列表
+   * 已展开的问题与搜索框内容保留
+   * @param {HTMLElement} container - [data-faq] 元素
+   */
+  function render(container) {
+    const openIds = Array.from(container.querySelectorAll('.faq-item.is-open')).map(item => item.id);
+    const previous = container.querySelector('.faq-filter');
+    const query = previous ? previous.value : '';
+    const inputId = previous ? previous.id : `faq-filter-${++filterCount}`;
+
+    container.innerHTML = `
+      <div class="faq-search">
+        <label class="sr-only" for="${inputId}"></label>
+        <input type="search" class="form-input faq-filter" id="${inputId}" autocomplete="off">
+      </div>
+      <p class="faq-status" role="status" aria-live="polite"></p>
+      <div class="faq-list"></div>
+    `;
+
+    const input = container.querySelector('.faq-filter');
+    container.querySelector('label').textContent = i18n.t('faq.filterLabel', 'common');
+    input.placeholder = i18n.t('faq.filterPlaceholder', 'common');
+    input.value = query;
+
+    const list = container.querySelector('.faq-list');
+    getEntries(container).forEach(entry => {
+      const item = createItem(entry);
+      list.appendChild(item);
+      if (openIds.indexOf(item.id) !== -1) setOpen(item, true);
+    });
+
+    applyFilter(container);
+  }
+
+  /**
+   * 生成 FAQPage 结构化数据（JSON-LD），内容为当前语言，页面上没有常见问题时移除
+   */
+  function updateStructuredData() {
+    const questions = [];
+    document.querySelectorAll('[data-faq] .faq-item').forEach(item => {
+      questions.push({
+        '@type': 'Question',
+        name: item.querySelector('.faq-trigger').textContent.trim(),
+        acceptedAnswer: {
+          '@type': 'Answer',
+          text: item.querySelector('.faq-answer').innerHTML.trim()
+        }
+      });
+    });
+
+    let script = document.head.querySelector('script[data-faq-jsonld]');
+    if (!questions.length) {
+      if (script) script.parentNode.removeChild(script);
+      return;
+    }
+
+    if (!script) {
+      script = document.createElement('script');
+      script.type = 'application/ld+json';
+      script.setAttribute('data-faq-jsonld', '');
+      document.head.appendChild(script);
+    }
+    // 转义 <，回答中的标记不会提前结束 <script>
+    script.textContent = JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'FAQPage',
+      inLanguage: document.documentElement.lang,
+      mainEntity: questions
+    }, null, 2).replace(/</g, '\\u003c');
+  }
+
+  /**
+   * 打开地址中锚点指向的问题（必要时清空搜索），并滚动到它
+   * @param {string} behavior - 'smooth' 或 'auto'
+   */
+  function openFromHash(behavior) {
+    const item = getHashItem(window.location.hash);
+    if (!item) return;
+
+    openItem(item);
+    if (modules.isStarted('navigation')) navigation.scrollToHash(behavior);
+  }
+
+  /**
+   * 生成页面上所有的常见问题
+   */
+  function renderAll() {
+    document.querySelectorAll('[data-faq]').forEach(render);
+    updateStructuredData();
+  }
+
+  /**
+   * 点击问题展开/收起，并把锚点同步到地址栏，方便分享
+   * 指向问题的页内链接同样会打开它（滚动由 navigation 处理）
+   */
+  function handleClick(e) {
+    const trigger = e.target.closest && e.target.closest('.faq-trigger');
+    if (trigger) {
+      const item = trigger.closest('.faq-item');
+      const open = trigger.getAttribute('aria-expanded') !== 'true';
+      setOpen(item, open);
+      if (open) {
+        history.replaceState(history.state, '', window.location.pathname + window.location.search + '#' + item.id);
+      }
+      return;
+    }
+
+    const link = e.target.closest && e.target.closest(`a[href^="#${ID_PREFIX}"]`);
+    const item = link && getHashItem(link.getAttribute('href'));
+    if (item) openItem(item);
+  }
+
+  /**
+   * 方向键在可见的问题之间移动焦点，Home / End 跳到第一个 / 最后一个
+   */
+  function handleKeydown(e) {
+    const trigger = e.target.closest && e.target.closest('.faq-trigger');
+    if (!trigger || ['ArrowDown', 'ArrowUp', 'Home', 'End'].indexOf(e.key) === -1) return;
+
+    const container = trigger.closest('[data-faq]');
+    const triggers = Array.from(container.querySelectorAll('.faq-item:not([hidden]) .faq-trigger'));
+    const index = triggers.indexOf(trigger);
+    let next;
+
+    if (e.key === 'ArrowDown') next = triggers[(index + 1) % triggers.length];
+    if (e.key === 'ArrowUp') next = triggers[(index - 1 + triggers.length) % triggers.length];
+    if (e.key === 'Home') next = triggers[0];
+    if (e.key === 'End') next = triggers[triggers.length - 1];
+
+    e.preventDefault();
+    next.focus();
+  }
+
+  /**
+   * 搜索框输入时即时筛选
+   */
+  function handleInput(e) {
+    if (!e.target.classList || !e.target.classList.contains('faq-filter')) return;
+    const container = e.target.closest('[data-faq]');
+    if (container) applyFilter(container);
+  }
+
+  /**
+   * 地址中的锚点变化（手动输入或前进/后退）
+   */
+  function handleHashChange() {
+    openFromHash('smooth');
+  }
+
+  /**
+   * 客户端路由替换页面内容后生成新的常见问题
+   */
+  function handlePageChange() {
+    renderAll();
+    openFromHash('auto');
+  }
+
+  /**
+   * 初始化常见问题（需要页面命名空间已加载）
+   */
+  function init() {
+    if (started) return;
+    started = true;
+
+    renderAll();
+    openFromHash('auto');
+
+    document.addEventListener('click', handleClick);
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('input', handleInput);
+    window.addEventListener('hashchange', handleHashChange);
+    window.addEventListener('languageChanged', renderAll);
+    window.addEventListener('pageChanged', handlePageChange);
+  }
+
+  /**
+   * 移除监听器（已生成的内容保留）
+   */
+  function destroy() {
+    if (!started) return;
+    started = false;
+
+    document.removeEventListener('click', handleClick);
+    document.removeEventListener('keydown', handleKeydown);
+    document.removeEventListener('input', handleInput);
+    window.removeEventListener('hashchange', handleHashChange);
+    window.removeEventListener('languageChanged', renderAll);
+    window.removeEventListener('pageChanged', handlePageChange);
+  }
+
+  return {
+    init,
+    destroy,
+    render,
+    normalizeEntries,
+    updateStructuredData
+  };
+})();
+
+// ============================================
+// 比赛分析演示
+// 输入比赛 ID 查看示例分析：经济 / 经验差曲线、关键事件时间线和 AI 总结
+// 数据由可替换的数据源适配器提供，默认使用内置的示例数据
+// ============================================
+const matchDemo = (function() {
+  'use strict';
+
+  // 默认数据源、超时（毫秒），可通过 data-source / data-timeout 覆盖
+  const DEFAULT_SOURCE = 'mock:matches';
+  const DEFAULT_TIMEOUT = 10000;
+
+  // 429 响应没有 Retry-After 时等待的秒数
+  const DEFAULT_RETRY_AFTER = 30;
+
+  // 示例数据（相对于站点根目录）
+  const FIXTURE_PATH = 'assets/data/matches.json';
+
+  // 模拟数据源的默认延迟（毫秒）与频率限制（每个时间窗口内的请求数）
+  const MOCK_DELAY = 600;
+  const MOCK_RATE_LIMIT = 10;
+  const MOCK_RATE_WINDOW = 60000;
+
+  // 状态对应的提示文字，idle 时不显示
+  const STATUS_KEYS = {
+    loading: 'demo.status.loading',
+    ready: 'demo.status.ready',
+    invalid: 'demo.status.invalid',
+    'not-found': 'demo.status.notFound',
+    'rate-limited': 'demo.status.rateLimited',
+    error: 'demo.status.error'
+  };
+
+  // 时间线支持的事件类型
+  const EVENT_TYPES = ['firstBlood', 'tower', 'roshan', 'teamfight', 'barracks', 'mistake'];
+
+  // 曲线图的颜色与边距
+  const COLORS = {
+    gold: '#fbbf24',
+    xp: '#06b6d4',
+    grid: 'rgba(156, 163, 175, 0.2)',
+    text: '#9ca3af',
+    event: 'rgba(139, 92, 246, 0.5)'
+  };
+  const PADDING = { top: 12, right: 12, bottom: 24, left: 48 };
+
+  let started = false;
+  let resizeHandler = null;
+
+  // 示例数据只加载一次
+  let fixture = null;
+
+  // 模拟数据源最近的请求时间，用于模拟频率限制
+  let mockRequests = [];
+
+  // 每个演示容器的状态：{ status, params, match, controller, timer, retryAt }
+  const states = new Map();
+
+  /**
+   * 数据源适配器，按 data-source 的协议选择：
+   * - http / https / 相对路径: 从 <source>/<id> 读取 JSON
+   * - mock: 使用内置示例数据，开发和测试时使用
+   * 适配器接收 { url, id, signal }，返回 Promise<{ ok, status, data, retryAfter }>，
+   * retryAfter 为频率受限（429）时需要等待的秒数
+   */
+  const adapters = utils.createAdapters({
+    http: fetchAdapter,
+    mock: mockAdapter
+  });
+
+  /**
+   * 使用 fetch 读取
+   * @param {object} request - 请求
+   * @returns {Promise<{ok: boolean, status: number, data: any, retryAfter: number|null}>}
+   */
+  function fetchAdapter(request) {
+    return fetch(request.url, {
+      headers: { Accept: 'application/json' },
+      signal: request.signal
+    }).then(response => {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      return response.json().catch(() => null).then(data => ({
+        ok: response.ok,
+        status: response.status,
+        data,
+        retryAfter: isNaN(retryAfter) ? null : retryAfter
+      }));
+    });
+  }
+
+  /**
+   * 模拟数据源：在示例数据中查找比赛，延迟后返回，超过频率限制时返回 429
+   * 例如 mock:matches?delay=2000&limit=3，也可以用 status 参数模拟其他错误
+   * @param {object} request - 请求
+   * @returns {Promise<{ok: boolean, status: number, data: any, retryAfter: number|null}>}
+   */
+  function mockAdapter(request) {
+    const query = new URLSearchParams(request.url.split('?')[1] || '');
+    const delay = utils.readNumber(query.get('delay'), MOCK_DELAY);
+    const limit = utils.readNumber(query.get('limit'), MOCK_RATE_LIMIT);
+    const forced = utils.readNumber(query.get('status'), 0);
+    const now = Date.now();
+
+    mockRequests = mockRequests.filter(time => now - time < MOCK_RATE_WINDOW);
+    if (mockRequests.length >= limit) {
+      const retryAfter = Math.ceil((mockRequests[0] + MOCK_RATE_WINDOW - now) / 1000);
+      return wait(delay, request.signal).then(() => ({
+        ok: false,
+        status: 429,
+        data: { error: 'Rate limit exceeded' },
+        retryAfter
+      }));
+    }
+    mockRequests.push(now);
+
+    return loadFixture().then(data => {
+      const match = data.matches[request.id];
+      if (forced >= 400) return { ok: false, status: forced, data: { error: `Mock responded with ${forced}` }, retryAfter: null };
+      if (!match) return { ok: false, status: 404, data: { error: 'Match not found' }, retryAfter: null };
+      return { ok: true, status: 200, data: match, retryAfter: null };
+    }).then(response => wait(delay, request.signal).then(() => response));
+  }
+
+  /**
+   * 加载示例数据
+   * @returns {Promise<{samples: string[], matches: object}>}
+   */
+  function loadFixture() {
+    if (!fixture) {
+      fixture = fetch(new URL(FIXTURE_PATH, siteMap.getRootUrl()).href)
+        .then(r => {
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          return r.json();
+        })
+        .catch(err => {
+          fixture = null;
+          throw err;
+        });
+    }
+    return fixture;
+  }
+
+  /**
+   * 等待一段时间，可以被中止
+   * @param {number} ms - 毫秒
+   * @param {AbortSignal} signal - 中止信号
+   * @returns {Promise}
+   */
+  function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, ms);
+      if (signal) {
+        signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(signal.reason || new Error('Aborted'));
+        });
+      }
+    });
+  }
+
+  /**
+   * 从输入中取出比赛 ID：纯数字，或 .../matches/<id> 形式的比赛链接
+   * @param {string} value - 输入内容
+   * @returns {string|null}
+   */
+  function parseMatchId(value) {
+    const text = String(value || '').trim();
+    if (/^\d{1,20}$/.test(text)) return text;
+
+    const match = /\/matches?\/(\d{1,20})(?:[/?#]|$)/.exec(text);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * 检查数据源返回的比赛数据
+   * @param {any} data - 响应数据
+   * @returns {boolean}
+   */
+  function isMatch(data) {
+    return !!data && typeof data === 'object' &&
+      !!data.player && !!data.advantage &&
+      Array.isArray(data.advantage.gold) && Array.isArray(data.advantage.xp) &&
+      Array.isArray(data.events) && typeof data.duration === 'number';
+  }
+
+  /**
+   * 容器的状态
+   * @param {HTMLElement} container - [data-match-demo] 元素
+   * @returns {object}
+   */
+  function getState(container) {
+    let state = states.get(container);
+    if (!state) {
+      state = { status: 'idle', params: {}, match: null, controller: null, timer: null, retryAt: 0 };
+      states.set(container, state);
+    }
+    return state;
+  }
+
+  /**
+   * 停止容器进行中的请求与倒计时
+   * @param {object} state - 容器状态
+   */
+  function stop(state) {
+    if (state.controller) state.controller.abort();
+    state.controller = null;
+    clearInterval(state.timer);
+    state.timer = null;
+  }
+
+  /**
+   * 翻译 aigc 命名空间中的文字
+   * @param {string} key - 翻译键
+   * @param {object} params - 插值参数
+   * @returns {string}
+   */
+  function translate(key, params) {
+    return i18n.t(key, 'aigc', params);
+  }
+
+  /**
+   * 数据源返回的值可能还没有对应的文案，此时返回 null
+   * @param {string} key - 翻译键
+   * @param {object} params - 插值参数
+   * @returns {string|null}
+   */
+  function translateOptional(key, params) {
+    const text = translate(key, params);
+    return text === key ? null : text;
+  }
+
+  /**
+   * 英雄名称，没有翻译时显示英雄 id
+   * @param {string} hero - 英雄 id，如 'nevermore'
+   * @returns {string}
+   */
+  function heroName(hero) {
+    return translateOptional(`demo.heroes.${hero}`) || String(hero);
+  }
+
+  /**
+   * 比赛时间，如 1694 → '28:14'
+   * @param {number} seconds - 秒
+   * @returns {string}
+   */
+  function formatTime(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * 带正负号的数字，compact 时使用简写（如 +12K）
+   * @param {number} value - 数值
+   * @param {boolean} compact - 是否简写
+   * @returns {string}
+   */
+  function formatSigned(value, compact) {
+    const lang = i18n.getLanguage();
+    const locale = i18n.getLocales().find(item => item.code === lang);
+    return new Intl.NumberFormat(locale ? locale.tag : undefined, {
+      signDisplay: 'exceptZero',
+      notation: compact ? 'compact' : 'standard',
+      maximumFractionDigits: compact ? 1 : 0
+    }).format(value);
+  }
+
+  /**
+   * 从玩家所在队伍看的优势曲线（数据源中以天辉为正）
+   * @param {object} match - 比赛数据
+   * @param {string} name - 'gold' 或 'xp'
+   * @returns {Array<{time: number, value: number}>}
+   */
+  function getSeries(match, name) {
+    const sign = match.player.side === 'dire' ? -1 : 1;
+    const interval = match.advantage.interval || 60;
+    return match.advantage[name].map((value, index) => ({
+      time: Math.min(index * interval, match.duration),
+      value: value * sign
+    }));
+  }
+
+  /**
+   * 更新状态：data-state、提示文字、按钮与结果的显示
+   * @param {HTMLElement} container - 容器
+   * @param {string} status - 状态
+   * @param {object} params - 提示文字的参数
+   */
+  function setState(container, status, params) {
+    const state = getState(container);
+    state.status = status;
+    state.params = params || {};
+
+    container.setAttribute('data-state', status);
+    container.setAttribute('aria-busy', status === 'loading' ? 'true' : 'false');
+
+    const input = container.querySelector('.match-demo-form input');
+    if (input) {
+      if (status === 'invalid') {
+        input.setAttribute('aria-invalid', 'true');
+      } else {
+        input.removeAttribute('aria-invalid');
+      }
+    }
+
+    container.querySelectorAll('.match-demo-form button').forEach(button => {
+      button.disabled = status === 'loading' || status === 'rate-limited';
+    });
+
+    const result = container.querySelector('.match-demo-result');
+    if (result) result.hidden = status !== 'ready';
+
+    updateStatus(container);
+  }
+
+  /**
+   * 按当前语言更新提示文字
+   * @param {HTMLElement} container - 容器
+   */
+  function updateStatus(container) {
+    const state = getState(container);
+    const status = container.querySelector('.match-demo-status');
+    if (!status) return;
+
+    const key = STATUS_KEYS[state.status];
+    status.textContent = key ? translate(key, state.params) : '';
+  }
+
+  /**
+   * 频率受限时禁用提交，倒计时结束后恢复
+   * @param {HTMLElement} container - 容器
+   * @param {number} seconds - 需要等待的秒数
+   */
+  function startCooldown(container, seconds) {
+    const state = getState(container);
+    state.retryAt = Date.now() + seconds * 1000;
+    setState(container, 'rate-limited', { seconds });
+
+    clearInterval(state.timer);
+    state.timer = setInterval(() => {
+      const left = Math.ceil((state.retryAt - Date.now()) / 1000);
+      if (left > 0) {
+        state.params = { seconds: left };
+        updateStatus(container);
+        return;
+      }
+
+      clearInterval(state.timer);
+      state.timer = null;
+      state.retryAt = 0;
+      setState(container, 'idle');
+    }, 1000);
+  }
+
+  /**
+   * 分析比赛：解析输入、通过数据源读取并显示结果
+   * @param {HTMLElement} container - [data-match-demo] 元素
+   * @param {string} value - 比赛 ID 或比赛链接
+   * @returns {Promise<string>} 结束时的状态
+   */
+  function analyze(container, value) {
+    const state = getState(container);
+    if (state.status === 'rate-limited') return Promise.resolve(state.status);
+
+    const id = parseMatchId(value);
+    if (!id) {
+      stop(state);
+      setState(container, 'invalid');
+      const input = container.querySelector('.match-demo-form input');
+      if (input) input.focus();
+      return Promise.resolve(state.status);
+    }
+
+    stop(state);
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const source = container.getAttribute('data-source') || DEFAULT_SOURCE;
+    const [base, query] = source.split('?');
+    const url = `${base.replace(/\/+$/, '')}/${encodeURIComponent(id)}${query ? '?' + query : ''}`;
+    const timeout = utils.readNumber(container.getAttribute('data-timeout'), DEFAULT_TIMEOUT);
+
+    state.controller = controller;
+    setState(container, 'loading', { id });
+
+    // 新的请求或离开页面时由 stop() 中止，超时后由 withTimeout 中止
+    const adapter = adapters.get(source);
+    return utils.withTimeout(signal => adapter({ url, id, signal }), timeout, controller).then(response => {
+      // 已被新的请求取代
+      if (state.controller !== controller) return state.status;
+      state.controller = null;
+
+      if (response.ok && isMatch(response.data)) {
+        state.match = response.data;
+        renderResult(container);
+        setState(container, 'ready', { id });
+      } else if (response.status === 404) {
+        setState(container, 'not-found', { id });
+      } else if (response.status === 429) {
+        startCooldown(container, response.retryAfter || DEFAULT_RETRY_AFTER);
+      } else {
+        setState(container, 'error');
+      }
+      return state.status;
+    }, err => {
+      if (state.controller !== controller) return state.status;
+      state.controller = null;
+
+      console.warn('Match demo: request failed', err);
+      setState(container, 'error');
+      return state.status;
+    });
+  }
+
+  /**
+   * 创建元素
+   * @param {string} tag - 标签名
+   * @param {string} className - 类名
+   * @param {string} text - 文字
+   * @returns {HTMLElement}
+   */
+  function createElement(tag, className, text) {
+    const el = document.createElement(tag);
+    if (className) el.className = className;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  /**
+   * 比赛概况：英雄、胜负与数据
+   * @param {object} match - 比赛数据
+   * @returns {HTMLElement}
+   */
+  function createHeader(match) {
+    const player = match.player;
+    const ally = player.side === 'dire' ? 'dire' : 'radiant';
+    const enemy = ally === 'dire' ? 'radiant' : 'dire';
+    const won = (ally === 'radiant') === !!match.radiantWin;
+    const score = match.score || {};
+
+    const header = createElement('div', 'match-demo-header');
+    const title = createElement('h3', 'match-demo-title');
+    title.appendChild(createElement('span', 'match-demo-hero', heroName(player.hero)));
+    title.appendChild(createElement('span', `match-demo-outcome ${won ? 'is-win' : 'is-loss'}`, translate(won ? 'demo.result.win' : 'demo.result.loss')));
+    title.appendChild(createElement('span', 'match-demo-team', translate(`demo.teams.${ally}`)));
+    header.appendChild(title);
+
+    const stats = createElement('dl', 'match-demo-stats');
+    [
+      ['duration', formatTime(match.duration)],
+      ['score', `${score[ally] || 0} : ${score[enemy] || 0}`],
+      ['kda', `${player.kills || 0} / ${player.deaths || 0} / ${player.assists || 0}`],
+      ['gpm', String(player.gpm || 0)],
+      ['xpm', String(player.xpm || 0)],
+      ['lastHits', String(player.lastHits || 0)]
+    ].forEach(([key, value]) => {
+      const item = createElement('div', 'match-demo-stat');
+      item.appendChild(createElement('dt', '', translate(`demo.result.${key}`)));
+      item.appendChild(createElement('dd', '', value));
+      stats.appendChild(item);
+    });
+    header.appendChild(stats);
+
+    return header;
+  }
+
+  /**
+   * 经济 / 经验差曲线（canvas 绘制，aria-label 给出文字概括）
+   * @param {object} match - 比赛数据
+   * @returns {HTMLElement}
+   */
+  function createGraph(match) {
+    const figure = createElement('figure', 'match-demo-graph');
+    const caption = createElement('figcaption', 'match-demo-graph-caption');
+    caption.appendChild(createElement('span', 'match-demo-graph-title', translate('demo.graph.title')));
+
+    const legend = createElement('span', 'match-demo-legend');
+    legend.appendChild(createElement('span', 'match-demo-legend-gold', translate('demo.graph.gold')));
+    legend.appendChild(createElement('span', 'match-demo-legend-xp', translate('demo.graph.xp')));
+    caption.appendChild(legend);
+    figure.appendChild(caption);
+
+    const gold = getSeries(match, 'gold').map(point => point.value);
+    const canvas = createElement('canvas', 'match-demo-canvas');
+    canvas.setAttribute('role', 'img');
+    canvas.setAttribute('aria-label', translate('demo.graph.label', {
+      lead: Math.max(0, ...gold),
+      deficit: Math.abs(Math.min(0, ...gold)),
+      final: formatSigned(gold[gold.length - 1] || 0)
+    }));
+    figure.appendChild(canvas);
+
+    return figure;
+  }
+
+  /**
+   * 关键事件时间线
+   * @param {object} match - 比赛数据
+   * @returns {HTMLElement}
+   */
+  function createTimeline(match) {
+    const section = createElement('div', 'match-demo-panel');
+    section.appendChild(createElement('h4', 'match-demo-panel-title', translate('demo.timeline.title')));
+
+    const list = createElement('ol', 'match-demo-timeline');
+    match.events
+      .filter(event => event && EVENT_TYPES.indexOf(event.type) !== -1)
+      .slice()
+      .sort((a, b) => a.time - b.time)
+      .forEach(event => {
+        const ally = event.side === match.player.side;
+        const item = createElement('li', `match-demo-event is-${event.type === 'mistake' ? 'mistake' : ally ? 'ally' : 'enemy'}`);
+        const time = createElement('time', 'match-demo-event-time', formatTime(event.time));
+        time.setAttribute('datetime', `PT${Math.floor(event.time / 60)}M${Math.round(event.time % 60)}S`);
+
+        item.appendChild(time);
+        item.appendChild(createElement('span', 'match-demo-event-text', translate(`demo.events.${event.type}`, {
+          hero: event.hero ? heroName(event.hero) : '',
+          team: translate(`demo.teams.${event.side === 'dire' ? 'dire' : 'radiant'}`),
+          gold: Number(event.gold) || 0,
+          reason: (event.reason && translateOptional(`demo.mistakes.${event.reason}`)) || ''
+        })));
+        list.appendChild(item);
+      });
+
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * AI 总结：按结论类型选择文案，参数取自曲线与关键时刻
+   * @param {object} match - 比赛数据
+   * @returns {HTMLElement}
+   */
+  function createSummary(match) {
+    const summary = match.summary || {};
+    const gold = getSeries(match, 'gold');
+    const section = createElement('div', 'match-demo-panel match-demo-summary');
+    section.appendChild(createElement('h4', 'match-demo-panel-title', translate('demo.summary.title')));
+
+    // 翻盘看最大落后，其余看最大领先
+    const peak = gold.reduce((best, point) => {
+      const better = summary.verdict === 'comeback' ? point.value < best.value : point.value > best.value;
+      return better ? point : best;
+    }, gold[0] || { time: 0, value: 0 });
+
+    const text = translateOptional(`demo.summary.verdicts.${summary.verdict}`, {
+      hero: heroName(match.player.hero),
+      peak: Math.abs(peak.value),
+      minute: Math.round(peak.time / 60),
+      duration: formatTime(match.duration),
+      moment: formatTime(summary.keyMoment || 0)
+    });
+    if (text) section.appendChild(createElement('p', 'match-demo-summary-text', text));
+
+    const tips = (summary.tips || []).map(tip => translateOptional(`demo.summary.tips.${tip}`)).filter(Boolean);
+    if (tips.length) {
+      const list = createElement('ul', 'match-demo-tips');
+      tips.forEach(tip => list.appendChild(createElement('li', '', tip)));
+      section.appendChild(list);
+    }
+
+    return section;
+  }
+
+  /**
+   * 在 canvas 上绘制曲线：零线、刻度、事件位置与两条曲线
+   * @param {HTMLCanvasElement} canvas - 画布
+   * @param {object} match - 比赛数据
+   */
+  function drawGraph(canvas, match) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+
+    const width = canvas.clientWidth || 600;
+    const height = canvas.clientHeight || 240;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const gold = getSeries(match, 'gold');
+    const xp = getSeries(match, 'xp');
+    const largest = Math.max(1000, ...gold.concat(xp).map(point => Math.abs(point.value)));
+    // 纵轴范围取整到 5000
+    const range = Math.ceil(largest / 5000) * 5000;
+    const plotWidth = width - PADDING.left - PADDING.right;
+    const plotHeight = height - PADDING.top - PADDING.bottom;
+    const x = time => PADDING.left + (time / match.duration) * plotWidth;
+    const y = value => PADDING.top + (1 - (value + range) / (2 * range)) * plotHeight;
+
+    ctx.font = '11px Inter, sans-serif';
+    ctx.lineWidth = 1;
+
+    // 纵轴刻度
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    [-range, -range / 2, 0, range / 2, range].forEach(value => {
+      ctx.strokeStyle = value === 0 ? COLORS.text : COLORS.grid;
+      ctx.beginPath();
+      ctx.moveTo(PADDING.left, y(value));
+      ctx.lineTo(width - PADDING.right, y(value));
+      ctx.stroke();
+      ctx.fillStyle = COLORS.text;
+      ctx.fillText(formatSigned(value, true), PADDING.left - 6, y(value));
+    });
+
+    // 横轴每 10 分钟一个刻度
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let minute = 0; minute * 60 <= match.duration; minute += 10) {
+      ctx.fillText(`${minute}${minute ? '' : ' ' + translate('demo.graph.minutes')}`, x(minute * 60), height - PADDING.bottom + 6);
+    }
+
+    // 关键事件的位置
+    ctx.strokeStyle = COLORS.event;
+    ctx.setLineDash([3, 3]);
+    match.events.forEach(event => {
+      ctx.beginPath();
+      ctx.moveTo(x(event.time), PADDING.top);
+      ctx.lineTo(x(event.time), height - PADDING.bottom);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    [[xp, COLORS.xp], [gold, COLORS.gold]].forEach(([points, color]) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      points.forEach((point, index) => {
+        if (index === 0) {
+          ctx.moveTo(x(point.time), y(point.value));
+        } else {
+          ctx.lineTo(x(point.time), y(point.value));
+        }
+      });
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * 按当前语言生成分析结果
+   * @param {HTMLElement} container - 容器
+   */
+  function renderResult(container) {
+    const state = getState(container);
+    const result = container.querySelector('.match-demo-result');
+    if (!result || !state.match) return;
+
+    const match = state.match;
+    const columns = createElement('div', 'match-demo-columns');
+    columns.appendChild(createTimeline(match));
+    columns.appendChild(createSummary(match));
+
+    result.innerHTML = '';
+    result.appendChild(createHeader(match));
+    result.appendChild(createGraph(match));
+    result.appendChild(columns);
+
+    // 先显示再绘制，才能读到画布的实际尺寸
+    result.hidden = false;
+    drawGraph(result.querySelector('canvas'), match);
+  }
+
+  /**
+   * 提交比赛 ID
+   */
+  function handleSubmit(e) {
+    const container = e.target.closest && e.target.closest('[data-match-demo]');
+    if (!container || !e.target.classList.contains('match-demo-form')) return;
+
+    e.preventDefault();
+    analyze(container, e.target.querySelector('input').value);
+  }
+
+  /**
+   * 点击示例比赛
+   */
+  function handleClick(e) {
+    const sample = e.target.closest && e.target.closest('[data-match-sample]');
+    const container = sample && sample.closest('[data-match-demo]');
+    if (!container) return;
+
+    const input = container.querySelector('.match-demo-form input');
+    if (input) input.value = sample.getAttribute('data-match-sample');
+    analyze(container, sample.getAttribute('data-match-sample'));
+  }
+
+  /**
+   * 切换语言后重新翻译提示与结果
+   */
+  function handleLanguageChange() {
+    states.forEach((state, container) => {
+      updateStatus(container);
+      if (state.status === 'ready') renderResult(container);
+    });
+  }
+
+  /**
+   * 窗口大小变化后重新绘制曲线
+   */
+  function handleResize() {
+    states.forEach((state, container) => {
+      const canvas = container.querySelector('.match-demo-canvas');
+      if (state.status === 'ready' && canvas) drawGraph(canvas, state.match);
+    });
+  }
+
+  /**
+   * 客户端路由替换页面后，丢弃已不在页面中的演示
+   */
+  function handlePageChange() {
+    states.forEach((state, container) => {
+      if (document.contains(container)) return;
+      stop(state);
+      states.delete(container);
+    });
+  }
+
+  /**
+   * 初始化比赛分析演示
+   */
+  function init() {
+    if (started) return;
+    started = true;
+
+    resizeHandler = utils.throttle(handleResize, 200);
+    document.addEventListener('submit', handleSubmit);
+    document.addEventListener('click', handleClick);
+    window.addEventListener('languageChanged', handleLanguageChange);
+    window.addEventListener('pageChanged', handlePageChange);
+    window.addEventListener('resize', resizeHandler);
+  }
+
+  /**
+   * 中止请求与倒计时，移除监听器（已显示的结果保留）
+   */
+  function destroy() {
+    if (!started) return;
+    started = false;
+
+    states.forEach(stop);
+    states.clear();
+    document.removeEventListener('submit', handleSubmit);
+    document.removeEventListener('click', handleClick);
+    window.removeEventListener('languageChanged', handleLanguageChange);
+    window.removeEventListener('pageChanged', handlePageChange);
+    window.removeEventListener('resize', resizeHandler);
+    resizeHandler = null;
+  }
+
+  return {
+    init,
+    destroy,
+    analyze,
+    parseMatchId,
+    registerAdapter: adapters.register
+  };
+})();
+
+// ============================================
+// 站点地图
+// 站内页面、页内锚点以及各部分内容对应的翻译键，供 404 页面推荐和全站搜索使用
+// ============================================
+const siteMap = (function() {
+  'use strict';
+
+  /**
+   * 站内页面，标题为页面命名空间中的翻译键（找不到时回退到 common）
+   * - anchors: 页内锚点，keys 为该部分内容使用的顶层翻译键
+   * - faq: 常见问题数组的键，其中每个问题都有 #faq-<id> 锚点
+   */
+  const PAGES = [
+    {
+      path: 'index.html',
+      namespace: 'home',
+      title: 'nav.home',
+      anchors: [
+        { id: 'features', title: 'features.title', keys: ['features'] },
+        { id: 'how-it-works', title: 'howItWorks.title', keys: ['howItWorks'] },
+        { id: 'testimonials', title: 'testimonials.title', keys: ['testimonials'] }
+      ]
+    },
+    {
+      path: 'pages/features.html',
+      namespace: 'features',
+      title: 'nav.features',
+      anchors: [
+        { id: 'core', title: 'sections.core', keys: ['core'] },
+        { id: 'advanced', title: 'sections.advanced', keys: ['advanced'] },
+        { id: 'cards', title: 'sections.cards', keys: ['cards'] }
+      ]
+    },
+    {
+      path: 'pages/aigc.html',
+      namespace: 'aigc',
+      title: 'nav.aigc',
+      anchors: [
+        { id: 'analysis', title: 'sections.analysis', keys: ['analysis'] },
+        { id: 'demo', title: 'sections.demo', keys: ['demo'] },
+        { id: 'more', title: 'sections.more', keys: ['weekly', 'tarot', 'patch', 'tracking', 'topics'] },
+        { id: 'share', title: 'sections.share', keys: ['share'] }
+      ]
+    },
+    {
+      path: 'pages/community.html',
+      namespace: 'community',
+      title: 'nav.community',
+      anchors: [
+        { id: 'forum', title: 'forum.title', keys: ['forum'] },
+        { id: 'ugc', title: 'ugc.title', keys: ['ugc'] },
+        { id: 'coaches', title: 'coaches.title', keys: ['coaches'] },
+        { id: 'engagement', title: 'engagement.title', keys: ['engagement'] },
+        { id: 'discord', title: 'discord.title', keys: ['discord', 'social'] },
+        { id: 'faq', title: 'faq.title', keys: ['faq'] }
+      ],
+      faq: 'faq.items'
+    },
+    {
+      path: 'pages/pricing.html',
+      namespace: 'pricing',
+      title: 'nav.pricing',
+      anchors: [
+        { id: 'plans', title: 'hero.subtitle', keys: ['billing', 'period', 'equivalent', 'badges', 'plans', 'features'] },
+        { id: 'coach', title: 'coach.title', keys: ['coach'] },
+        { id: 'faq', title: 'faq.title', keys: ['faq'] }
+      ],
+      faq: 'faq.items'
+    },
+    {
+      path: 'pages/about.html',
+      namespace: 'about',
+      title: 'nav.about',
+      anchors: [
+        { id: 'mission', title: 'mission.title', keys: ['mission', 'story'] },
+        { id: 'values', title: 'values.title', keys: ['values'] },
+        { id: 'team', title: 'team.title', keys: ['team'] },
+        { id: 'contact-form', title: 'contact.title', keys: ['contact'] },
+        { id: 'faq', title: 'faq.title', keys: ['faq'] }
+      ],
+      faq: 'faq.items'
+    }
+  ];
+
+  /**
+   * 获取所有页面
+   * @returns {object[]}
+   */
+  function getPages() {
+    return PAGES.slice();
+  }
+
+  /**
+   * 站点根目录的绝对地址
+   * @returns {string}
+   */
+  function getRootUrl() {
+    return new URL(i18n.getRootPath(), window.location.href).href;
+  }
+
+  /**
+   * 页面（及锚点）的绝对地址
+   * @param {string} path - 相对于站点根目录的页面路径
+   * @param {string|null} id - 锚点
+   * @returns {string}
+   */
+  function getUrl(path, id) {
+    return new URL(path + (id ? '#' + id : ''), getRootUrl()).href;
+  }
+
+  /**
+   * 查找翻译键所在的页面与页内部分
+   * @param {string} namespace - 命名空间
+   * @param {string} key - 翻译键，如 'core.matchAnalysis.title'
+   * @returns {{page: object, anchor: object|null}|null} 不属于任何页面（如 common）时为 null
+   */
+  function locate(namespace, key) {
+    const page = PAGES.find(def => def.namespace === namespace);
+    if (!page) return null;
+
+    const top = key.split('.')[0];
+    const anchor = page.anchors.find(item => item.keys.indexOf(top) !== -1);
+    return { page, anchor: anchor || null };
+  }
+
+  return {
+    getPages,
+    getRootUrl,
+    getUrl,
+    locate
+  };
+})();
+
+// ============================================
+// 404 页面
+// 根据请求的路径从站内页面索引中推荐最接近的页面，搜索框在同一索引中按当前语言查找
+// ============================================
+const notFound = (function() {
+  'use strict';
+
+  // 请求路径中不代表内容的片段
+  const STOP_WORDS = ['pages', 'page', 'html', 'htm', 'php', 'index', 'www'];
+
+  // 单个词视为匹配所需的最低相似度，以及模糊匹配允许的长度差
+  const FUZZY = { minSimilarity: 0.8, maxLengthDifference: 2 };
+
+  // 最多推荐的页面数
+  const SUGGESTION_LIMIT = 5;
+
+  let started = false;
+  let container = null;
+  let index = [];
+
+  /**
+   * 按当前语言生成索引条目
+   * @returns {Array<{href: string, title: string, page: string|null, words: string, text: string}>}
+   */
+  function buildIndex() {
+    const entries = [];
+
+    siteMap.getPages().forEach(def => {
+      const pageTitle = i18n.t(def.title, def.namespace);
+      const slug = def.path.replace(/^pages\//, '').replace(/\.html$/, '');
+      const pageTokens = utils.tokenize(pageTitle).concat(utils.tokenize(slug === 'index' ? 'home' : slug));
+      const description = i18n.t('meta.description', def.namespace);
+
+      /**
+       * 添加一条索引
+       * @param {string|null} id - 锚点
+       * @param {string} title - 标题
+       * @param {string[]} tokens - 用于模糊匹配的词
+       * @param {string} text - 额外的可搜索文字
+       */
+      function add(id, title, tokens, text) {
+        entries.push({
+          href: siteMap.getUrl(def.path, id),
+          title,
+          page: id ? pageTitle : null,
+          words: tokens.join(' '),
+          text: [title, text].join(' ').toLowerCase()
+        });
+      }
+
+      add(null, pageTitle, pageTokens, description);
+      def.anchors.forEach(anchor => {
+        const title = i18n.t(anchor.title, def.namespace);
+        add(anchor.id, title, utils.tokenize(title).concat(utils.tokenize(anchor.id), pageTokens), '');
+      });
+
+      // 单个问题不带页面的词，路径或关键词只提到页面时推荐页面本身而不是它的每个问题
+      const questions = def.faq ? i18n.t(def.faq, def.namespace) : null;
+      if (Array.isArray(questions)) {
+        // 锚点与 faq 模块生成的一致
+        faq.normalizeEntries(questions).forEach(entry => {
+          add('faq-' + entry.id, entry.question, utils.tokenize(entry.question).concat(utils.tokenize(entry.id)), entry.answer);
+        });
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * 计算搜索词与条目的匹配度
+   * 每个词取与条目中最接近的词的相似度，没有接近的词时看是否出现在描述或回答中
+   * @param {string[]} terms - 搜索词
+   * @param {object} entry - 索引条目
+   * @param {boolean} strict - 是否要求每个词都匹配
+   * @returns {number} 0 ~ 1，0 表示不匹配
+   */
+  function score(terms, entry, strict) {
+    let total = 0;
+
+    for (let i = 0; i < terms.length; i++) {
+      const match = utils.fuzzyMatch(terms[i], entry.words, FUZZY);
+      const inText = terms[i].length > 1 && entry.text.indexOf(terms[i]) !== -1;
+      const best = match ? match.similarity : (inText ? FUZZY.minSimilarity : 0);
+      if (!best && strict) return 0;
+      total += best;
+    }
+
+    return terms.length ? total / terms.length : 0;
+  }
+
+  /**
+   * 按匹配度排序，匹配度相同时保持索引顺序（页面在其锚点之前）
+   * @param {string[]} terms - 搜索词
+   * @param {boolean} strict - 是否要求每个词都匹配
+   * @returns {object[]}
+   */
+  function rank(terms, strict) {
+    return index
+      .map((entry, position) => ({ entry, position, score: score(terms, entry, strict) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || a.position - b.position)
+      .map(result => result.entry);
+  }
+
+  /**
+   * 在当前语言的索引中搜索
+   * @param {string} query - 关键词，以空格分隔时每个词都需要匹配
+   * @returns {Array<{href: string, title: string, page: string|null}>}
+   */
+  function search(query) {
+    const terms = utils.tokenize(query);
+    return terms.length ? rank(terms, true).map(toResult) : [];
+  }
+
+  /**
+   * 获取请求的路径（相对于站点根目录，去掉语言前缀）
+   * @returns {string}
+   */
+  function getRequestedPath() {
+    const rootPath = new URL(siteMap.getRootUrl()).pathname;
+    let path = window.location.pathname;
+    path = path.indexOf(rootPath) === 0 ? path.slice(rootPath.length) : path.replace(/^\//, '');
+
+    try {
+      path = decodeURIComponent(path);
+    } catch (e) {}
+
+    const codes = i18n.getLocales().map(locale => locale.code);
+    const segments = path.split('/');
+    if (segments.length > 1 && codes.indexOf(segments[0]) !== -1) segments.shift();
+
+    return segments.join('/') + window.location.hash;
+  }
+
+  /**
+   * 根据路径推荐最接近的页面，路径中的词只要有一个接近即可
+   * @param {string} path - 相对于站点根目录的路径，如 'pages/pricng.html'
+   * @returns {Array<{href: string, title: string, page: string|null}>}
+   */
+  function suggest(path) {
+    const terms = utils.tokenize(path).filter(term => STOP_WORDS.indexOf(term) === -1);
+    return terms.length ? rank(terms, false).slice(0, SUGGESTION_LIMIT).map(toResult) : [];
+  }
+
+  /**
+   * 对外返回的条目字段
+   * @param {object} entry - 索引条目
+   * @returns {{href: string, title: string, page: string|null}}
+   */
+  function toResult(entry) {
+    return { href: entry.href, title: entry.title, page: entry.page };
+  }
+
+  /**
+   * 生成结果链接列表
+   * @param {Array<{href: string, title: string, page: string|null}>} results - 条目
+   */
+  function renderList(results) {
+    const list = container.querySelector('[data-not-found-results]');
+    list.innerHTML = '';
+
+    results.forEach(result => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.className = 'suggested-link';
+      link.href = result.href;
+
+      if (result.page) {
+        const page = document.createElement('span');
+        page.className = 'suggested-link-page';
+        page.textContent = result.page;
+        link.appendChild(page);
+        link.appendChild(document.createTextNode(' '));
+      }
+      link.appendChild(document.createTextNode(result.title));
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * 按搜索框内容显示搜索结果；搜索框为空时显示根据路径推荐的页面，没有接近的页面时列出所有页面
+   */
+  function update() {
+    const input = container.querySelector('[data-not-found-search] input');
+    const heading = container.querySelector('[data-not-found-heading]');
+    const status = container.querySelector('[data-not-found-status]');
+    const query = input ? input.value.trim() : '';
+
+    if (query) {
+      const results = search(query);
+      heading.hidden = true;
+      status.textContent = results.length
+        ? i18n.t('search.results', 'notfound', { count: results.length })
+        : i18n.t('search.noResults', 'notfound');
+      renderList(results);
+      return;
+    }
+
+    const suggestions = suggest(getRequestedPath());
+    heading.hidden = false;
+    heading.textContent = i18n.t(suggestions.length ? 'suggestions.title' : 'suggestions.popular', 'notfound');
+    status.textContent = '';
+    renderList(suggestions.length ? suggestions : index.filter(entry => !entry.page).map(toResult));
+  }
+
+  /**
+   * 按当前语言重建索引并更新页面
+   */
+  function render() {
+    if (!container) return;
+    index = buildIndex();
+
+    const path = container.querySelector('[data-not-found-path]');
+    if (path) {
+      let requested = window.location.pathname;
+      try {
+        requested = decodeURIComponent(requested);
+      } catch (e) {}
+      path.textContent = i18n.t('requested', 'notfound', { path: requested });
+      path.hidden = false;
+    }
+
+    update();
+  }
+
+  /**
+   * 搜索框输入时即时更新结果
+   */
+  function handleInput(e) {
+    if (e.target.closest && e.target.closest('[data-not-found-search]')) update();
+  }
+
+  /**
+   * 提交搜索时打开第一个结果
+   */
+  function handleSubmit(e) {
+    if (!e.target.matches || !e.target.matches('[data-not-found-search]')) return;
+    e.preventDefault();
+
+    const first = container.querySelector('[data-not-found-results] a');
+    if (first) window.location.assign(first.href);
+  }
+
+  /**
+   * 初始化 404 页面（页面上没有 [data-not-found] 时不做任何事）
+   * 索引用到所有页面的命名空间，加载完成后再生成
+   * @returns {Promise}
+   */
+  function init() {
+    if (started) return Promise.resolve();
+    container = document.querySelector('[data-not-found]');
+    if (!container) return Promise.resolve();
+    started = true;
+
+    document.addEventListener('input', handleInput);
+    document.addEventListener('submit', handleSubmit);
+    window.addEventListener('languageChanged', render);
+
+    return i18n.loadNamespaces(i18n.getNamespaces()).then(render);
+  }
+
+  /**
+   * 移除监听器
+   */
+  function destroy() {
+    if (!started) return;
+    started = false;
+
+    document.removeEventListener('input', handleInput);
+    document.removeEventListener('submit', handleSubmit);
+    window.removeEventListener('languageChanged', render);
+    container = null;
+  }
+
+  return {
+    init,
+    destroy,
+    search,
+    suggest
+  };
+})();
+
+// ============================================
+// 命令面板
+// Ctrl/Cmd+K 打开，在所有页面命名空间的文案中全文搜索（中文按字符 n-gram，英文容忍拼写错误），
+// 结果带高亮摘要并链接到所在页面的锚点；同时提供跳转页面、切换语言等操作
+// ============================================
+const palette = (function() {
+  'use strict';
+
+  // 中日韩文字按字符 n-gram 匹配
+  const CJK = /[぀-ヿ㐀-鿿豈-﫿가-힯]/;
+  const NGRAM = 2;
+
+  // 中文搜索词至少要有这一比例的 n-gram 出现在文本中
+  const MIN_NGRAM_RATIO = 0.5;
+
+  // 英文单词的拼写错误：最低相似度与允许的长度差，比 404 页的推荐更严格
+  const FUZZY = { minSimilarity: 0.85, maxLengthDifference: 2 };
+
+  // 标题中命中的权重
+  const TITLE_WEIGHT = 1.5;
+
+  // 不收录的顶层翻译键（页面元信息与正文重复）
+  const SKIPPED_KEYS = ['meta'];
+
+  // 最多显示的内容结果数
+  const MAX_RESULTS = 20;
+
+  // 摘要长度，以及第一个命中位置之前保留的字符数
+  const SNIPPET_LENGTH = 120;
+  const SNIPPET_CONTEXT = 30;
+
+  let started = false;
+  let root = null;
+  let input;
+  let list;
+  let status;
+
+  // 当前语言的内容索引，切换语言后重建
+  let index = null;
+  let indexing = null;
+  // 每次切换语言加一，建立期间语言变了的索引作废
+  let generation = 0;
+  // 最近一次建立失败，重新打开面板或切换语言时重试
+  let failed = false;
+
+  // 当前列出的结果与键盘选中的位置
+  let results = [];
+  let active = -1;
+  let returnFocus = null;
+
+  /**
+   * 把翻译文本转换为可搜索的纯文本：去掉标记，插值参数（含复数 / 选择语法）替换为省略号
+   * @param {string} value - 翻译文本
+   * @returns {string}
+   */
+  function toPlainText(value) {
+    let text = value.replace(/<[^>]*>/g, ' ');
+    while (/\{[^{}]*\}/.test(text)) {
+      text = text.replace(/\{[^{}]*\}/g, '…');
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * 遍历命名空间中的所有字符串
+   * @param {*} value - 当前值
+   * @param {string} key - 当前值的键路径
+   * @param {Function} callback - (key, text) => void
+   */
+  function walk(value, key, callback) {
+    if (typeof value === 'string') {
+      callback(key, value);
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(name => walk(value[name], key ? `${key}.${name}` : name, callback));
+    }
+  }
+
+  /**
+   * 按当前语言建立内容索引，每个字符串对应所在页面的锚点
+   * @returns {object[]}
+   */
+  function buildIndex() {
+    const docs = [];
+    const seen = new Set();
+
+    /**
+     * 添加一条内容（同一位置的相同文字只保留一条）
+     * @param {object} doc - { title, page, text, href }
+     */
+    function add(doc) {
+      const id = doc.href + '\n' + doc.text;
+      if (!/[\p{L}\p{N}]/u.test(doc.text) || seen.has(id)) return;
+      seen.add(id);
+
+      doc.kind = 'content';
+      doc.titleLower = doc.title.toLowerCase();
+      doc.lower = doc.text.toLowerCase();
+      docs.push(doc);
+    }
+
+    siteMap.getPages().forEach(def => {
+      const data = i18n.getTranslations(def.namespace);
+      if (!data) return;
+
+      const page = i18n.t(def.title, def.namespace);
+
+      // 常见问题逐条收录，问题作为标题，链接到 #faq-<id>
+      const questions = def.faq ? i18n.t(def.faq, def.namespace) : null;
+      if (Array.isArray(questions)) {
+        faq.normalizeEntries(questions).forEach(entry => {
+          add({
+            title: toPlainText(entry.question),
+            page,
+            text: toPlainText(entry.answer),
+            href: siteMap.getUrl(def.path, 'faq-' + entry.id)
+          });
+        });
+      }
+
+      walk(data, '', (key, value) => {
+        if (SKIPPED_KEYS.indexOf(key.split('.')[0]) !== -1) return;
+        if (def.faq && key.indexOf(def.faq + '.') === 0) return;
+
+        const anchor = siteMap.locate(def.namespace, key).anchor;
+        add({
+          title: anchor ? i18n.t(anchor.title, def.namespace) : page,
+          page,
+          text: toPlainText(value),
+          href: siteMap.getUrl(def.path, anchor ? anchor.id : null)
+        });
+      });
+    });
+
+    return docs;
+  }
+
+  /**
+   * 当前语言可用的操作：跳转到各页面、切换到其他语言
+   * @returns {object[]}
+   */
+  function getActions() {
+    const actions = [];
+
+    siteMap.getPages().forEach(def => {
+      const page = i18n.t(def.title, def.namespace);
+      const slug = def.path.replace(/^pages\//, '').replace(/\.html$/, '');
+      actions.push({
+        title: i18n.t('palette.actions.goTo', 'common', { page }),
+        keywords: [page, slug === 'index' ? 'home' : slug],
+        run: () => go(siteMap.getUrl(def.path, null))
+      });
+    });
+
+    i18n.getLocales()
+      .filter(locale => locale.code !== i18n.getLanguage())
+      .forEach(locale => {
+        actions.push({
+          title: i18n.t('palette.actions.language', 'common', { language: locale.name }),
+          keywords: [locale.code, locale.tag, locale.label, 'language'],
+          run: () => i18n.setLanguage(locale.code)
+        });
+      });
 
-    // 更新 HTML lang 属性
-    document.documentElement.lang = currentLang === 'zh' ? 'zh-CN' : 'en';
+    return actions.map(action => Object.assign(action, {
+      kind: 'action',
+      text: '',
+      titleLower: action.title.toLowerCase(),
+      lower: [action.title].concat(action.keywords).join(' ').toLowerCase()
+    }));
   }
 
   /**
-   * 切换语言
-   * @param {string} lang - 语言代码
-   * @returns {Promise}
+   * 查找子串出现的所有位置
+   * @param {string} text - 文本
+   * @param {string} term - 子串
+   * @returns {Array<number[]>} [start, end] 列表
    */
-  function setLanguage(lang) {
-    if (lang === currentLang) return Promise.resolve();
+  function findAll(text, term) {
+    const ranges = [];
+    let pos = text.indexOf(term);
+    while (pos !== -1) {
+      ranges.push([pos, pos + term.length]);
+      pos = text.indexOf(term, pos + term.length);
+    }
+    return ranges;
+  }
 
-    currentLang = lang;
+  /**
+   * 拆分为字符 n-gram，如 '深度分析' → ['深度', '度分', '分析']
+   * @param {string} term - 搜索词
+   * @returns {string[]}
+   */
+  function ngrams(term) {
+    const chars = Array.from(term);
+    const grams = [];
+    for (let i = 0; i + NGRAM <= chars.length; i++) {
+      grams.push(chars.slice(i, i + NGRAM).join(''));
+    }
+    return grams;
+  }
 
-    // 保存到 localStorage
-    try {
-      localStorage.setItem('daoyou-lang', lang);
-    } catch (e) {}
+  /**
+   * 中文：按 n-gram 匹配，词序不同或有错字时仍能命中
+   * @param {string} term - 搜索词
+   * @param {string} text - 小写文本
+   * @returns {{score: number, ranges: Array<number[]>}|null}
+   */
+  function matchNgrams(term, text) {
+    const grams = ngrams(term);
+    const ranges = [];
+    let found = 0;
 
-    return loadLanguage(lang).then(() => {
-      updatePageTranslations();
-      // 触发自定义事件
-      window.dispatchEvent(new CustomEvent('languageChanged', { detail: { lang } }));
+    grams.forEach(gram => {
+      const hits = findAll(text, gram);
+      if (hits.length) {
+        found++;
+        ranges.push(...hits);
+      }
     });
+
+    const ratio = grams.length ? found / grams.length : 0;
+    return ratio >= MIN_NGRAM_RATIO ? { score: ratio * 0.8, ranges } : null;
   }
 
   /**
-   * 获取当前语言
-   * @returns {string}
+   * 英文：找到最接近的单词，容忍拼写错误
+   * @param {string} term - 搜索词
+   * @param {string} text - 小写文本
+   * @returns {{score: number, ranges: Array<number[]>}|null}
    */
-  function getLanguage() {
-    return currentLang;
+  function matchFuzzy(term, text) {
+    const best = utils.fuzzyMatch(term, text, FUZZY);
+    return best ? { score: best.similarity * 0.7, ranges: [[best.start, best.end]] } : null;
   }
 
   /**
-   * 初始化 i18n 系统
+   * 在文本中匹配单个搜索词：原文出现得分最高（英文在词首时更高），其次为 n-gram / 拼写错误
+   * @param {string} term - 小写的搜索词
+   * @param {string} text - 小写文本
+   * @returns {{score: number, ranges: Array<number[]>}|null}
    */
-  function init() {
-    // 从 localStorage 读取保存的语言偏好，或从浏览器语言检测
-    const savedLang = localStorage.getItem('daoyou-lang');
-    const browserLang = navigator.language.startsWith('zh') ? 'zh' : 'en';
-    currentLang = savedLang || browserLang;
+  function matchTerm(term, text) {
+    const cjk = CJK.test(term);
+    const ranges = findAll(text, term);
 
-    // 加载语言文件并更新页面
-    loadLanguage(currentLang).then(() => {
-      updatePageTranslations();
-      document.body.classList.add('i18n-loaded');
-    });
+    if (ranges.length) {
+      const atWord = ranges.some(range => range[0] === 0 || !/[\p{L}\p{N}]/u.test(text[range[0] - 1]));
+      return { score: cjk || atWord ? 1 : 0.8, ranges };
+    }
+    if (cjk) return matchNgrams(term, text);
+    if (term.length > 2) return matchFuzzy(term, text);
+    return null;
   }
 
-  return {
-    init,
-    t,
-    setLanguage,
-    getLanguage,
-    loadLanguage,
-    updatePageTranslations
-  };
-})();
+  /**
+   * 计算条目的匹配度，每个搜索词都需要出现在标题或正文中
+   * @param {string[]} terms - 搜索词
+   * @param {object} doc - 条目
+   * @returns {{doc: object, score: number, titleRanges: Array<number[]>, textRanges: Array<number[]>}|null}
+   */
+  function matchDoc(terms, doc) {
+    const titleRanges = [];
+    const textRanges = [];
+    let total = 0;
 
-// ============================================
-// 粒子特效系统
-// ============================================
-const particles = (function() {
-  'use strict';
+    for (let i = 0; i < terms.length; i++) {
+      const inTitle = matchTerm(terms[i], doc.titleLower);
+      const inText = matchTerm(terms[i], doc.lower);
+      if (!inTitle && !inText) return null;
 
-  let canvas, ctx;
-  let particlesArray = [];
-  let animationId;
+      total += Math.max(inTitle ? inTitle.score * TITLE_WEIGHT : 0, inText ? inText.score : 0);
+      if (inTitle) titleRanges.push(...inTitle.ranges);
+      if (inText && doc.text) textRanges.push(...inText.ranges);
+    }
 
-  // 粒子配置
-  const config = {
-    count: 80,           // 粒子数量
-    size: 2,             // 粒子大小
-    speed: 0.5,          // 移动速度
-    opacity: 0.5,        // 透明度
-    connectionDistance: 150, // 连线距离
-    colors: ['#8b5cf6', '#3b82f6', '#ec4899', '#06b6d4'] // 粒子颜色
-  };
+    return { doc, score: total / terms.length, titleRanges, textRanges };
+  }
 
   /**
-   * 粒子类
+   * 搜索操作与内容，操作排在前面；关键词为空时只列出操作
+   * @param {string} query - 关键词，以空格分隔
+   * @returns {object[]}
    */
-  class Particle {
-    constructor(x, y) {
-      this.x = x || Math.random() * canvas.width;
-      this.y = y || Math.random() * canvas.height;
-      this.vx = (Math.random() - 0.5) * config.speed;
-      this.vy = (Math.random() - 0.5) * config.speed;
-      this.size = Math.random() * config.size + 1;
-      this.color = config.colors[Math.floor(Math.random() * config.colors.length)];
-      this.opacity = Math.random() * config.opacity + 0.1;
-      this.pulse = Math.random() * 0.02;
-      this.pulseDir = 1;
+  function find(query) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const actions = getActions();
+
+    if (!terms.length) {
+      return actions.map(doc => ({ doc, score: 0, titleRanges: [], textRanges: [] }));
     }
 
-    update() {
-      // 移动
-      this.x += this.vx;
-      this.y += this.vy;
+    const byScore = (a, b) => b.score - a.score;
+    const matchAll = docs => docs.map(doc => matchDoc(terms, doc)).filter(Boolean).sort(byScore);
 
-      // 脉冲效果
-      this.opacity += this.pulse * this.pulseDir;
-      if (this.opacity >= config.opacity || this.opacity <= 0.1) {
-        this.pulseDir *= -1;
-      }
+    // 同一位置只保留匹配度最高的一条
+    const seen = new Set();
+    const content = matchAll(index || []).filter(result => {
+      if (seen.has(result.doc.href)) return false;
+      seen.add(result.doc.href);
+      return true;
+    });
 
-      // 边界检测
-      if (this.x < 0 || this.x > canvas.width) this.vx *= -1;
-      if (this.y < 0 || this.y > canvas.height) this.vy *= -1;
-    }
+    return matchAll(actions).concat(content.slice(0, MAX_RESULTS));
+  }
 
-    draw() {
-      ctx.beginPath();
-      ctx.arc(this.x, this.y, this.size, 0, Math.PI * 2);
-      ctx.fillStyle = this.color;
-      ctx.globalAlpha = this.opacity;
-      ctx.fill();
-      ctx.globalAlpha = 1;
-    }
+  /**
+   * 合并重叠的高亮区间
+   * @param {Array<number[]>} ranges - [start, end] 列表
+   * @returns {Array<number[]>}
+   */
+  function mergeRanges(ranges) {
+    const merged = [];
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(range => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push(range.slice());
+      }
+    });
+    return merged;
   }
 
   /**
-   * 初始化画布
+   * 截取第一个命中位置附近的文字作为摘要
+   * @param {string} text - 原文
+   * @param {Array<number[]>} ranges - 合并后的高亮区间
+   * @returns {{text: string, ranges: Array<number[]>}}
    */
-  function initCanvas() {
-    canvas = document.getElementById('particles-canvas');
-    if (!canvas) return;
+  function createSnippet(text, ranges) {
+    if (text.length <= SNIPPET_LENGTH) return { text, ranges };
 
-    ctx = canvas.getContext('2d');
-    resizeCanvas();
+    const start = Math.max(0, Math.min(ranges.length ? ranges[0][0] - SNIPPET_CONTEXT : 0, text.length - SNIPPET_LENGTH));
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+    const offset = prefix.length - start;
 
-    // 创建粒子
-    particlesArray = [];
-    for (let i = 0; i < config.count; i++) {
-      particlesArray.push(new Particle());
-    }
+    return {
+      text: prefix + text.slice(start, end) + (end < text.length ? '…' : ''),
+      ranges: ranges
+        .filter(range => range[0] >= start && range[1] <= end)
+        .map(range => [range[0] + offset, range[1] + offset])
+    };
   }
 
   /**
-   * 调整画布大小
+   * 写入文字，命中部分用 <mark> 标出
+   * @param {HTMLElement} el - 容器
+   * @param {string} text - 文字
+   * @param {Array<number[]>} ranges - 高亮区间
    */
-  function resizeCanvas() {
-    if (!canvas) return;
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
+  function highlight(el, text, ranges) {
+    let pos = 0;
+    mergeRanges(ranges).forEach(range => {
+      if (range[0] > pos) el.appendChild(document.createTextNode(text.slice(pos, range[0])));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(range[0], range[1]);
+      el.appendChild(mark);
+      pos = range[1];
+    });
+    if (pos < text.length) el.appendChild(document.createTextNode(text.slice(pos)));
   }
 
   /**
-   * 绘制粒子连线
+   * 生成结果分组
+   * @param {string} kind - 'action' 或 'content'
+   * @returns {HTMLElement}
    */
-  function drawConnections() {
-    for (let i = 0; i < particlesArray.length; i++) {
-      for (let j = i + 1; j < particlesArray.length; j++) {
-        const dx = particlesArray[i].x - particlesArray[j].x;
-        const dy = particlesArray[i].y - particlesArray[j].y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+  function createGroup(kind) {
+    const group = document.createElement('div');
+    group.className = 'palette-group';
+    group.setAttribute('role', 'group');
+    group.setAttribute('aria-labelledby', `palette-group-${kind}`);
 
-        if (distance < config.connectionDistance) {
-          const opacity = (1 - distance / config.connectionDistance) * 0.2;
-          ctx.beginPath();
-          ctx.strokeStyle = `rgba(139, 92, 246, ${opacity})`;
-          ctx.lineWidth = 1;
-          ctx.moveTo(particlesArray[i].x, particlesArray[i].y);
-          ctx.lineTo(particlesArray[j].x, particlesArray[j].y);
-          ctx.stroke();
-        }
+    const label = document.createElement('div');
+    label.className = 'palette-group-label';
+    label.id = `palette-group-${kind}`;
+    label.setAttribute('role', 'presentation');
+    label.textContent = i18n.t(kind === 'action' ? 'palette.groups.actions' : 'palette.groups.content', 'common');
+
+    group.appendChild(label);
+    return group;
+  }
+
+  /**
+   * 生成单个结果
+   * @param {object} result - find() 的结果
+   * @param {number} position - 在结果中的位置
+   * @returns {HTMLElement}
+   */
+  function createOption(result, position) {
+    const doc = result.doc;
+    const option = document.createElement('div');
+    option.className = `palette-option palette-option-${doc.kind}`;
+    option.id = `palette-option-${position}`;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+    option.setAttribute('data-index', String(position));
+
+    const title = document.createElement('span');
+    title.className = 'palette-option-title';
+    highlight(title, doc.title, result.titleRanges);
+    option.appendChild(title);
+
+    if (doc.kind === 'content') {
+      const page = document.createElement('span');
+      page.className = 'palette-option-page';
+      page.textContent = doc.page;
+      option.appendChild(page);
+
+      if (doc.text && doc.text !== doc.title) {
+        const snippet = createSnippet(doc.text, mergeRanges(result.textRanges));
+        const text = document.createElement('span');
+        text.className = 'palette-option-snippet';
+        highlight(text, snippet.text, snippet.ranges);
+        option.appendChild(text);
       }
     }
+
+    return option;
   }
 
   /**
-   * 动画循环
+   * 按输入框内容重新列出结果，并选中第一项
    */
-  function animate() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+  function render() {
+    const query = input.value.trim();
+    results = find(query);
+    active = results.length ? 0 : -1;
+    list.innerHTML = '';
 
-    particlesArray.forEach(particle => {
-      particle.update();
-      particle.draw();
+    let group = null;
+    let kind = null;
+    results.forEach((result, position) => {
+      if (result.doc.kind !== kind) {
+        kind = result.doc.kind;
+        group = createGroup(kind);
+        list.appendChild(group);
+      }
+      group.appendChild(createOption(result, position));
     });
 
-    drawConnections();
+    if (!query) {
+      status.textContent = '';
+    } else if (!index) {
+      status.textContent = i18n.t(failed ? 'palette.error' : 'palette.loading', 'common');
+    } else {
+      status.textContent = results.length
+        ? i18n.t('palette.results', 'common', { count: results.length })
+        : i18n.t('palette.noResults', 'common');
+    }
 
-    animationId = requestAnimationFrame(animate);
+    updateActive();
   }
 
   /**
-   * 鼠标交互 - 添加新粒子
+   * 同步选中项的样式、aria-selected 与输入框的 aria-activedescendant
    */
-  function addParticle(x, y) {
-    particlesArray.push(new Particle(x, y));
-    // 限制最大粒子数
-    if (particlesArray.length > config.count * 2) {
-      particlesArray.shift();
+  function updateActive() {
+    list.querySelectorAll('.palette-option').forEach(option => {
+      const selected = Number(option.getAttribute('data-index')) === active;
+      option.setAttribute('aria-selected', selected ? 'true' : 'false');
+      option.classList.toggle('is-active', selected);
+      if (selected && option.scrollIntoView) option.scrollIntoView({ block: 'nearest' });
+    });
+
+    if (active === -1) {
+      input.removeAttribute('aria-activedescendant');
+    } else {
+      input.setAttribute('aria-activedescendant', `palette-option-${active}`);
     }
   }
 
   /**
-   * 启动粒子系统
+   * 移动选中项（首尾循环）
+   * @param {number} step - 1 或 -1
    */
-  function start() {
-    initCanvas();
-    if (canvas) {
-      animate();
-    }
+  function move(step) {
+    if (!results.length) return;
+    active = (active + step + results.length) % results.length;
+    updateActive();
   }
 
   /**
-   * 停止粒子系统
+   * 打开站内地址：当前页面的锚点直接滚动，其他页面交给路由（未启用时普通跳转）
+   * @param {string} href - 绝对地址
    */
-  function stop() {
-    if (animationId) {
-      cancelAnimationFrame(animationId);
+  function go(href) {
+    const url = new URL(href);
+
+    if (url.pathname !== window.location.pathname) {
+      router.navigate(url.href);
+    } else if (url.hash && url.hash !== window.location.hash) {
+      window.location.hash = url.hash;
+    } else if (url.hash && modules.isStarted('navigation')) {
+      navigation.scrollToHash('smooth');
+    } else if (!url.hash) {
+      window.scrollTo({ top: 0, behavior: 'smooth' });
     }
   }
 
   /**
-   * 重新启动（用于窗口调整大小后）
+   * 执行结果：操作直接运行，内容打开所在位置
+   * @param {number} position - 在结果中的位置
    */
-  function restart() {
-    stop();
-    start();
-  }
-
-  return {
-    start,
-    stop,
-    restart,
-    addParticle
-  };
-})();
+  function run(position) {
+    const result = results[position];
+    if (!result) return;
 
-// ============================================
-// 滚动动画系统
-// ============================================
-const scrollReveal = (function() {
-  'use strict';
+    close();
+    if (result.doc.run) {
+      result.doc.run();
+    } else {
+      go(result.doc.href);
+    }
+  }
 
-  const observerOptions = {
-    root: null,
-    rootMargin: '0px',
-    threshold: 0.1
-  };
+  /**
+   * 建立当前语言的索引（需要加载所有命名空间）
+   * 建立期间切换了语言时丢弃结果，改为等待新语言的索引；失败时返回 null
+   * @returns {Promise}
+   */
+  function ensureIndex() {
+    if (index) return Promise.resolve(index);
 
-  let observer;
+    if (!indexing) {
+      const current = generation;
+      failed = false;
+      indexing = modules.ready('i18n')
+        .then(() => i18n.loadNamespaces(i18n.getNamespaces()))
+        .then(() => {
+          if (current === generation) index = buildIndex();
+        })
+        .catch(err => {
+          if (current !== generation) return;
+          console.warn('Command palette: failed to build the search index', err);
+          failed = true;
+        })
+        .then(() => {
+          if (current !== generation) return ensureIndex();
+          indexing = null;
+          return index;
+        });
+    }
+    return indexing;
+  }
 
   /**
-   * 处理元素进入视口
+   * 更新面板中的固定文字
    */
-  function handleIntersection(entries) {
-    entries.forEach((entry, index) => {
-      if (entry.isIntersecting) {
-        // 添加延迟以实现交错动画效果
-        setTimeout(() => {
-          entry.target.classList.add('active');
-        }, index * 100);
-        observer.unobserve(entry.target);
-      }
+  function updateLabels() {
+    root.querySelector('.palette-title').textContent = i18n.t('palette.title', 'common');
+    input.placeholder = i18n.t('palette.placeholder', 'common');
+    root.querySelectorAll('[data-palette-hint]').forEach(el => {
+      el.textContent = i18n.t(`palette.hints.${el.getAttribute('data-palette-hint')}`, 'common');
     });
   }
 
   /**
-   * 初始化观察器
+   * 创建面板
    */
-  function init() {
-    // 检查浏览器支持
-    if (!('IntersectionObserver' in window)) {
-      // 不支持则直接显示所有元素
-      document.querySelectorAll('.reveal').forEach(el => {
-        el.classList.add('active');
-      });
-      return;
-    }
+  function create() {
+    root = document.createElement('div');
+    root.className = 'palette';
+    root.hidden = true;
+    root.innerHTML = `
+      <div class="palette-backdrop"></div>
+      <div class="palette-dialog" role="dialog" aria-modal="true" aria-labelledby="palette-title">
+        <h2 class="palette-title sr-only" id="palette-title"></h2>
+        <div class="palette-search">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <circle cx="11" cy="11" r="8"/>
+            <path d="m21 21-4.35-4.35"/>
+          </svg>
+          <input type="text" class="palette-input" role="combobox" aria-labelledby="palette-title" aria-expanded="true" aria-controls="palette-list" aria-autocomplete="list" autocomplete="off" spellcheck="false">
+        </div>
+        <div class="palette-list" id="palette-list" role="listbox" aria-labelledby="palette-title"></div>
+        <p class="palette-status" role="status" aria-live="polite"></p>
+        <div class="palette-hints" aria-hidden="true">
+          <span><kbd>↑</kbd><kbd>↓</kbd> <span data-palette-hint="navigate"></span></span>
+          <span><kbd>Enter</kbd> <span data-palette-hint="open"></span></span>
+          <span><kbd>Esc</kbd> <span data-palette-hint="close"></span></span>
+        </div>
+      </div>
+    `;
 
-    observer = new IntersectionObserver(handleIntersection, observerOptions);
+    input = root.querySelector('.palette-input');
+    list = root.querySelector('.palette-list');
+    status = root.querySelector('.palette-status');
 
-    // 观察所有带有 reveal 类的元素
-    document.querySelectorAll('.reveal').forEach(el => {
-      observer.observe(el);
-    });
+    input.addEventListener('input', render);
+    input.addEventListener('keydown', handleInputKeydown);
+    list.addEventListener('click', handleListClick);
+    list.addEventListener('mousemove', handleListHover);
+    root.querySelector('.palette-backdrop').addEventListener('click', close);
+
+    updateLabels();
+    document.body.appendChild(root);
   }
 
   /**
-   * 刷新观察器
+   * 面板是否打开
+   * @returns {boolean}
    */
-  function refresh() {
-    if (observer) {
-      document.querySelectorAll('.reveal').forEach(el => {
-        observer.observe(el);
+  function isOpen() {
+    return !!root && !root.hidden;
+  }
+
+  /**
+   * 打开面板，焦点移到输入框；首次打开时建立索引
+   */
+  function open() {
+    if (isOpen()) return;
+    if (!root) create();
+
+    returnFocus = document.activeElement;
+    root.hidden = false;
+    document.body.classList.add('palette-open');
+    input.value = '';
+    render();
+    input.focus();
+
+    if (!index) {
+      ensureIndex().then(() => {
+        if (isOpen()) render();
       });
     }
+    window.dispatchEvent(new CustomEvent('paletteOpen'));
   }
 
-  return {
-    init,
-    refresh
-  };
-})();
-
-// ============================================
-// 导航系统
-// ============================================
-const navigation = (function() {
-  'use strict';
+  /**
+   * 关闭面板，焦点回到打开前的元素
+   */
+  function close() {
+    if (!isOpen()) return;
 
-  let header;
-  let lastScrollY = 0;
+    root.hidden = true;
+    document.body.classList.remove('palette-open');
+    if (returnFocus && returnFocus.focus && document.contains(returnFocus)) {
+      returnFocus.focus();
+    }
+    returnFocus = null;
+    window.dispatchEvent(new CustomEvent('paletteClose'));
+  }
 
   /**
-   * 处理滚动事件
+   * 在当前语言中搜索（供脚本调用，必要时先建立索引）
+   * @param {string} query - 关键词
+   * @returns {Promise<Array<{kind: string, title: string, page: string, href: string}>>}
    */
-  function handleScroll() {
-    const scrollY = window.scrollY;
+  function search(query) {
+    return ensureIndex().then(() => find(query).map(result => ({
+      kind: result.doc.kind,
+      title: result.doc.title,
+      page: result.doc.page || null,
+      href: result.doc.href || null
+    })));
+  }
 
-    // 添加/移除 scrolled 类
-    if (scrollY > 50) {
-      header.classList.add('scrolled');
+  /**
+   * Ctrl/Cmd+K 在任何位置打开或关闭面板
+   */
+  function handleKeydown(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || !e.key || e.key.toLowerCase() !== 'k') return;
+    e.preventDefault();
+    if (isOpen()) {
+      close();
     } else {
-      header.classList.remove('scrolled');
+      open();
     }
+  }
 
-    lastScrollY = scrollY;
+  /**
+   * 输入框中的按键：↑ / ↓ 选择，Enter 执行，Esc 关闭；Tab 不离开面板
+   */
+  function handleInputKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      move(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      run(active);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+    }
   }
 
   /**
-   * 更新当前页面的导航链接状态
+   * 点击结果执行
    */
-  function updateActiveLink() {
-    const currentPage = window.location.pathname.replace(/\/$/, '').split('/').pop() || 'index.html';
-    document.querySelectorAll('.nav-link').forEach(link => {
-      const href = link.getAttribute('href');
-      if (href === currentPage || (currentPage === '' && href === 'index.html') || (currentPage === 'index.html' && href === '.')) {
-        link.classList.add('active');
-      } else {
-        link.classList.remove('active');
-      }
-    });
+  function handleListClick(e) {
+    const option = e.target.closest('.palette-option');
+    if (option) run(Number(option.getAttribute('data-index')));
   }
 
   /**
-   * 平滑滚动到锚点
+   * 鼠标经过时选中
    */
-  function smoothScrollToAnchor(e) {
-    const href = e.currentTarget.getAttribute('href');
-    if (href.startsWith('#')) {
-      e.preventDefault();
-      const target = document.querySelector(href);
-      if (target) {
-        const headerHeight = header.offsetHeight;
-        const targetPosition = target.offsetTop - headerHeight;
-        window.scrollTo({
-          top: targetPosition,
-          behavior: 'smooth'
-        });
-      }
+  function handleListHover(e) {
+    const option = e.target.closest('.palette-option');
+    const position = option ? Number(option.getAttribute('data-index')) : -1;
+    if (option && position !== active) {
+      active = position;
+      updateActive();
     }
   }
 
   /**
-   * 初始化导航
+   * 页面上的搜索按钮（[data-palette-open]）
+   */
+  function handleClick(e) {
+    const trigger = e.target.closest && e.target.closest('[data-palette-open]');
+    if (!trigger) return;
+    e.preventDefault();
+    open();
+  }
+
+  /**
+   * 切换语言后重建索引，打开时立即刷新
+   */
+  function handleLanguageChange() {
+    generation++;
+    index = null;
+    indexing = null;
+    if (!root) return;
+
+    updateLabels();
+    if (isOpen()) {
+      render();
+      ensureIndex().then(() => {
+        if (isOpen()) render();
+      });
+    }
+  }
+
+  /**
+   * 初始化命令面板（面板在首次打开时创建）
    */
   function init() {
-    header = document.querySelector('.header');
-    if (!header) return;
+    if (started) return;
+    started = true;
 
-    // 监听滚动
-    window.addEventListener('scroll', handleScroll, { passive: true });
-    handleScroll(); // 初始检查
+    document.addEventListener('keydown', handleKeydown);
+    document.addEventListener('click', handleClick);
+    window.addEventListener('languageChanged', handleLanguageChange);
+  }
 
-    // 更新当前链接
-    updateActiveLink();
+  /**
+   * 关闭并移除面板及监听器
+   */
+  function destroy() {
+    if (!started) return;
+    started = false;
 
-    // 平滑滚动
-    document.querySelectorAll('a[href^="#"]').forEach(link => {
-      link.addEventListener('click', smoothScrollToAnchor);
-    });
+    close();
+    document.removeEventListener('keydown', handleKeydown);
+    document.removeEventListener('click', handleClick);
+    window.removeEventListener('languageChanged', handleLanguageChange);
+    if (root && root.parentNode) root.parentNode.removeChild(root);
+    root = null;
+    index = null;
+    results = [];
   }
 
   return {
-    init
+    init,
+    destroy,
+    open,
+    close,
+    isOpen,
+    search
   };
 })();
 
 // ============================================
-// 移动端菜单
+// 加载屏幕
 // ============================================
-const mobileMenu = (function() {
+const loadingScreen = (function() {
   'use strict';
 
-  let menuBtn;
-  let menu;
-  let overlay;
+  // 同一会话中已经完整显示过一次时不再显示
+  const SESSION_KEY = 'daoyou-loaded';
 
-  /**
-   * 切换菜单
-   */
-  function toggle() {
-    menuBtn.classList.toggle('active');
-    menu.classList.toggle('active');
-    document.body.classList.toggle('menu-open');
-  }
+  // 最长等待时间（毫秒），可通过 <body data-loading-timeout> 修改
+  const DEFAULT_TIMEOUT = 5000;
+
+  // 首屏图片（懒加载的图片不计入）
+  const HERO_IMAGES = '.hero img, main > section:first-of-type img';
+
+  let screen;
+  let bar;
+  let label;
+  let timer = null;
+  let finished = true;
+
+  // 已登记 / 已完成的加载任务数，以及正在加载的语言文件
+  let total = 0;
+  let done = 0;
+  let shown = 0;
+  const pendingLocales = new Set();
 
   /**
-   * 关闭菜单
+   * 当前会话是否已经显示过加载屏幕
+   * @returns {boolean}
    */
-  function close() {
-    menuBtn.classList.remove('active');
-    menu.classList.remove('active');
-    document.body.classList.remove('menu-open');
+  function seenThisSession() {
+    try {
+      return sessionStorage.getItem(SESSION_KEY) === '1';
+    } catch (e) {
+      return false;
+    }
   }
 
   /**
-   * 初始化移动端菜单
+   * 获取指定语言的加载提示（来自语言清单，语言文件此时尚未加载）
+   * @param {string} lang - 语言代码
+   * @returns {{text: string, tag: string}}
    */
-  function init() {
-    menuBtn = document.querySelector('.mobile-menu-btn');
-    menu = document.querySelector('.mobile-menu');
-
-    if (!menuBtn || !menu) return;
-
-    // 点击按钮切换菜单
-    menuBtn.addEventListener('click', toggle);
-
-    // 点击菜单链接后关闭菜单
-    menu.querySelectorAll('.nav-link').forEach(link => {
-      link.addEventListener('click', close);
-    });
-
-    // 点击菜单外部关闭
-    document.addEventListener('click', (e) => {
-      if (!menu.contains(e.target) && !menuBtn.contains(e.target)) {
-        close();
-      }
-    });
+  function getLabel(lang) {
+    const locale = i18n.getLocales().find(item => item.code === lang);
+    return {
+      text: (locale && locale.loading) || 'Loading…',
+      tag: locale ? locale.tag : 'en'
+    };
   }
 
-  return {
-    init,
-    toggle,
-    close
-  };
-})();
+  /**
+   * 按检测到的语言更新提示文字
+   */
+  function updateLabel() {
+    if (!label) return;
 
-// ============================================
-// 语言切换器
-// ============================================
-const langSwitcher = (function() {
-  'use strict';
+    const current = getLabel(i18n.detectLanguage());
+    label.textContent = current.text;
+    label.setAttribute('lang', current.tag);
+  }
 
   /**
-   * 初始化语言切换器
+   * 更新进度条；新任务加入时进度条不回退
    */
-  function init() {
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const lang = btn.getAttribute('data-lang');
-        i18n.setLanguage(lang);
-      });
-    });
+  function render() {
+    if (finished) return;
+
+    shown = Math.max(shown, total ? done / total : 0);
+    bar.style.width = `${Math.round(shown * 100)}%`;
+    bar.parentNode.setAttribute('aria-valuenow', String(Math.round(shown * 100)));
+
+    if (total && done >= total) hide();
   }
 
-  return {
-    init
-  };
-})();
+  /**
+   * 登记一个加载任务，完成（或失败）后推进进度
+   * @param {Promise} promise - 任务
+   */
+  function track(promise) {
+    if (finished) return;
 
-// ============================================
-// 表单处理
-// ============================================
-const forms = (function() {
-  'use strict';
+    total++;
+    render();
+    Promise.resolve(promise).catch(() => {}).then(() => {
+      done++;
+      render();
+    });
+  }
 
   /**
-   * 处理表单提交
+   * i18n 开始加载某个语言文件
    */
-  function handleSubmit(e) {
-    e.preventDefault();
+  function handleLocaleLoading(e) {
+    if (finished) return;
 
-    const form = e.currentTarget;
-    const submitBtn = form.querySelector('[type="submit"]');
-    const originalText = submitBtn.textContent;
+    pendingLocales.add(`${e.detail.lang}/${e.detail.namespace}`);
+    total++;
+    render();
+  }
 
-    // 显示加载状态
-    submitBtn.disabled = true;
-    submitBtn.innerHTML = '<span class="loading"></span>';
+  /**
+   * i18n 完成加载某个语言文件
+   */
+  function handleLocaleLoaded(e) {
+    if (!pendingLocales.delete(`${e.detail.lang}/${e.detail.namespace}`)) return;
 
-    // 模拟提交（实际项目中替换为真实的 API 调用）
-    setTimeout(() => {
-      submitBtn.disabled = false;
-      submitBtn.textContent = i18n.t('common.subscribe', 'common') || 'Subscribe';
-      form.reset();
-      // 显示成功消息
-      alert('Thank you for subscribing!');
-    }, 1500);
+    done++;
+    render();
   }
 
   /**
-   * 初始化表单
+   * 等待图片加载完成（失败也算完成）
+   * @param {HTMLImageElement} img - 图片
+   * @returns {Promise}
    */
-  function init() {
-    document.querySelectorAll('form').forEach(form => {
-      form.addEventListener('submit', handleSubmit);
+  function imageLoaded(img) {
+    if (img.complete) return Promise.resolve();
+
+    return new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
     });
   }
 
-  return {
-    init
-  };
-})();
+  /**
+   * 登记页面的加载任务：语言数据、网页字体和首屏图片
+   */
+  function trackPage() {
+    // i18n.init() 完成时当前页面用到的语言文件都已加载，
+    // 在语言文件的请求发出之前就占住进度，避免字体和图片先完成时提前结束
+    track(modules.ready('i18n'));
 
-// ============================================
-// 加载屏幕
-// ============================================
-const loadingScreen = (function() {
-  'use strict';
+    if (document.fonts && document.fonts.ready) {
+      track(document.fonts.ready);
+    }
 
-  let screen;
+    document.querySelectorAll(HERO_IMAGES).forEach(img => {
+      if (img.getAttribute('loading') !== 'lazy') track(imageLoaded(img));
+    });
+  }
 
   /**
-   * 隐藏加载屏幕
+   * 淡出并移除加载屏幕
    */
-  function hide() {
+  function fadeOut() {
     if (!screen) return;
-    screen.classList.add('loaded');
-    // 动画结束后从 DOM 中移除
+    const current = screen;
+    current.classList.add('loaded');
+    // 淡出动画结束后从 DOM 中移除
     setTimeout(() => {
-      if (screen && screen.parentNode) {
-        screen.parentNode.removeChild(screen);
+      if (current.parentNode) {
+        current.parentNode.removeChild(current);
       }
     }, 500);
+    screen = null;
+  }
+
+  /**
+   * 隐藏加载屏幕（所有任务完成、等待超时或手动调用），本会话内不再显示
+   */
+  function hide() {
+    if (finished) return;
+
+    bar.style.width = '100%';
+    bar.parentNode.setAttribute('aria-valuenow', '100');
+    stopTracking();
+    fadeOut();
+
+    try {
+      sessionStorage.setItem(SESSION_KEY, '1');
+    } catch (e) {}
+  }
+
+  /**
+   * 停止监听与计时
+   */
+  function stopTracking() {
+    finished = true;
+    clearTimeout(timer);
+    timer = null;
+    window.removeEventListener('localeLoading', handleLocaleLoading);
+    window.removeEventListener('localeLoaded', handleLocaleLoaded);
+    pendingLocales.clear();
   }
 
   /**
@@ -693,44 +6151,68 @@ const loadingScreen = (function() {
    */
   function create() {
     // 检查是否已存在
-    if (document.querySelector('.loading-screen')) {
-      screen = document.querySelector('.loading-screen');
-      return;
+    screen = document.querySelector('.loading-screen');
+    if (!screen) {
+      screen = document.createElement('div');
+      screen.className = 'loading-screen';
+      screen.innerHTML = `
+        <div class="loading-logo">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 2L2 7l10 5 10-5-10-5z"/>
+            <path d="M2 17l10 5 10-5"/>
+            <path d="M2 12l10 5 10-5"/>
+          </svg>
+        </div>
+        <div class="loading-text" id="loading-text"></div>
+        <div class="loading-bar" role="progressbar" aria-labelledby="loading-text" aria-valuemin="0" aria-valuemax="100" aria-valuenow="0">
+          <div class="loading-bar-progress"></div>
+        </div>
+      `;
+      document.body.appendChild(screen);
     }
 
-    screen = document.createElement('div');
-    screen.className = 'loading-screen';
-    screen.innerHTML = `
-      <div class="loading-logo">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M12 2L2 7l10 5 10-5-10-5z"/>
-          <path d="M2 17l10 5 10-5"/>
-          <path d="M2 12l10 5 10-5"/>
-        </svg>
-      </div>
-      <div class="loading-text">刀友</div>
-      <div class="loading-bar">
-        <div class="loading-bar-progress"></div>
-      </div>
-    `;
-
-    document.body.appendChild(screen);
+    bar = screen.querySelector('.loading-bar-progress');
+    label = screen.querySelector('.loading-text');
+    updateLabel();
   }
 
   /**
    * 初始化加载屏幕
    */
   function init() {
+    if (!finished || seenThisSession()) return;
+
+    finished = false;
+    total = 0;
+    done = 0;
+    shown = 0;
     create();
-    // 页面加载完成后隐藏
-    window.addEventListener('load', () => {
-      setTimeout(hide, 500);
-    });
+
+    window.addEventListener('localeLoading', handleLocaleLoading);
+    window.addEventListener('localeLoaded', handleLocaleLoaded);
+    trackPage();
+
+    // 清单中可能有内置清单之外的语言，加载后重新检测提示文字的语言
+    i18n.loadManifest().then(updateLabel, () => {});
+
+    const timeout = parseInt(document.body.getAttribute('data-loading-timeout'), 10);
+    timer = setTimeout(hide, timeout >= 0 ? timeout : DEFAULT_TIMEOUT);
+  }
+
+  /**
+   * 立即移除加载屏幕
+   */
+  function destroy() {
+    stopTracking();
+    if (screen && screen.parentNode) screen.parentNode.removeChild(screen);
+    screen = null;
   }
 
   return {
     init,
-    hide
+    track,
+    hide,
+    destroy
   };
 })();
 
@@ -741,12 +6223,15 @@ const backToTop = (function() {
   'use strict';
 
   let button;
+  let scrollHandler;
   let scrollThreshold = 300;
 
   /**
    * 切换按钮显示状态
    */
   function toggleVisibility() {
+    // 节流的最后一次调用可能发生在 destroy() 之后
+    if (!button) return;
     const scrollY = window.scrollY;
     if (scrollY > scrollThreshold) {
       button.classList.add('visible');
@@ -793,69 +6278,475 @@ const backToTop = (function() {
    */
   function init() {
     create();
-    window.addEventListener('scroll', utils.throttle(toggleVisibility, 100));
+    scrollHandler = utils.throttle(toggleVisibility, 100);
+    window.addEventListener('scroll', scrollHandler);
     button.addEventListener('click', scrollToTop);
   }
 
+  /**
+   * 移除按钮和监听器
+   */
+  function destroy() {
+    if (!button) return;
+
+    window.removeEventListener('scroll', scrollHandler);
+    button.removeEventListener('click', scrollToTop);
+    if (button.parentNode) button.parentNode.removeChild(button);
+    button = null;
+    scrollHandler = null;
+  }
+
   return {
-    init
+    init,
+    destroy
   };
 })();
 
 // ============================================
-// 工具函数
+// Service Worker
 // ============================================
-const utils = {
+const serviceWorker = (function() {
+  'use strict';
+
+  let prompt;
+  let waitingWorker;
+  let reloading = false;
+
   /**
-   * 节流函数
+   * 创建“有新版本”提示条
    */
-  throttle(func, wait) {
-    let timeout;
-    let previous = 0;
-    return function(...args) {
-      const now = Date.now();
-      const remaining = wait - (now - previous);
-      if (remaining <= 0 || remaining > wait) {
-        if (timeout) {
-          clearTimeout(timeout);
-          timeout = null;
+  function createPrompt() {
+    prompt = document.createElement('div');
+    prompt.className = 'update-prompt';
+    prompt.setAttribute('role', 'status');
+    prompt.innerHTML = `
+      <span class="update-prompt-text" data-i18n="update.available" data-i18n-page="common"></span>
+      <button type="button" class="btn btn-primary update-prompt-reload" data-i18n="update.reload" data-i18n-page="common"></button>
+      <button type="button" class="update-prompt-dismiss" data-i18n-attr="aria-label:update.dismiss" data-i18n-page="common">&times;</button>
+    `;
+
+    prompt.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = i18n.t(el.getAttribute('data-i18n'), 'common');
+    });
+    prompt.querySelector('.update-prompt-dismiss').setAttribute('aria-label', i18n.t('update.dismiss', 'common'));
+
+    prompt.querySelector('.update-prompt-reload').addEventListener('click', applyUpdate);
+    prompt.querySelector('.update-prompt-dismiss').addEventListener('click', hidePrompt);
+    document.body.appendChild(prompt);
+  }
+
+  /**
+   * 显示更新提示
+   * @param {ServiceWorker} worker - 处于等待状态的新版本
+   */
+  function showPrompt(worker) {
+    waitingWorker = worker;
+    if (!prompt) createPrompt();
+    // 下一帧再添加类名，让过渡动画生效
+    requestAnimationFrame(() => prompt.classList.add('visible'));
+  }
+
+  /**
+   * 隐藏更新提示（新版本会在所有页面关闭后自动生效）
+   */
+  function hidePrompt() {
+    if (prompt) prompt.classList.remove('visible');
+  }
+
+  /**
+   * 让等待中的新版本立即接管，接管后刷新页面
+   */
+  function applyUpdate() {
+    if (!waitingWorker) return;
+    reloading = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  }
+
+  /**
+   * 监听新版本的安装，安装完成且当前页面已受控时提示更新
+   * 首次安装时页面还没有受控，不需要提示
+   * @param {ServiceWorkerRegistration} registration - 注册信息
+   */
+  function watchUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showPrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showPrompt(worker);
         }
-        previous = now;
-        func.apply(this, args);
-      } else if (!timeout) {
-        timeout = setTimeout(() => {
-          previous = Date.now();
-          timeout = null;
-          func.apply(this, args);
-        }, remaining);
+      });
+    });
+
+    // 只在用户确认更新后刷新；首次安装时的 clients.claim() 也会触发此事件
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!reloading) return;
+      reloading = false;
+      window.location.reload();
+    });
+  }
+
+  /**
+   * 注册站点根目录下的 sw.js（作用域覆盖整个站点）
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  function register() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) {
+      return Promise.resolve(null);
+    }
+
+    return navigator.serviceWorker.register(i18n.getRootPath() + 'sw.js').then(registration => {
+      watchUpdates(registration);
+      return registration;
+    }).catch(err => {
+      console.warn('Service worker registration failed:', err);
+      return null;
+    });
+  }
+
+  /**
+   * 页面加载完成后再注册，避免与首屏资源争抢带宽
+   */
+  function init() {
+    if (document.readyState === 'complete') {
+      register();
+    } else {
+      window.addEventListener('load', register);
+    }
+  }
+
+  return {
+    init,
+    register,
+    applyUpdate
+  };
+})();
+
+// ============================================
+// 模块注册表
+// 每个模块声明依赖与 init/destroy 钩子，按依赖顺序启动、按相反顺序销毁
+// ============================================
+const modules = (function() {
+  'use strict';
+
+  // 按注册顺序保存的模块定义
+  const registry = new Map();
+
+  // 已启动的模块（按启动顺序）及各自 init() 返回的 Promise
+  const started = [];
+  const readyPromises = {};
+
+  // start() 使用的配置，之后注册的模块按同一配置决定是否启动
+  let config = null;
+
+  /**
+   * 注册模块
+   * @param {string} name - 模块名
+   * @param {object} def - {
+   *   deps: 依赖的模块名（会先于本模块启动），
+   *   init: 启动钩子，可返回 Promise（依赖方不会等待它，需要时使用 ready()），
+   *   destroy: 销毁钩子，可选，
+   *   enabled: 默认是否启用，默认 true
+   * }
+   */
+  function register(name, def) {
+    if (registry.has(name)) {
+      console.warn(`Module "${name}" is already registered`);
+      return;
+    }
+
+    registry.set(name, {
+      name,
+      deps: def.deps || [],
+      init: def.init,
+      destroy: def.destroy,
+      enabled: def.enabled !== false
+    });
+
+    // 应用启动后才注册的模块（如 ES 模块的使用方追加的模块）连同尚未启动的依赖立即按配置启动
+    if (config) {
+      resolve(config, [name]).forEach(startModule);
+    }
+  }
+
+  /**
+   * 解析 <body data-modules> 的值
+   * "name" 或 "+name" 启用默认关闭的模块，"-name" 关闭默认启用的模块，以空格或逗号分隔
+   * @param {string|null} value - 属性值
+   * @returns {{enable: string[], disable: string[]}}
+   */
+  function parseConfig(value) {
+    const result = { enable: [], disable: [] };
+
+    (value || '').split(/[\s,]+/).filter(Boolean).forEach(token => {
+      if (token[0] === '-') {
+        result.disable.push(token.slice(1));
+      } else {
+        result.enable.push(token[0] === '+' ? token.slice(1) : token);
       }
-    };
-  },
+    });
+
+    return result;
+  }
 
   /**
-   * 防抖函数
+   * 计算需要启动的模块及启动顺序
+   * 启用的模块会连带启用其依赖；依赖被显式关闭、不存在或被跳过时跳过该模块
+   * @param {{enable: string[], disable: string[]}} cfg - 配置
+   * @param {string[]} names - 只计算这些模块（及其依赖），默认为全部已注册的模块
+   * @returns {string[]}
    */
-  debounce(func, wait) {
-    let timeout;
-    return function(...args) {
-      clearTimeout(timeout);
-      timeout = setTimeout(() => func.apply(this, args), wait);
-    };
-  },
+  function resolve(cfg, names) {
+    const order = [];
+    const visiting = new Set();
+    const skipped = new Set();
+
+    function visit(name, from) {
+      const mod = registry.get(name);
+      const reason = !mod ? 'not registered'
+        : cfg.disable.indexOf(name) !== -1 ? 'disabled'
+          : skipped.has(name) ? 'skipped' : null;
+      if (reason) {
+        if (from) console.warn(`Module "${from}" is skipped: dependency "${name}" is ${reason}`);
+        return false;
+      }
+      if (order.indexOf(name) !== -1) return true;
+      if (visiting.has(name)) {
+        console.warn(`Module "${name}" has a circular dependency`);
+        return false;
+      }
+
+      visiting.add(name);
+      const ok = mod.deps.every(dep => visit(dep, name));
+      visiting.delete(name);
+
+      if (!ok) {
+        skipped.add(name);
+        return false;
+      }
+      order.push(name);
+      return true;
+    }
+
+    (names || Array.from(registry.keys())).forEach(name => {
+      const mod = registry.get(name);
+      if (mod && (mod.enabled || cfg.enable.indexOf(name) !== -1)) visit(name);
+    });
+
+    return order;
+  }
 
   /**
-   * 检测元素是否在视口中
+   * 启动单个模块（依赖已启动）
+   * @param {string} name - 模块名
    */
-  isInViewport(element) {
-    const rect = element.getBoundingClientRect();
-    return (
-      rect.top >= 0 &&
-      rect.left >= 0 &&
-      rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
-      rect.right <= (window.innerWidth || document.documentElement.clientWidth)
-    );
+  function startModule(name) {
+    if (isStarted(name)) return;
+
+    const mod = registry.get(name);
+    try {
+      readyPromises[name] = Promise.resolve(mod.init ? mod.init() : undefined);
+      started.push(name);
+    } catch (err) {
+      console.error(`Module "${name}" failed to start:`, err);
+      readyPromises[name] = Promise.reject(err);
+    }
+    // 避免未处理的拒绝，调用方可通过 ready() 处理
+    readyPromises[name].catch(() => {});
   }
-};
+
+  /**
+   * 按配置启动所有模块
+   * @param {{enable: string[], disable: string[]}} cfg - 配置，见 parseConfig()
+   * @returns {string[]} 启动的模块
+   */
+  function start(cfg) {
+    config = cfg || { enable: [], disable: [] };
+    config.enable.concat(config.disable).forEach(name => {
+      if (!registry.has(name)) console.warn(`Unknown module "${name}" in data-modules`);
+    });
+    resolve(config).forEach(startModule);
+    return started.slice();
+  }
+
+  /**
+   * 销毁模块，依赖它的模块先被销毁；不传模块名时按启动的相反顺序销毁全部
+   * @param {string} name - 模块名
+   */
+  function destroy(name) {
+    if (name === undefined) {
+      started.slice().reverse().forEach(destroy);
+      config = null;
+      return;
+    }
+
+    const index = started.indexOf(name);
+    if (index === -1) return;
+
+    started.slice(index + 1).reverse().forEach(other => {
+      if (registry.get(other).deps.indexOf(name) !== -1) destroy(other);
+    });
+
+    const mod = registry.get(name);
+    started.splice(started.indexOf(name), 1);
+    delete readyPromises[name];
+    try {
+      if (mod.destroy) mod.destroy();
+    } catch (err) {
+      console.error(`Module "${name}" failed to stop:`, err);
+    }
+  }
+
+  /**
+   * 模块是否已启动
+   * @param {string} name - 模块名
+   * @returns {boolean}
+   */
+  function isStarted(name) {
+    return started.indexOf(name) !== -1;
+  }
+
+  /**
+   * 等待模块的 init() 完成；模块未启动时立即完成
+   * @param {string} name - 模块名
+   * @returns {Promise}
+   */
+  function ready(name) {
+    return readyPromises[name] || Promise.resolve();
+  }
+
+  /**
+   * 列出已注册的模块
+   * @returns {Array<{name: string, deps: string[], enabled: boolean, started: boolean}>}
+   */
+  function list() {
+    return Array.from(registry.values()).map(mod => ({
+      name: mod.name,
+      deps: mod.deps.slice(),
+      enabled: mod.enabled,
+      started: isStarted(mod.name)
+    }));
+  }
+
+  return {
+    register,
+    parseConfig,
+    resolve,
+    start,
+    destroy,
+    isStarted,
+    ready,
+    list
+  };
+})();
+
+modules.register('i18n', {
+  init: () => i18n.init()
+});
+
+modules.register('loadingScreen', {
+  deps: ['i18n'],
+  init: loadingScreen.init,
+  destroy: loadingScreen.destroy
+});
+
+modules.register('particles', {
+  init: particles.start,
+  destroy: particles.stop
+});
+
+modules.register('scrollReveal', {
+  init: scrollReveal.init,
+  destroy: scrollReveal.destroy
+});
+
+modules.register('navigation', {
+  deps: ['i18n'],
+  init() {
+    navigation.init();
+    // 翻译会改变页面布局，完成后再滚动到地址中的锚点
+    const scroll = () => navigation.scrollToHash();
+    modules.ready('i18n').then(scroll, scroll);
+  },
+  destroy: navigation.destroy
+});
+
+modules.register('mobileMenu', {
+  init: mobileMenu.init,
+  destroy: mobileMenu.destroy
+});
+
+modules.register('langSwitcher', {
+  deps: ['i18n'],
+  init: langSwitcher.init,
+  destroy: langSwitcher.destroy
+});
+
+modules.register('forms', {
+  deps: ['i18n'],
+  init: forms.init,
+  destroy: forms.destroy
+});
+
+modules.register('pricing', {
+  deps: ['i18n'],
+  init() {
+    // 卡片文字全部来自 pricing 命名空间，等翻译加载完成后再生成
+    return modules.ready('i18n').then(() => pricing.init());
+  },
+  destroy: pricing.destroy
+});
+
+modules.register('faq', {
+  deps: ['i18n'],
+  init() {
+    // 问题列表来自页面命名空间，等翻译加载完成后再生成
+    return modules.ready('i18n').then(() => faq.init());
+  },
+  destroy: faq.destroy
+});
+
+modules.register('matchDemo', {
+  deps: ['i18n'],
+  init: matchDemo.init,
+  destroy: matchDemo.destroy
+});
+
+modules.register('notFound', {
+  deps: ['i18n'],
+  init() {
+    // 索引的文字来自所有页面的命名空间，等当前语言确定后再加载
+    return modules.ready('i18n').then(() => notFound.init());
+  },
+  destroy: notFound.destroy
+});
+
+modules.register('palette', {
+  deps: ['i18n'],
+  init: palette.init,
+  destroy: palette.destroy
+});
+
+modules.register('backToTop', {
+  init: backToTop.init,
+  destroy: backToTop.destroy
+});
+
+modules.register('router', {
+  deps: ['i18n', 'navigation', 'scrollReveal'],
+  init: router.init,
+  destroy: router.destroy
+});
+
+modules.register('serviceWorker', {
+  deps: ['i18n'],
+  init: serviceWorker.init
+});
 
 // ============================================
 // 应用初始化
@@ -874,24 +6765,10 @@ const app = {
   },
 
   /**
-   * 启动应用
+   * 启动应用：按 <body data-modules> 启动模块，如 data-modules="-particles -loadingScreen"
    */
   start() {
-    // 初始化各个模块
-    // loadingScreen.init();  // 已禁用加载屏幕
-    i18n.init();
-    particles.start();
-    scrollReveal.init();
-    navigation.init();
-    mobileMenu.init();
-    langSwitcher.init();
-    forms.init();
-    backToTop.init();  // 初始化回到顶部按钮
-
-    // 窗口大小调整处理
-    window.addEventListener('resize', utils.throttle(() => {
-      particles.restart();
-    }, 200));
+    modules.start(modules.parseConfig(document.body.getAttribute('data-modules')));
 
     // 页面加载完成处理
     window.addEventListener('load', () => {
@@ -899,13 +6776,46 @@ const app = {
     });
 
     console.log('刀友 App Initialized');
+  },
+
+  /**
+   * 销毁所有模块
+   */
+  destroy() {
+    modules.destroy();
   }
 };
 
-// 导出模块（用于其他页面）
+// 导出模块（CommonJS，供 Node 中的脚本使用；ES 模块构建由 scripts/build.js 据此生成 export 语句）
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { i18n, particles, scrollReveal, navigation, mobileMenu };
+  module.exports = {
+    i18n,
+    particleEngine,
+    particles,
+    scrollReveal,
+    navigation,
+    mobileMenu,
+    router,
+    langSwitcher,
+    offlineQueue,
+    formTransport,
+    forms,
+    pricing,
+    faq,
+    matchDemo,
+    siteMap,
+    notFound,
+    palette,
+    loadingScreen,
+    backToTop,
+    serviceWorker,
+    utils,
+    modules,
+    app
+  };
 }
 
-// 启动应用
-app.init();
+// 启动应用（在 Node 中 require 时只导出模块，不启动）
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+  app.init();
+}
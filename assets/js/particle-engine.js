@@ -0,0 +1,594 @@
+/**
+ * 刀友 - AI Coach for Dota2
+ * 粒子模拟与绘制
+ *
+ * 不依赖 DOM：页面中由 main.js 的 particles 模块在主线程使用，
+ * 支持 OffscreenCanvas 时由 particles-worker.js 单独加载，Worker 不需要加载整个 main.js。
+ */
+
+// ============================================
+// 粒子模拟与绘制（不依赖 DOM，主线程与 Worker 共用）
+// ============================================
+const particleEngine = (function() {
+  'use strict';
+
+  let ctx;
+  let particlesArray = [];
+
+  // 画布逻辑尺寸（CSS 像素）与实际使用的设备像素比
+  let width = 0;
+  let height = 0;
+  let pixelRatio = 1;
+
+  // 指针位置（画布坐标），active 为 false 时不参与交互
+  const pointer = { x: 0, y: 0, active: false };
+
+  // 交互选项，由画布上的 data-particles-* 属性开启
+  let options = {
+    theme: 'default',
+    hover: null,   // 'attract' 吸引 / 'repel' 排斥
+    burst: false,  // 点击时迸发粒子
+    link: false    // 粒子与指针之间连线
+  };
+
+  // 默认粒子配置
+  const defaults = {
+    count: 80,           // 粒子数量（1280x800 视口下的基准值，按面积缩放）
+    size: 2,             // 粒子大小
+    speed: 0.5,          // 移动速度
+    opacity: 0.5,        // 透明度
+    connectionDistance: 150, // 连线距离
+    colors: ['#8b5cf6', '#3b82f6', '#ec4899', '#06b6d4'], // 粒子颜色
+    maxPixelRatio: 2,    // 设备像素比上限，避免高分屏上画布过大
+    minCount: 20,        // 自适应降级时的最少粒子数
+    minConnectionDistance: 80, // 自适应降级时的最短连线距离
+    targetFps: 50,       // 平均帧率低于该值时开始降级
+    linkColor: '139, 92, 246', // 连线颜色（RGB）
+    interactionRadius: 180, // 指针影响范围
+    interactionForce: 0.08, // 吸引/排斥力度
+    burstCount: 10,      // 每次点击迸发的粒子数
+    burstLife: 90        // 迸发粒子的存活帧数
+  };
+
+  // 颜色/行为预设，通过 data-particles-theme 选择，覆盖默认配置中的对应项
+  const themes = {
+    default: {},
+    'radiant-dire': {
+      colors: ['#22c55e', '#4ade80', '#ef4444', '#f87171'],
+      linkColor: '234, 179, 8',
+      speed: 0.6,
+      connectionDistance: 140
+    },
+    arcane: {
+      colors: ['#06b6d4', '#3b82f6', '#a855f7'],
+      linkColor: '6, 182, 212',
+      speed: 0.35,
+      size: 2.5,
+      connectionDistance: 170
+    }
+  };
+
+  // 当前生效的配置（默认配置 + 主题）
+  let config = defaults;
+
+  // 连线透明度分档数，同一档的连线合并为一条路径绘制
+  const CONNECTION_LEVELS = 5;
+
+  // 当前实际使用的参数，由自适应控制器在配置值与下限之间调整
+  const quality = {
+    count: config.count,
+    connectionDistance: config.connectionDistance
+  };
+
+  // 帧耗时统计
+  const frameStats = {
+    lastTime: 0,
+    average: 0,
+    slowFrames: 0,
+    fastFrames: 0
+  };
+
+
+  /**
+   * 粒子类
+   * @param {number} x - 初始 x 坐标，默认随机
+   * @param {number} y - 初始 y 坐标，默认随机
+   * @param {object} init - 可选的初始速度 { vx, vy } 与存活帧数 life（迸发粒子使用）
+   */
+  class Particle {
+    constructor(x, y, init = {}) {
+      this.x = x || Math.random() * width;
+      this.y = y || Math.random() * height;
+      // 基础速度：受指针影响后会逐渐恢复到该速度
+      this.baseVx = (Math.random() - 0.5) * config.speed;
+      this.baseVy = (Math.random() - 0.5) * config.speed;
+      this.vx = init.vx !== undefined ? init.vx : this.baseVx;
+      this.vy = init.vy !== undefined ? init.vy : this.baseVy;
+      this.size = Math.random() * config.size + 1;
+      this.color = randomColor();
+      this.opacity = Math.random() * config.opacity + 0.1;
+      this.pulse = Math.random() * 0.02;
+      this.pulseDir = 1;
+      this.life = init.life || null;
+      this.maxLife = this.life;
+    }
+
+    update() {
+      // 指针吸引/排斥
+      if (options.hover && pointer.active) {
+        const dx = pointer.x - this.x;
+        const dy = pointer.y - this.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 1 && distance < config.interactionRadius) {
+          const force = (1 - distance / config.interactionRadius) * config.interactionForce;
+          const direction = options.hover === 'repel' ? -1 : 1;
+          this.vx += (dx / distance) * force * direction;
+          this.vy += (dy / distance) * force * direction;
+        }
+      }
+
+      // 速度逐渐回到基础速度
+      this.vx += (this.baseVx - this.vx) * 0.02;
+      this.vy += (this.baseVy - this.vy) * 0.02;
+
+      // 移动
+      this.x += this.vx;
+      this.y += this.vy;
+
+      if (this.life !== null) {
+        // 迸发粒子随寿命淡出
+        this.life--;
+        this.opacity = Math.max(0, this.life / this.maxLife) * config.opacity;
+      } else {
+        // 脉冲效果
+        this.opacity += this.pulse * this.pulseDir;
+        if (this.opacity >= config.opacity || this.opacity <= 0.1) {
+          this.pulseDir *= -1;
+        }
+      }
+
+      // 边界检测
+      if (this.x < 0 || this.x > width) {
+        this.vx *= -1;
+        this.baseVx *= -1;
+      }
+      if (this.y < 0 || this.y > height) {
+        this.vy *= -1;
+        this.baseVy *= -1;
+      }
+    }
+  }
+
+  /**
+   * 从当前主题中随机取一种颜色
+   * @returns {string}
+   */
+  function randomColor() {
+    return config.colors[Math.floor(Math.random() * config.colors.length)];
+  }
+
+  /**
+   * 根据视口面积计算粒子数量，小屏幕上使用更少的粒子
+   * @returns {number}
+   */
+  function getTargetCount() {
+    const scale = Math.min(1, (width * height) / (1280 * 800));
+    return Math.max(config.minCount, Math.round(config.count * scale));
+  }
+
+  /**
+   * 把粒子放入空间网格，网格边长等于连线距离，
+   * 这样每个粒子只需要与自身及相邻格子中的粒子比较
+   * @param {number} cellSize - 网格边长
+   * @param {number} cols - 列数
+   * @returns {Map<number, Particle[]>}
+   */
+  function buildGrid(cellSize, cols) {
+    const grid = new Map();
+    const rows = Math.ceil(height / cellSize) + 1;
+
+    particlesArray.forEach(particle => {
+      const cx = Math.min(cols - 1, Math.max(0, Math.floor(particle.x / cellSize)));
+      const cy = Math.min(rows - 1, Math.max(0, Math.floor(particle.y / cellSize)));
+      const key = cy * cols + cx;
+
+      let cell = grid.get(key);
+      if (!cell) {
+        cell = [];
+        grid.set(key, cell);
+      }
+      cell.push(particle);
+    });
+
+    return grid;
+  }
+
+  /**
+   * 绘制粒子连线
+   * 使用空间网格查找邻居，并按透明度分档合并为少量路径一次描边
+   */
+  function drawConnections() {
+    const distance = quality.connectionDistance;
+    const distanceSq = distance * distance;
+    const cols = Math.ceil(width / distance) + 1;
+    const grid = buildGrid(distance, cols);
+
+    // 每档一个坐标数组：[x1, y1, x2, y2, ...]
+    const levels = [];
+    for (let i = 0; i < CONNECTION_LEVELS; i++) levels.push([]);
+
+    // 只检查自身、右、左下、下、右下五个方向，避免同一对粒子被比较两次
+    const offsets = [[0, 0], [1, 0], [-1, 1], [0, 1], [1, 1]];
+
+    grid.forEach((cell, key) => {
+      const cx = key % cols;
+      const cy = (key - cx) / cols;
+
+      offsets.forEach(([ox, oy]) => {
+        const nx = cx + ox;
+        if (nx < 0 || nx >= cols) return;
+
+        const other = ox === 0 && oy === 0 ? cell : grid.get((cy + oy) * cols + nx);
+        if (!other) return;
+
+        for (let i = 0; i < cell.length; i++) {
+          const a = cell[i];
+          for (let j = other === cell ? i + 1 : 0; j < other.length; j++) {
+            const b = other[j];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            const d2 = dx * dx + dy * dy;
+
+            if (d2 < distanceSq) {
+              const strength = 1 - Math.sqrt(d2) / distance;
+              const level = Math.min(CONNECTION_LEVELS - 1, Math.floor(strength * CONNECTION_LEVELS));
+              levels[level].push(a.x, a.y, b.x, b.y);
+            }
+          }
+        }
+      });
+    });
+
+    ctx.lineWidth = 1;
+    levels.forEach((lines, level) => {
+      if (!lines.length) return;
+
+      const opacity = ((level + 0.5) / CONNECTION_LEVELS) * 0.2;
+      ctx.strokeStyle = `rgba(${config.linkColor}, ${opacity})`;
+      ctx.beginPath();
+      for (let i = 0; i < lines.length; i += 4) {
+        ctx.moveTo(lines[i], lines[i + 1]);
+        ctx.lineTo(lines[i + 2], lines[i + 3]);
+      }
+      ctx.stroke();
+    });
+  }
+
+  /**
+   * 绘制指针与附近粒子之间的连线
+   */
+  function drawPointerLinks() {
+    const distance = quality.connectionDistance;
+
+    ctx.lineWidth = 1;
+    particlesArray.forEach(particle => {
+      const dx = pointer.x - particle.x;
+      const dy = pointer.y - particle.y;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      if (d < distance) {
+        ctx.strokeStyle = `rgba(${config.linkColor}, ${(1 - d / distance) * 0.4})`;
+        ctx.beginPath();
+        ctx.moveTo(pointer.x, pointer.y);
+        ctx.lineTo(particle.x, particle.y);
+        ctx.stroke();
+      }
+    });
+  }
+
+  /**
+   * 绘制粒子，按颜色和透明度分组后每组只填充一次
+   */
+  function drawParticles() {
+    const groups = {};
+
+    particlesArray.forEach(particle => {
+      const alpha = Math.round(particle.opacity * 10) / 10;
+      const key = `${particle.color}|${alpha}`;
+      (groups[key] = groups[key] || []).push(particle);
+    });
+
+    Object.keys(groups).forEach(key => {
+      const [color, alpha] = key.split('|');
+      ctx.fillStyle = color;
+      ctx.globalAlpha = Number(alpha);
+      ctx.beginPath();
+      groups[key].forEach(particle => {
+        ctx.moveTo(particle.x + particle.size, particle.y);
+        ctx.arc(particle.x, particle.y, particle.size, 0, Math.PI * 2);
+      });
+      ctx.fill();
+    });
+
+    ctx.globalAlpha = 1;
+  }
+
+  /**
+   * 记录帧耗时，持续掉帧时降级，长时间流畅时逐步恢复
+   * @param {number} time - requestAnimationFrame 时间戳
+   */
+  function sampleFrame(time) {
+    const delta = frameStats.lastTime ? time - frameStats.lastTime : 0;
+    frameStats.lastTime = time;
+
+    // 忽略首帧以及标签页切换等造成的长间隔
+    if (!delta || delta > 250) return;
+
+    frameStats.average = frameStats.average ? frameStats.average * 0.9 + delta * 0.1 : delta;
+    const budget = 1000 / config.targetFps;
+
+    if (frameStats.average > budget) {
+      frameStats.slowFrames++;
+      frameStats.fastFrames = 0;
+    } else if (frameStats.average < budget * 0.75) {
+      frameStats.fastFrames++;
+      frameStats.slowFrames = 0;
+    }
+
+    if (frameStats.slowFrames >= 30) {
+      frameStats.slowFrames = 0;
+      degrade();
+    } else if (frameStats.fastFrames >= 180) {
+      frameStats.fastFrames = 0;
+      upgrade();
+    }
+  }
+
+  /**
+   * 降低粒子数量和连线距离
+   */
+  function degrade() {
+    quality.count = Math.max(config.minCount, Math.round(quality.count * 0.8));
+    quality.connectionDistance = Math.max(config.minConnectionDistance, Math.round(quality.connectionDistance * 0.85));
+
+    if (particlesArray.length > quality.count) {
+      particlesArray.splice(0, particlesArray.length - quality.count);
+    }
+  }
+
+  /**
+   * 向配置值逐步恢复粒子数量和连线距离
+   */
+  function upgrade() {
+    const target = getTargetCount();
+    if (quality.count >= target && quality.connectionDistance >= config.connectionDistance) return;
+
+    quality.count = Math.min(target, Math.round(quality.count * 1.1) + 1);
+    quality.connectionDistance = Math.min(config.connectionDistance, Math.round(quality.connectionDistance * 1.05) + 1);
+
+    while (particlesArray.length < quality.count) {
+      particlesArray.push(new Particle());
+    }
+  }
+
+  /**
+   * 绘制一帧
+   * @param {boolean} step - 是否先推进粒子位置（静态渲染时为 false）
+   */
+  function renderFrame(step) {
+    ctx.clearRect(0, 0, width, height);
+
+    if (step) {
+      particlesArray.forEach(particle => particle.update());
+      // 移除寿命结束的迸发粒子
+      particlesArray = particlesArray.filter(particle => particle.life === null || particle.life > 0);
+    }
+    drawParticles();
+    drawConnections();
+    if (options.link && pointer.active) {
+      drawPointerLinks();
+    }
+  }
+
+  /**
+   * 绑定绘图上下文并应用交互选项与主题
+   * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} context - 绘图上下文
+   * @param {object} opts - 交互选项 { theme, hover, burst, link }
+   */
+  function init(context, opts) {
+    ctx = context;
+    options = Object.assign({}, options, opts);
+    config = Object.assign({}, defaults, themes[options.theme] || themes.default);
+
+    width = 0;
+    height = 0;
+    particlesArray = [];
+    pointer.active = false;
+    frameStats.lastTime = 0;
+    frameStats.average = 0;
+  }
+
+  /**
+   * 调整画布大小，按设备像素比放大绘图缓冲区以保证清晰度
+   * 首次调用时创建粒子，之后按比例移动已有粒子，而不是重新创建
+   * @param {number} cssWidth - 逻辑宽度（CSS 像素）
+   * @param {number} cssHeight - 逻辑高度（CSS 像素）
+   * @param {number} devicePixelRatio - 设备像素比
+   */
+  function resize(cssWidth, cssHeight, devicePixelRatio) {
+    if (!ctx) return;
+
+    const oldWidth = width;
+    const oldHeight = height;
+
+    width = cssWidth;
+    height = cssHeight;
+    pixelRatio = Math.min(devicePixelRatio || 1, config.maxPixelRatio);
+
+    ctx.canvas.width = Math.round(width * pixelRatio);
+    ctx.canvas.height = Math.round(height * pixelRatio);
+
+    // 之后的绘制都使用 CSS 像素坐标
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    if (!oldWidth || !oldHeight) {
+      // 创建粒子
+      quality.count = getTargetCount();
+      quality.connectionDistance = config.connectionDistance;
+      particlesArray = [];
+      for (let i = 0; i < quality.count; i++) {
+        particlesArray.push(new Particle());
+      }
+      return;
+    }
+
+    const scaleX = width / oldWidth;
+    const scaleY = height / oldHeight;
+    particlesArray.forEach(particle => {
+      particle.x *= scaleX;
+      particle.y *= scaleY;
+    });
+
+    // 粒子数量随面积变化，保留自适应控制器的降级比例
+    const areaScale = (width * height) / (oldWidth * oldHeight);
+    quality.count = Math.max(config.minCount, Math.min(getTargetCount(), Math.round(quality.count * areaScale)));
+    if (particlesArray.length > quality.count) {
+      particlesArray.splice(0, particlesArray.length - quality.count);
+    }
+    while (particlesArray.length < quality.count) {
+      particlesArray.push(new Particle());
+    }
+  }
+
+  /**
+   * 推进并绘制一帧
+   * @param {number} time - 帧时间戳，用于自适应质量控制
+   * @param {boolean} step - 是否推进粒子位置（静态渲染时为 false）
+   */
+  function frame(time, step) {
+    if (!ctx || !width) return;
+    if (step && time) sampleFrame(time);
+    renderFrame(step);
+  }
+
+  /**
+   * 新的一段动画开始时重置帧耗时统计，避免把暂停时长计入
+   */
+  function resetTiming() {
+    frameStats.lastTime = 0;
+  }
+
+  /**
+   * 更新指针位置
+   * @param {number} x - 画布 x 坐标
+   * @param {number} y - 画布 y 坐标
+   * @param {boolean} active - 指针是否在区域内
+   */
+  function setPointer(x, y, active) {
+    pointer.x = x;
+    pointer.y = y;
+    pointer.active = active;
+  }
+
+  /**
+   * 添加一个常驻粒子
+   */
+  function addParticle(x, y) {
+    if (!ctx) return;
+
+    particlesArray.push(new Particle(x, y));
+    // 限制最大粒子数，超出时移除最早的常驻粒子
+    const permanent = particlesArray.filter(particle => particle.life === null);
+    if (permanent.length > quality.count) {
+      particlesArray.splice(particlesArray.indexOf(permanent[0]), 1);
+    }
+  }
+
+  /**
+   * 在指定位置迸发一圈短暂存在的粒子
+   * @param {number} x - 画布 x 坐标
+   * @param {number} y - 画布 y 坐标
+   */
+  function burst(x, y) {
+    if (!ctx) return;
+
+    for (let i = 0; i < config.burstCount; i++) {
+      const angle = (Math.PI * 2 * i) / config.burstCount;
+      const speed = 1.5 + Math.random() * 1.5;
+      particlesArray.push(new Particle(x, y, {
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        life: config.burstLife
+      }));
+    }
+  }
+
+  /**
+   * 切换主题，已有粒子重新着色
+   * @param {string} name - 主题名称
+   * @returns {boolean} 主题是否存在
+   */
+  function setTheme(name) {
+    if (!themes[name]) return false;
+
+    options.theme = name;
+    config = Object.assign({}, defaults, themes[name]);
+    quality.connectionDistance = Math.min(quality.connectionDistance, config.connectionDistance);
+    particlesArray.forEach(particle => {
+      particle.color = randomColor();
+    });
+    return true;
+  }
+
+  /**
+   * 清空画布并释放粒子
+   */
+  function clear() {
+    if (ctx && width) {
+      ctx.clearRect(0, 0, width, height);
+    }
+    particlesArray = [];
+    ctx = null;
+    width = 0;
+    height = 0;
+  }
+
+  /**
+   * 判断主题是否存在
+   * @param {string} name - 主题名称
+   * @returns {boolean}
+   */
+  function hasTheme(name) {
+    return !!themes[name];
+  }
+
+  /**
+   * 获取当前的质量参数（调试用）
+   * @returns {{count: number, connectionDistance: number, frameTime: number}}
+   */
+  function getQuality() {
+    return {
+      count: particlesArray.length,
+      connectionDistance: quality.connectionDistance,
+      frameTime: frameStats.average
+    };
+  }
+
+  return {
+    init,
+    resize,
+    frame,
+    resetTiming,
+    setPointer,
+    addParticle,
+    burst,
+    setTheme,
+    hasTheme,
+    clear,
+    getQuality
+  };
+})();
+
+// 导出模块（CommonJS，供 Node 中的脚本使用；ES 模块构建由 scripts/build.js 合并进 main.esm.js）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { particleEngine };
+}
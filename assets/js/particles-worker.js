@@ -0,0 +1,110 @@
+/**
+ * 刀友 - AI Coach for Dota2
+ * 粒子特效 Worker
+ *
+ * 主线程通过 transferControlToOffscreen() 把画布交给这里绘制，
+ * 模拟与绘制逻辑直接复用 particle-engine.js 中的 particleEngine。
+ *
+ * 接收的消息:
+ * - init   { canvas, options, width, height, pixelRatio }
+ * - resize { width, height, pixelRatio }
+ * - pointer { x, y, active }
+ * - run / pause / render
+ * - add { x, y }, burst { x, y }, theme { name }
+ *
+ * 发出的消息:
+ * - quality { quality }  每秒上报一次当前质量参数（供 particles.getQuality() 使用）
+ */
+
+/* global particleEngine */
+'use strict';
+
+importScripts('particle-engine.js');
+
+const QUALITY_INTERVAL = 1000;
+
+let running = false;
+let frameId = null;
+let lastReport = 0;
+
+// Worker 中的 requestAnimationFrame 支持有限，不可用时退回定时器
+const requestFrame = typeof self.requestAnimationFrame === 'function'
+  ? self.requestAnimationFrame.bind(self)
+  : callback => setTimeout(() => callback(performance.now()), 16);
+const cancelFrame = typeof self.cancelAnimationFrame === 'function'
+  ? self.cancelAnimationFrame.bind(self)
+  : clearTimeout;
+
+/**
+ * 动画循环
+ * @param {number} time - 帧时间戳
+ */
+function animate(time) {
+  particleEngine.frame(time, true);
+
+  if (time - lastReport >= QUALITY_INTERVAL) {
+    lastReport = time;
+    self.postMessage({ type: 'quality', quality: particleEngine.getQuality() });
+  }
+
+  frameId = running ? requestFrame(animate) : null;
+}
+
+/**
+ * 启动动画循环
+ */
+function run() {
+  if (running) return;
+
+  running = true;
+  particleEngine.resetTiming();
+  frameId = requestFrame(animate);
+}
+
+/**
+ * 暂停动画循环（保留粒子状态）
+ */
+function pause() {
+  running = false;
+  if (frameId !== null) {
+    cancelFrame(frameId);
+    frameId = null;
+  }
+}
+
+self.onmessage = function(e) {
+  const data = e.data || {};
+
+  switch (data.type) {
+    case 'init':
+      particleEngine.init(data.canvas.getContext('2d'), data.options);
+      particleEngine.resize(data.width, data.height, data.pixelRatio);
+      break;
+    case 'resize':
+      particleEngine.resize(data.width, data.height, data.pixelRatio);
+      // 修改画布尺寸会清空画面，暂停状态下需要补绘一帧
+      if (!running) particleEngine.frame(0, false);
+      break;
+    case 'pointer':
+      particleEngine.setPointer(data.x, data.y, data.active);
+      break;
+    case 'run':
+      run();
+      break;
+    case 'pause':
+      pause();
+      break;
+    case 'render':
+      particleEngine.frame(0, false);
+      break;
+    case 'add':
+      particleEngine.addParticle(data.x, data.y);
+      break;
+    case 'burst':
+      particleEngine.burst(data.x, data.y);
+      break;
+    case 'theme':
+      particleEngine.setTheme(data.name);
+      break;
+  }
+};
@@ -0,0 +1,224 @@
+/**
+ * 刀友 - AI Coach for Dota2
+ * 工具函数
+ *
+ * 节流、防抖、适配器表、带超时的请求和模糊匹配等，不依赖 DOM。
+ * main.js、form-transport.js 与 Service Worker 共用，页面中需先于它们引入。
+ */
+
+// ============================================
+// 工具函数
+// ============================================
+const utils = {
+  /**
+   * 节流函数
+   */
+  throttle(func, wait) {
+    let timeout;
+    let previous = 0;
+    return function(...args) {
+      const now = Date.now();
+      const remaining = wait - (now - previous);
+      if (remaining <= 0 || remaining > wait) {
+        if (timeout) {
+          clearTimeout(timeout);
+          timeout = null;
+        }
+        previous = now;
+        func.apply(this, args);
+      } else if (!timeout) {
+        timeout = setTimeout(() => {
+          previous = Date.now();
+          timeout = null;
+          func.apply(this, args);
+        }, remaining);
+      }
+    };
+  },
+
+  /**
+   * 防抖函数
+   */
+  debounce(func, wait) {
+    let timeout;
+    return function(...args) {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+  },
+
+  /**
+   * 检测元素是否在视口中
+   */
+  isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return (
+      rect.top >= 0 &&
+      rect.left >= 0 &&
+      rect.bottom <= (window.innerHeight || document.documentElement.clientHeight) &&
+      rect.right <= (window.innerWidth || document.documentElement.clientWidth)
+    );
+  },
+
+  /**
+   * 读取整数属性
+   * @param {string|null} value - 属性值
+   * @param {number} fallback - 缺省或无效时的值
+   * @returns {number}
+   */
+  readNumber(value, fallback) {
+    const number = parseInt(value, 10);
+    return isNaN(number) ? fallback : number;
+  },
+
+  /**
+   * 创建按地址协议选择的适配器表：http / https / 相对路径使用 http 适配器，未知协议也回到 http
+   * @param {object} defaults - { 协议名: 适配器 }，需要包含 http
+   * @returns {{register: Function, get: Function}}
+   */
+  createAdapters(defaults) {
+    const adapters = Object.assign({}, defaults);
+
+    return {
+      /**
+       * 注册适配器
+       * @param {string} name - 协议名，如 'mock'
+       * @param {Function} adapter - 适配器
+       */
+      register(name, adapter) {
+        adapters[name] = adapter;
+      },
+
+      /**
+       * 根据地址选择适配器
+       * @param {string} url - 地址，如 mock:contact 或 /api/contact
+       * @returns {Function}
+       */
+      get(url) {
+        const match = /^([a-z][a-z0-9+.-]*):/i.exec(url);
+        const scheme = match ? match[1].toLowerCase() : 'http';
+        return adapters[scheme === 'https' ? 'http' : scheme] || adapters.http;
+      }
+    };
+  },
+
+  /**
+   * 带超时的请求：run 收到中止信号，超时后以 TimeoutError 中止请求并失败
+   * @param {Function} run - (signal) => Promise
+   * @param {number} timeout - 超时（毫秒）
+   * @param {AbortController|null} controller - 调用方需要自行中止时传入，默认新建
+   * @returns {Promise}
+   */
+  withTimeout(run, timeout, controller = typeof AbortController !== 'undefined' ? new AbortController() : null) {
+    let timer;
+
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error('Request timed out');
+        error.name = 'TimeoutError';
+        if (controller) controller.abort(error);
+        reject(error);
+      }, timeout);
+    });
+
+    const request = Promise.resolve().then(() => run(controller && controller.signal));
+
+    return Promise.race([request, timeoutPromise]).then(result => {
+      clearTimeout(timer);
+      return result;
+    }, err => {
+      clearTimeout(timer);
+      throw err;
+    });
+  },
+
+  /**
+   * 拆分为小写的词，中文等连续文字作为一个词
+   * @param {string} text - 文本
+   * @returns {string[]}
+   */
+  tokenize(text) {
+    return String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  },
+
+  /**
+   * 在文本中找到与搜索词最接近的词：相同为 1，前缀或包含优先，
+   * 长度相近（视为拼写错误）时按 Jaro-Winkler 计算
+   * @param {string} term - 小写的搜索词
+   * @param {string} text - 文本
+   * @param {object} options - { minSimilarity: 最低相似度，maxLengthDifference: 拼写错误允许的长度差 }
+   * @returns {{similarity: number, start: number, end: number}|null} 命中的词在小写文本中的位置
+   */
+  fuzzyMatch(term, text, options = {}) {
+    const minSimilarity = options.minSimilarity === undefined ? 0.8 : options.minSimilarity;
+    const maxLengthDifference = options.maxLengthDifference === undefined ? 2 : options.maxLengthDifference;
+    const lower = String(text).toLowerCase();
+    let best = null;
+    let from = 0;
+
+    utils.tokenize(lower).forEach(word => {
+      const start = lower.indexOf(word, from);
+      from = start + word.length;
+
+      let similarity = 0;
+      if (term === word) {
+        similarity = 1;
+      } else if ((term.length > 1 || /[^\x00-\x7f]/.test(term)) && word.indexOf(term) !== -1) {
+        // 单个英文字母太容易命中，中文单字则有意义
+        similarity = word.indexOf(term) === 0 ? 0.95 : 0.9;
+      } else if (Math.abs(term.length - word.length) <= maxLengthDifference) {
+        // 较短的词恰好是搜索词的前缀时（如 can / cancel）Jaro-Winkler 偏高，所以限制长度差
+        similarity = utils.jaroWinkler(term, word);
+      }
+
+      if (similarity >= minSimilarity && (!best || similarity > best.similarity)) {
+        best = { similarity, start, end: from };
+      }
+    });
+
+    return best;
+  },
+
+  /**
+   * Jaro-Winkler 相似度，对拼写错误和相同前缀友好
+   * @param {string} a - 词
+   * @param {string} b - 词
+   * @returns {number} 0 ~ 1
+   */
+  jaroWinkler(a, b) {
+    const range = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = [];
+    const matchedB = [];
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+      const end = Math.min(b.length, i + range + 1);
+      for (let j = Math.max(0, i - range); j < end; j++) {
+        if (!matchedB[j] && a[i] === b[j]) {
+          matchedA[i] = matchedB[j] = true;
+          matches++;
+          break;
+        }
+      }
+    }
+    if (!matches) return 0;
+
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+      if (!matchedA[i]) continue;
+      while (!matchedB[j]) j++;
+      if (a[i] !== b[j]) transpositions++;
+      j++;
+    }
+
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < 4 && a[prefix] !== undefined && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+  }
+};
+
+// 导出模块（CommonJS，供 Node 中的脚本使用；ES 模块构建由 scripts/build.js 合并进 main.esm.js）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { utils };
+}
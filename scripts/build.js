@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+/**
+ * 刀友 - AI Coach for Dota2
+ * 静态预渲染
+ *
+ * 离线执行与浏览器中相同的 data-i18n / data-i18n-attr 替换（直接复用 main.js 中的 i18n 模块），
+ * 并生成定价卡片（pricing 模块）与常见问题及其结构化数据（faq 模块），
+ * 为每种语言输出翻译完成的页面，客户端脚本只作为增强:
+ *
+ *   dist/
+ *   ├── index.html, pages/*.html        默认语言
+ *   ├── <lang>/index.html, <lang>/pages/*.html
+ *   ├── 404.html, sw.js                 404.html 的 <base> 指向站点根目录，sw.js 中的 VERSION 替换为输出内容的哈希
+ *   ├── assets/                         另外生成 ES 模块版本 assets/js/main.esm.js
+ *   └── locales/
+ *
+ * 用法: npm run build
+ * 环境变量 SITE_URL 指定站点地址（用于 hreflang / og:url），默认 http://localhost:8080/
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { i18n, pricing, faq } = require('../assets/js/main.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const SITE_URL = (process.env.SITE_URL || 'http://localhost:8080/').replace(/\/?$/, '/');
+
+// 原样复制到输出目录的共享资源
+const SHARED = ['assets', 'locales', '404.html', 'sw.js'];
+
+// 页面中先于 main.js 引入的脚本（assets/js/ 下），ES 模块构建时按顺序合并
+const SHARED_SCRIPTS = ['utils.js', 'particle-engine.js', 'form-transport.js'];
+
+/**
+ * 列出需要预渲染的页面
+ * @returns {string[]} 相对于仓库根目录的路径
+ */
+function listPages() {
+  const pages = fs.readdirSync(path.join(ROOT, 'pages'))
+    .filter(file => file.endsWith('.html'))
+    .sort()
+    .map(file => `pages/${file}`);
+  return ['index.html'].concat(pages);
+}
+
+/**
+ * 读取语言清单并注册所有语言数据
+ * @returns {object} 语言清单
+ */
+function loadLocales() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, 'manifest.json'), 'utf8'));
+  i18n.setManifest(manifest);
+
+  manifest.languages.forEach(locale => {
+    const dir = path.join(LOCALES_DIR, locale.code);
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        i18n.addTranslations(locale.code, path.basename(file, '.json'), data);
+      });
+  });
+
+  return manifest;
+}
+
+/**
+ * 让 main.js 中的 i18n 模块操作指定页面的 DOM
+ * @param {Window} window - jsdom 窗口
+ */
+function useWindow(window) {
+  global.window = window;
+  global.document = window.document;
+  global.CustomEvent = window.CustomEvent;
+}
+
+/**
+ * 带语言前缀的页面位于更深一级目录，指向共享资源的相对路径需要多退一级
+ * @param {Document} document - 页面文档
+ * @param {string} file - 原页面路径
+ */
+function rewriteSharedPaths(document, file) {
+  const base = new URL(file, SITE_URL);
+
+  document.querySelectorAll('[src], [href]').forEach(el => {
+    const attr = el.hasAttribute('src') ? 'src' : 'href';
+    const value = el.getAttribute(attr);
+
+    // 跳过绝对地址、根路径、锚点和 data: 等协议
+    if (!value || /^([a-z][a-z0-9+.-]*:|\/|#)/i.test(value)) return;
+
+    const sitePath = new URL(value, base).pathname.slice(new URL(SITE_URL).pathname.length);
+    if (SHARED.some(shared => sitePath === shared || sitePath.indexOf(shared + '/') === 0)) {
+      el.setAttribute(attr, '../' + value);
+    }
+  });
+}
+
+/**
+ * 预渲染单个页面
+ * @param {string} file - 页面路径
+ * @param {string} lang - 语言代码
+ * @param {boolean} prefixed - 是否输出到语言前缀目录
+ * @returns {Promise<string>} 翻译后的 HTML
+ */
+function renderPage(file, lang, prefixed) {
+  const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+  // 页面地址始终带语言前缀，这样 hreflang 备用链接指向各语言的静态副本
+  const dom = new JSDOM(html, { url: `${SITE_URL}${lang}/${file}` });
+
+  useWindow(dom.window);
+
+  return i18n.setLanguage(lang).then(() => {
+    i18n.updatePageTranslations();
+    dom.window.document.querySelectorAll('[data-pricing]').forEach(pricing.render);
+    dom.window.document.querySelectorAll('[data-faq]').forEach(faq.render);
+    faq.updateStructuredData();
+    if (prefixed) rewriteSharedPaths(dom.window.document, file);
+
+    const output = dom.serialize();
+    dom.window.close();
+    return output;
+  });
+}
+
+/**
+ * 写入文件（自动创建目录）
+ * @param {string} file - 相对于 dist/ 的路径
+ * @param {string} content - 内容
+ */
+function write(file, content) {
+  const target = path.join(DIST, file);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, content);
+}
+
+/**
+ * 由 main.js 生成 ES 模块版本 dist/assets/js/main.esm.js:
+ * 页面先于 main.js 引入的共用脚本合并在前面，CommonJS 导出改为 export 语句，脚本地址改用 import.meta.url
+ * @returns {string[]} 导出的名称
+ */
+function buildEsModule() {
+  const read = file => fs.readFileSync(path.join(ROOT, 'assets/js', file), 'utf8');
+  const exportsPattern = /\/\/ 导出模块[^\n]*\nif \(typeof module !== 'undefined' && module\.exports\) \{\n {2}module\.exports = \{([^}]*)\};\n\}\n/;
+  const requirePattern = /\/\/ 在 Node 中 require 时[^\n]*\nif \(typeof require === 'function'[^\n]*\n[\s\S]*?\n\}\n/;
+  const scriptSrc = "typeof document !== 'undefined' && document.currentScript && document.currentScript.src";
+
+  const source = read('main.js');
+  const match = source.match(exportsPattern);
+  if (!match || !requirePattern.test(source) || source.indexOf(scriptSrc) === -1) {
+    throw new Error('main.js: export block, shared script loading or script URL detection not found, cannot build the ES module');
+  }
+
+  const shared = SHARED_SCRIPTS.map(file => {
+    const script = read(file);
+    if (!exportsPattern.test(script)) throw new Error(`${file}: export block not found, cannot build the ES module`);
+    return script.replace(exportsPattern, '');
+  });
+
+  const names = match[1].split(',').map(name => name.trim()).filter(Boolean);
+  const output = shared.join('\n') + '\n' + source
+    .replace(requirePattern, '')
+    .replace(scriptSrc, 'import.meta.url')
+    .replace(exportsPattern, `export { ${names.join(', ')} };\n`);
+
+  write('assets/js/main.esm.js', output);
+  return names;
+}
+
+/**
+ * 404.html 可能出现在任意路径上，其中的相对地址以 <base> 为基准，这里改为 SITE_URL 的路径
+ * @returns {string} 站点根目录的路径
+ */
+function stampNotFoundBase() {
+  const rootPath = new URL(SITE_URL).pathname;
+  const file = path.join(DIST, '404.html');
+  const source = fs.readFileSync(file, 'utf8');
+  if (!/<base href="[^"]*">/.test(source)) {
+    throw new Error('404.html: <base href> not found');
+  }
+  fs.writeFileSync(file, source.replace(/<base href="[^"]*">/, `<base href="${rootPath}">`));
+  return rootPath;
+}
+
+/**
+ * 按输出内容计算版本号写入 dist/sw.js，内容变化时浏览器会安装新的 Service Worker 并提示更新
+ * @returns {string} 版本号
+ */
+function stampServiceWorker() {
+  const hash = crypto.createHash('sha256');
+
+  (function walk(dir) {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(file);
+        } else if (file !== path.join(DIST, 'sw.js')) {
+          hash.update(path.relative(DIST, file));
+          hash.update(fs.readFileSync(file));
+        }
+      });
+  })(DIST);
+
+  const version = hash.digest('hex').slice(0, 12);
+  const swPath = path.join(DIST, 'sw.js');
+  const source = fs.readFileSync(swPath, 'utf8');
+  if (!/const VERSION = '[^']*';/.test(source)) {
+    throw new Error('sw.js: VERSION constant not found');
+  }
+  fs.writeFileSync(swPath, source.replace(/const VERSION = '[^']*';/, `const VERSION = '${version}';`));
+  return version;
+}
+
+function main() {
+  const manifest = loadLocales();
+  const pages = listPages();
+
+  fs.rmSync(DIST, { recursive: true, force: true });
+  SHARED.forEach(shared => {
+    fs.cpSync(path.join(ROOT, shared), path.join(DIST, shared), { recursive: true });
+  });
+
+  // 逐个渲染，i18n 模块同一时间只能操作一个文档
+  const jobs = [];
+  manifest.languages.forEach(locale => {
+    pages.forEach(file => {
+      jobs.push({ file, lang: locale.code, out: `${locale.code}/${file}`, prefixed: true });
+      if (locale.code === manifest.defaultLanguage) {
+        jobs.push({ file, lang: locale.code, out: file, prefixed: false });
+      }
+    });
+  });
+
+  return jobs.reduce((chain, job) => chain.then(() => {
+    return renderPage(job.file, job.lang, job.prefixed).then(html => {
+      write(job.out, html);
+      console.log(`  ${job.out}`);
+    });
+  }), Promise.resolve()).then(() => {
+    console.log(`  assets/js/main.esm.js (exports ${buildEsModule().length} modules)`);
+    console.log(`  404.html (base ${stampNotFoundBase()})`);
+    const version = stampServiceWorker();
+    console.log(`Built ${jobs.length} pages into dist/ (${manifest.languages.map(l => l.code).join(', ')}), service worker version ${version}.`);
+  });
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
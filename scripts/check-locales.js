@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * 刀友 - AI Coach for Dota2
+ * 语言文件一致性检查
+ *
+ * 检查内容:
+ * - 某个语言中存在、另一个语言中缺失的键（包括整个缺失的命名空间文件）
+ * - 同一键在不同语言中的类型不一致（如数组 vs 字符串）
+ * - index.html、pages/*.html 与 404.html 中 data-i18n / data-i18n-attr / data-faq 引用了任何语言都未定义的键
+ * - locales/manifest.json 中的语言、命名空间与 locales/<lang>/*.json 是否一一对应
+ *
+ * 用法: npm run check:locales
+ * 发现问题时以非零状态码退出
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+const MANIFEST_PATH = path.join(LOCALES_DIR, 'manifest.json');
+
+/**
+ * 读取所有语言及其命名空间
+ * @returns {object} locales[lang][namespace] = data
+ */
+function readLocales() {
+  const locales = {};
+
+  fs.readdirSync(LOCALES_DIR)
+    .filter(lang => fs.statSync(path.join(LOCALES_DIR, lang)).isDirectory())
+    .forEach(lang => {
+      locales[lang] = {};
+      fs.readdirSync(path.join(LOCALES_DIR, lang))
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+          const namespace = path.basename(file, '.json');
+          const filePath = path.join(LOCALES_DIR, lang, file);
+          try {
+            locales[lang][namespace] = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          } catch (err) {
+            locales[lang][namespace] = { __error: err.message };
+          }
+        });
+    });
+
+  return locales;
+}
+
+/**
+ * 获取值的类型描述
+ * @param {any} value - 值
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * 将嵌套对象展开为 { 'a.b.0': type } 形式，与 i18n.t() 的键路径一致
+ * @param {object} obj - 语言数据
+ * @param {string} prefix - 当前路径前缀
+ * @param {object} out - 输出对象
+ * @returns {object}
+ */
+function flatten(obj, prefix, out) {
+  out = out || {};
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    out[fullKey] = typeOf(value);
+    if (value && typeof value === 'object') {
+      flatten(value, fullKey, out);
+    }
+  });
+  return out;
+}
+
+/**
+ * 比较各语言之间的键和类型
+ * @param {object} locales - 所有语言数据
+ * @returns {string[]} 问题列表
+ */
+function checkParity(locales) {
+  const problems = [];
+  const langs = Object.keys(locales);
+  const namespaces = new Set();
+  langs.forEach(lang => Object.keys(locales[lang]).forEach(ns => namespaces.add(ns)));
+
+  namespaces.forEach(ns => {
+    const flat = {};
+
+    langs.forEach(lang => {
+      const data = locales[lang][ns];
+      if (!data) {
+        problems.push(`[missing-file] locales/${lang}/${ns}.json does not exist`);
+        return;
+      }
+      if (data.__error) {
+        problems.push(`[invalid-json] locales/${lang}/${ns}.json: ${data.__error}`);
+        return;
+      }
+      flat[lang] = flatten(data);
+    });
+
+    const allKeys = new Set();
+    Object.keys(flat).forEach(lang => Object.keys(flat[lang]).forEach(key => allKeys.add(key)));
+
+    allKeys.forEach(key => {
+      const present = Object.keys(flat).filter(lang => key in flat[lang]);
+      const missing = Object.keys(flat).filter(lang => !(key in flat[lang]));
+
+      // 父键缺失或类型不一致时只报告父键，避免重复
+      const parent = key.includes('.') ? key.slice(0, key.lastIndexOf('.')) : null;
+      const parentReported = parent && (
+        missing.some(lang => !(parent in flat[lang])) ||
+        new Set(Object.keys(flat).map(lang => flat[lang][parent])).size > 1
+      );
+
+      if (missing.length && !parentReported) {
+        problems.push(`[missing-key] ${ns}.${key}: defined in ${present.join(', ')}, missing in ${missing.join(', ')}`);
+      }
+
+      const types = {};
+      present.forEach(lang => { types[lang] = flat[lang][key]; });
+      const distinct = new Set(Object.keys(types).map(lang => types[lang]));
+      if (distinct.size > 1) {
+        const detail = Object.keys(types).map(lang => `${lang}=${types[lang]}`).join(', ');
+        problems.push(`[type-mismatch] ${ns}.${key}: ${detail}`);
+      }
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * 检查语言清单：必填字段、引用的语言是否存在、目录是否都已登记
+ * @param {object} locales - 所有语言数据
+ * @returns {string[]} 问题列表
+ */
+function checkManifest(locales) {
+  const problems = [];
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+  } catch (err) {
+    return [`[manifest] locales/manifest.json: ${err.message}`];
+  }
+
+  const languages = Array.isArray(manifest.languages) ? manifest.languages : [];
+  if (!languages.length) {
+    return ['[manifest] locales/manifest.json: "languages" must be a non-empty array'];
+  }
+
+  const codes = [];
+  languages.forEach((locale, index) => {
+    ['code', 'tag', 'name'].forEach(field => {
+      if (!locale[field]) problems.push(`[manifest] languages[${index}] is missing "${field}"`);
+    });
+    if (locale.dir && locale.dir !== 'ltr' && locale.dir !== 'rtl') {
+      problems.push(`[manifest] languages[${index}].dir must be "ltr" or "rtl"`);
+    }
+    if (locale.code) {
+      codes.push(locale.code);
+      if (!locales[locale.code]) {
+        problems.push(`[manifest] language "${locale.code}" has no locales/${locale.code}/ directory`);
+      }
+    }
+  });
+
+  Object.keys(locales).forEach(lang => {
+    if (codes.indexOf(lang) === -1) {
+      problems.push(`[manifest] locales/${lang}/ is not listed in manifest.json`);
+    }
+  });
+
+  // 命名空间列表供页面与 Service Worker 使用，需与各语言目录中的文件一致
+  const namespaces = Array.isArray(manifest.namespaces) ? manifest.namespaces : [];
+  if (!namespaces.length) {
+    problems.push('[manifest] locales/manifest.json: "namespaces" must be a non-empty array');
+  }
+  Object.keys(locales).forEach(lang => {
+    namespaces.filter(ns => !locales[lang][ns]).forEach(ns => {
+      problems.push(`[manifest] namespace "${ns}" has no locales/${lang}/${ns}.json`);
+    });
+    Object.keys(locales[lang]).filter(ns => namespaces.indexOf(ns) === -1).forEach(ns => {
+      problems.push(`[manifest] locales/${lang}/${ns}.json is not listed in "namespaces"`);
+    });
+  });
+
+  [manifest.defaultLanguage].concat(manifest.fallback || []).forEach(code => {
+    if (code && codes.indexOf(code) === -1) {
+      problems.push(`[manifest] "${code}" is used as default/fallback but not listed in languages`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * 列出需要检查的 HTML 文件
+ * @returns {string[]} 相对于仓库根目录的路径
+ */
+function listHtmlFiles() {
+  const files = [];
+  if (fs.existsSync(path.join(ROOT, 'index.html'))) files.push('index.html');
+
+  const pagesDir = path.join(ROOT, 'pages');
+  if (fs.existsSync(pagesDir)) {
+    fs.readdirSync(pagesDir)
+      .filter(file => file.endsWith('.html'))
+      .sort()
+      .forEach(file => files.push(`pages/${file}`));
+  }
+
+  if (fs.existsSync(path.join(ROOT, '404.html'))) files.push('404.html');
+  return files;
+}
+
+/**
+ * 推断页面的默认命名空间（与 main.js 中 getCurrentPage() 一致）：
+ * <html data-i18n-page> 优先，否则根据文件路径判断
+ * @param {string} file - HTML 文件路径
+ * @param {string} html - HTML 源码
+ * @returns {string}
+ */
+function pageForFile(file, html) {
+  const declared = (html || '').match(/<html\b[^>]*\sdata-i18n-page="([^"]+)"/i);
+  if (declared) return declared[1];
+
+  const pages = ['features', 'aigc', 'community', 'pricing', 'about'];
+  for (let i = 0; i < pages.length; i++) {
+    if (file.includes(pages[i])) return pages[i];
+  }
+  return 'home';
+}
+
+/**
+ * 提取 HTML 中所有开始标签的属性
+ * @param {string} html - HTML 源码
+ * @returns {Array<{attrs: object, line: number}>}
+ */
+function parseTags(html) {
+  const tags = [];
+  const source = html.replace(/<!--[\s\S]*?-->/g, comment => comment.replace(/[^\n]/g, ' '));
+  const tagPattern = /<[a-zA-Z][\w-]*((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+  const attrPattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+  let match;
+  while ((match = tagPattern.exec(source))) {
+    const attrs = {};
+    let attr;
+    while ((attr = attrPattern.exec(match[1]))) {
+      const value = attr[2] !== undefined ? attr[2] : attr[3] !== undefined ? attr[3] : attr[4];
+      attrs[attr[1].toLowerCase()] = value === undefined ? '' : value;
+    }
+    const line = source.slice(0, match.index).split('\n').length;
+    tags.push({ attrs, line });
+  }
+
+  return tags;
+}
+
+/**
+ * 检查 HTML 中引用的键是否在任一语言中有定义
+ * 查找规则与 i18n.t() 一致：先查指定命名空间，再查 common
+ * @param {object} locales - 所有语言数据
+ * @returns {string[]} 问题列表
+ */
+function checkReferences(locales) {
+  const problems = [];
+  const langs = Object.keys(locales);
+  const flatCache = {};
+
+  function isDefined(ns, key) {
+    return langs.some(lang => {
+      const id = `${lang}/${ns}`;
+      if (!(id in flatCache)) {
+        const data = locales[lang][ns];
+        flatCache[id] = data && !data.__error ? flatten(data) : {};
+      }
+      return key in flatCache[id];
+    });
+  }
+
+  listHtmlFiles().forEach(file => {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const defaultPage = pageForFile(file, html);
+
+    parseTags(html).forEach(({ attrs, line }) => {
+      const ns = attrs['data-i18n-page'] || defaultPage;
+      const refs = [];
+
+      if (attrs['data-i18n']) refs.push(attrs['data-i18n']);
+      if ('data-faq' in attrs) refs.push(attrs['data-faq'] || 'faq.items');
+      if (attrs['data-i18n-attr']) {
+        const key = attrs['data-i18n-attr'].split(':')[1];
+        if (key) {
+          refs.push(key);
+        } else {
+          problems.push(`[bad-attr] ${file}:${line}: data-i18n-attr="${attrs['data-i18n-attr']}" should be "attr:key"`);
+        }
+      }
+
+      refs.forEach(key => {
+        if (!isDefined(ns, key) && !isDefined('common', key)) {
+          problems.push(`[undefined-ref] ${file}:${line}: "${key}" (namespace ${ns}) is not defined in any locale`);
+        }
+      });
+    });
+  });
+
+  return problems;
+}
+
+function main() {
+  const locales = readLocales();
+  const problems = checkManifest(locales)
+    .concat(checkParity(locales))
+    .concat(checkReferences(locales));
+
+  if (problems.length) {
+    problems.forEach(problem => console.error(problem));
+    console.error(`\n${problems.length} locale problem(s) found.`);
+    process.exit(1);
+  }
+
+  console.log(`Locales OK (${Object.keys(locales).join(', ')}).`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { readLocales, flatten, checkManifest, checkParity, checkReferences, parseTags };
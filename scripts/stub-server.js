@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * 刀友 - AI Coach for Dota2
+ * 本地桩服务器
+ *
+ * 提供站点静态文件，并模拟表单接口与比赛数据接口，用于在本地测试表单提交、重试、离线队列
+ * 以及比赛分析演示:
+ *
+ *   POST /api/<name>          记录请求内容并返回 { "ok": true }
+ *   GET  /api/matches/<id>    从 assets/data/matches.json 返回比赛数据，找不到时返回 404，
+ *                             超过频率限制时返回 429 与 Retry-After
+ *
+ * 查询参数可以模拟异常，例如 /api/contact?status=503&delay=3000
+ * 联系表单已指向 /api/contact，把演示的 data-source 改为 /api/matches 即可使用。
+ *
+ * 用法: npm run stub
+ * 环境变量:
+ *   PORT         端口，默认 8080
+ *   STUB_ROOT    静态文件目录，默认仓库根目录（可设为 dist 测试构建结果）
+ *   STUB_STATUS  所有接口默认返回的状态码，默认 200
+ *   STUB_DELAY   所有接口默认的响应延迟（毫秒），默认 300
+ *   STUB_RATE_LIMIT  比赛数据接口每分钟允许的请求数，默认 10
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', process.env.STUB_ROOT || '.');
+const PORT = parseInt(process.env.PORT, 10) || 8080;
+const DEFAULT_STATUS = parseInt(process.env.STUB_STATUS, 10) || 200;
+const DEFAULT_DELAY = parseInt(process.env.STUB_DELAY, 10) || 300;
+const RATE_LIMIT = parseInt(process.env.STUB_RATE_LIMIT, 10) || 10;
+const RATE_WINDOW = 60000;
+const MATCHES_FILE = path.join(ROOT, 'assets', 'data', 'matches.json');
+
+// 比赛数据接口最近的请求时间，用于模拟频率限制
+let matchRequests = [];
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * 发送 JSON 响应
+ * @param {http.ServerResponse} res - 响应
+ * @param {number} status - 状态码
+ * @param {object} body - 内容
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': CONTENT_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * 模拟表单接口
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ */
+function handleApi(req, res, url) {
+  if (req.method !== 'POST') {
+    sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+    return;
+  }
+
+  const status = parseInt(url.searchParams.get('status'), 10) || DEFAULT_STATUS;
+  const delay = parseInt(url.searchParams.get('delay'), 10) || DEFAULT_DELAY;
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    console.log(`${new Date().toISOString()} ${req.method} ${url.pathname} -> ${status}`);
+    console.log(`  ${req.headers['content-type'] || ''}`);
+    console.log(`  ${body.length > 500 ? body.slice(0, 500) + '…' : body}`);
+
+    setTimeout(() => {
+      sendJson(res, status, status < 400 ? { ok: true } : { ok: false, error: `Stub responded with ${status}` });
+    }, delay);
+  });
+}
+
+/**
+ * 模拟比赛数据接口
+ * @param {http.IncomingMessage} req - 请求
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ */
+function handleMatch(req, res, url) {
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { ok: false, error: 'Method not allowed' });
+    return;
+  }
+
+  const id = decodeURIComponent(url.pathname.slice('/api/matches/'.length));
+  const delay = parseInt(url.searchParams.get('delay'), 10) || DEFAULT_DELAY;
+  const forced = parseInt(url.searchParams.get('status'), 10);
+  const now = Date.now();
+
+  matchRequests = matchRequests.filter(time => now - time < RATE_WINDOW);
+
+  let status = 200;
+  let body;
+  let headers = {};
+
+  if (matchRequests.length >= RATE_LIMIT) {
+    const retryAfter = Math.ceil((matchRequests[0] + RATE_WINDOW - now) / 1000);
+    status = 429;
+    body = { ok: false, error: 'Rate limit exceeded' };
+    headers = { 'Retry-After': String(retryAfter) };
+  } else {
+    matchRequests.push(now);
+    const matches = JSON.parse(fs.readFileSync(MATCHES_FILE, 'utf8')).matches;
+
+    if (forced >= 400) {
+      status = forced;
+      body = { ok: false, error: `Stub responded with ${forced}` };
+    } else if (!matches[id]) {
+      status = 404;
+      body = { ok: false, error: 'Match not found' };
+    } else {
+      body = matches[id];
+    }
+  }
+
+  console.log(`${new Date().toISOString()} ${req.method} ${url.pathname} -> ${status}`);
+
+  setTimeout(() => {
+    res.writeHead(status, Object.assign({ 'Content-Type': CONTENT_TYPES['.json'] }, headers));
+    res.end(JSON.stringify(body));
+  }, delay);
+}
+
+/**
+ * 提供静态文件，找不到时返回 404.html
+ * @param {http.ServerResponse} res - 响应
+ * @param {URL} url - 请求地址
+ */
+function handleStatic(res, url) {
+  let file = path.join(ROOT, decodeURIComponent(url.pathname));
+  if (file !== ROOT && file.indexOf(ROOT + path.sep) !== 0) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+  if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+    file = path.join(file, 'index.html');
+  }
+
+  if (!fs.existsSync(file)) {
+    res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.html'] });
+    fs.createReadStream(path.join(ROOT, '404.html')).pipe(res);
+    return;
+  }
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+    'Cache-Control': 'no-cache'
+  });
+  fs.createReadStream(file).pipe(res);
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (url.pathname.indexOf('/api/matches/') === 0) {
+    handleMatch(req, res, url);
+  } else if (url.pathname.indexOf('/api/') === 0) {
+    handleApi(req, res, url);
+  } else {
+    handleStatic(res, url);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Stub server serving ${ROOT} at http://localhost:${PORT}/`);
+  console.log('Form endpoints: POST /api/<name>[?status=503&delay=3000]');
+  console.log(`Match data: GET /api/matches/<id> (${RATE_LIMIT} requests per minute)`);
+});
@@ -0,0 +1,209 @@
+/**
+ * 刀友 - AI Coach for Dota2
+ * Service Worker
+ *
+ * - 预缓存: 安装时缓存所有页面、静态资源和语言文件，缓存名带版本号
+ * - 页面: 网络优先，离线时使用缓存，缓存中也没有时返回 404.html
+ * - 语言文件: stale-while-revalidate，先用缓存渲染，后台更新
+ * - 其他静态资源: 缓存优先（未构建的开发版本改为网络优先）
+ * - 更新: 新版本安装后进入等待状态，由页面提示用户后发送 SKIP_WAITING 再激活
+ * - Background Sync: 恢复网络后重发离线期间排队的表单提交（逻辑与页面共用 form-transport.js 中的 formTransport.flushQueue）
+ */
+
+/* global formTransport */
+'use strict';
+
+importScripts('assets/js/utils.js', 'assets/js/form-transport.js');
+
+// 构建时（scripts/build.js）替换为站点内容的哈希，内容变化即产生新版本
+const VERSION = 'dev';
+const CACHE_PREFIX = 'daoyou-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+
+// 开发时（未经构建）文件随时会改，静态资源改为网络优先，避免一直拿到旧文件
+const DEV = VERSION === 'dev';
+
+// 路径相对于 sw.js 所在的站点根目录；语言文件根据 manifest.json 追加
+const PRECACHE = [
+  'index.html',
+  'pages/features.html',
+  'pages/aigc.html',
+  'pages/community.html',
+  'pages/pricing.html',
+  'pages/about.html',
+  '404.html',
+  'assets/css/main.css',
+  'assets/js/utils.js',
+  'assets/js/particle-engine.js',
+  'assets/js/form-transport.js',
+  'assets/js/main.js',
+  'assets/js/particles-worker.js',
+  'assets/data/matches.json',
+  'locales/manifest.json'
+];
+
+const OFFLINE_PAGE = '404.html';
+
+/**
+ * 将站点内的相对路径转换为绝对地址
+ * @param {string} path - 相对于站点根目录的路径
+ * @returns {string}
+ */
+function toUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+/**
+ * 根据语言清单列出所有语言文件
+ * @returns {Promise<string[]>}
+ */
+function listLocaleFiles() {
+  return fetch(toUrl('locales/manifest.json'), { cache: 'no-cache' })
+    .then(r => {
+      if (!r.ok) throw new Error(`HTTP ${r.status}`);
+      return r.json();
+    })
+    .then(manifest => {
+      const files = [];
+      manifest.languages.forEach(locale => {
+        manifest.namespaces.forEach(namespace => {
+          files.push(`locales/${locale.code}/${namespace}.json`);
+        });
+      });
+      return files;
+    });
+}
+
+/**
+ * 预缓存所有页面与资源
+ * 跳过 HTTP 缓存，确保新版本拿到的是最新文件
+ * @returns {Promise}
+ */
+function precache() {
+  return Promise.all([caches.open(CACHE_NAME), listLocaleFiles()]).then(([cache, localeFiles]) => {
+    const requests = PRECACHE.concat(localeFiles).map(path => new Request(toUrl(path), { cache: 'reload' }));
+    return cache.addAll(requests);
+  });
+}
+
+/**
+ * 删除旧版本的缓存
+ * @returns {Promise}
+ */
+function removeOldCaches() {
+  return caches.keys().then(keys => Promise.all(
+    keys
+      .filter(key => key.indexOf(CACHE_PREFIX) === 0 && key !== CACHE_NAME)
+      .map(key => caches.delete(key))
+  ));
+}
+
+/**
+ * 在当前版本的缓存中查找，目录地址按 index.html 查找
+ * @param {Request|string} request - 请求
+ * @returns {Promise<Response|undefined>}
+ */
+function matchCache(request) {
+  return caches.open(CACHE_NAME).then(cache => {
+    const url = new URL(typeof request === 'string' ? request : request.url);
+    if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+    return cache.match(url.href, { ignoreSearch: true });
+  });
+}
+
+/**
+ * 请求成功时写入缓存
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>}
+ */
+function fetchAndCache(request) {
+  return fetch(request).then(response => {
+    if (response.ok && response.type === 'basic') {
+      const copy = response.clone();
+      caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+    }
+    return response;
+  });
+}
+
+/**
+ * 页面：网络优先，离线时依次回退到缓存的页面和 404.html
+ * @param {Request} request - 导航请求
+ * @returns {Promise<Response>}
+ */
+function handleNavigation(request) {
+  return fetchAndCache(request).catch(() => {
+    return matchCache(request).then(cached => cached || matchCache(toUrl(OFFLINE_PAGE)));
+  });
+}
+
+/**
+ * 语言文件：有缓存时立即返回，同时在后台更新缓存
+ * @param {FetchEvent} event - 请求事件
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event) {
+  const network = fetchAndCache(event.request);
+  return matchCache(event.request).then(cached => {
+    if (!cached) return network;
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  });
+}
+
+/**
+ * 其他静态资源：缓存优先（开发时网络优先）
+ * @param {Request} request - 请求
+ * @returns {Promise<Response>}
+ */
+function cacheFirst(request) {
+  if (DEV) {
+    return fetchAndCache(request).catch(err => matchCache(request).then(cached => {
+      if (!cached) throw err;
+      return cached;
+    }));
+  }
+  return matchCache(request).then(cached => cached || fetchAndCache(request));
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(removeOldCaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  const url = new URL(request.url);
+
+  // 只处理站点内的 GET 请求，表单接口等直接走网络
+  if (request.method !== 'GET' || url.href.indexOf(self.registration.scope) !== 0) return;
+  if (url.pathname.indexOf('/api/') !== -1) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (/\/locales\/.+\.json$/.test(url.pathname)) {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+self.addEventListener('sync', event => {
+  if (event.tag !== formTransport.SYNC_TAG) return;
+
+  // 仍有未发送的提交时让同步失败，浏览器会稍后再次触发
+  event.waitUntil(formTransport.flushQueue().then(result => {
+    if (result.remaining) {
+      throw new Error(`${result.remaining} queued submission(s) could not be sent yet`);
+    }
+  }));
+});
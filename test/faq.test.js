@@ -0,0 +1,231 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile, SITE_URL } = require('./helpers/dom');
+
+const zhPricing = JSON.parse(readFile('locales/zh/pricing.json'));
+const enPricing = JSON.parse(readFile('locales/en/pricing.json'));
+const zhAbout = JSON.parse(readFile('locales/zh/about.json'));
+const zhCommon = JSON.parse(readFile('locales/zh/common.json'));
+
+describe('faq', () => {
+  let page;
+  let container;
+
+  /**
+   * 加载页面并等待常见问题生成
+   * @param {object} opts - loadPage() 的参数
+   * @returns {Promise}
+   */
+  async function load(opts) {
+    page = loadPage(Object.assign({ file: 'pages/pricing.html' }, opts));
+    await page.ready();
+    await page.app.modules.ready('faq');
+    container = page.document.querySelector('[data-faq]');
+  }
+
+  /**
+   * 问题的展开按钮
+   * @param {string} id - 问题 id
+   * @returns {HTMLButtonElement}
+   */
+  function trigger(id) {
+    return page.document.querySelector(`#faq-${id} .faq-trigger`);
+  }
+
+  /**
+   * 在当前焦点元素上按键
+   * @param {string} key - 按键
+   */
+  function press(key) {
+    page.document.activeElement.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  }
+
+  /**
+   * 在搜索框中输入
+   * @param {string} value - 关键词
+   */
+  function search(value) {
+    const input = container.querySelector('.faq-filter');
+    input.value = value;
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+  }
+
+  /**
+   * 可见的问题 id
+   * @returns {string[]}
+   */
+  function visible() {
+    return Array.from(container.querySelectorAll('.faq-item:not([hidden])')).map(item => item.id);
+  }
+
+  afterEach(() => page.close());
+
+  it('renders every entry of the array as a collapsed accordion item', async () => {
+    await load();
+    const items = container.querySelectorAll('.faq-item');
+
+    assert.equal(items.length, zhPricing.faq.items.length);
+    zhPricing.faq.items.forEach((entry, index) => {
+      const button = items[index].querySelector('.faq-trigger');
+      const panel = page.document.getElementById(button.getAttribute('aria-controls'));
+
+      assert.equal(items[index].id, `faq-${entry.id}`);
+      assert.equal(button.textContent.trim(), entry.question);
+      assert.equal(button.getAttribute('aria-expanded'), 'false');
+      assert.equal(panel.hidden, true);
+      assert.equal(panel.getAttribute('aria-labelledby'), button.id);
+      assert.equal(panel.textContent, entry.answer);
+    });
+  });
+
+  it('falls back to the position for ids that are not plain slugs', async () => {
+    await load();
+    page.app.i18n.addTranslations('zh', 'pricing', Object.assign({}, zhPricing, {
+      faq: Object.assign({}, zhPricing.faq, {
+        items: [
+          { id: 'x" onclick="alert(1)', question: 'Q1', answer: 'A1' },
+          { id: 'refund-policy_2', question: 'Q2', answer: 'A2' }
+        ]
+      })
+    }));
+    page.app.faq.render(container);
+
+    const items = container.querySelectorAll('.faq-item');
+    assert.deepEqual(Array.from(items).map(item => item.id), ['faq-1', 'faq-refund-policy_2']);
+    assert.equal(items[0].querySelector('.faq-trigger').hasAttribute('onclick'), false);
+    assert.equal(items[0].querySelector('.faq-trigger').getAttribute('aria-controls'), 'faq-1-panel');
+  });
+
+  it('adds a suffix to repeated ids so element ids and anchors stay unique', async () => {
+    await load();
+    page.app.i18n.addTranslations('zh', 'pricing', Object.assign({}, zhPricing, {
+      faq: Object.assign({}, zhPricing.faq, {
+        items: [
+          { id: 'refund', question: 'Q1', answer: 'A1' },
+          { id: 'refund', question: 'Q2', answer: 'A2' },
+          { id: '2', question: 'Q3', answer: 'A3' },
+          { id: '不是 slug', question: 'Q4', answer: 'A4' },
+          { id: 'refund', question: 'Q5', answer: 'A5' }
+        ]
+      })
+    }));
+    page.app.faq.render(container);
+
+    const ids = Array.from(container.querySelectorAll('.faq-item')).map(item => item.id);
+    assert.deepEqual(ids, ['faq-refund', 'faq-refund-2', 'faq-2', 'faq-4', 'faq-refund-3']);
+    assert.equal(page.document.querySelectorAll('[id="faq-refund-2-panel"]').length, 1);
+  });
+
+  it('toggles an answer and puts its anchor in the address bar', async () => {
+    await load();
+    const button = trigger('cancel');
+
+    button.click();
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(page.document.getElementById('faq-cancel-panel').hidden, false);
+    assert.equal(page.window.location.hash, '#faq-cancel');
+
+    button.click();
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(page.document.getElementById('faq-cancel-panel').hidden, true);
+  });
+
+  it('moves focus between questions with the arrow, Home and End keys', async () => {
+    await load();
+    const ids = zhPricing.faq.items.map(entry => entry.id);
+
+    trigger(ids[0]).focus();
+    press('ArrowDown');
+    assert.equal(page.document.activeElement, trigger(ids[1]));
+
+    press('End');
+    assert.equal(page.document.activeElement, trigger(ids[ids.length - 1]));
+
+    press('ArrowDown');
+    assert.equal(page.document.activeElement, trigger(ids[0]));
+
+    press('ArrowUp');
+    assert.equal(page.document.activeElement, trigger(ids[ids.length - 1]));
+
+    press('Home');
+    assert.equal(page.document.activeElement, trigger(ids[0]));
+  });
+
+  it('filters questions live and skips hidden ones when navigating', async () => {
+    await load();
+    const status = container.querySelector('.faq-status');
+
+    search('试用');
+    assert.deepEqual(visible(), ['faq-trial']);
+    assert.equal(status.textContent, zhCommon.faq.results.replace('{count}', '1'));
+
+    search('取消 计费周期');
+    assert.deepEqual(visible(), ['faq-cancel']);
+
+    search('zzz');
+    assert.deepEqual(visible(), []);
+    assert.equal(status.textContent, zhCommon.faq.noResults);
+
+    search('年付');
+    trigger('yearly').focus();
+    press('ArrowDown');
+    assert.equal(page.document.activeElement, trigger('yearly'));
+
+    search('');
+    assert.equal(visible().length, zhPricing.faq.items.length);
+    assert.equal(status.textContent, '');
+  });
+
+  it('opens the question named by the hash, clearing a filter that hides it', async () => {
+    await load({ url: SITE_URL + 'pages/pricing.html#faq-trial' });
+    assert.equal(trigger('trial').getAttribute('aria-expanded'), 'true');
+
+    search('支付');
+    page.window.location.hash = '#faq-cancel';
+    await new Promise(resolve => page.window.addEventListener('hashchange', resolve, { once: true }));
+
+    assert.equal(trigger('cancel').getAttribute('aria-expanded'), 'true');
+    assert.equal(container.querySelector('.faq-filter').value, '');
+    assert.equal(visible().length, zhPricing.faq.items.length);
+  });
+
+  it('emits FAQPage structured data and re-renders it in the new language', async () => {
+    await load();
+    trigger('payment').click();
+    search('支付');
+
+    const read = () => JSON.parse(page.document.head.querySelector('script[type="application/ld+json"][data-faq-jsonld]').textContent);
+    let data = read();
+    assert.equal(data['@type'], 'FAQPage');
+    assert.equal(data.inLanguage, 'zh-CN');
+    assert.equal(data.mainEntity.length, zhPricing.faq.items.length);
+    assert.equal(data.mainEntity[0].name, zhPricing.faq.items[0].question);
+    assert.equal(data.mainEntity[0].acceptedAnswer.text, zhPricing.faq.items[0].answer);
+
+    await page.app.i18n.setLanguage('en');
+
+    data = read();
+    assert.equal(data.inLanguage, 'en');
+    assert.equal(data.mainEntity[1].name, enPricing.faq.items[1].question);
+    // 展开状态与搜索框内容保留
+    assert.equal(trigger('payment').textContent.trim(), enPricing.faq.items[0].question);
+    assert.equal(trigger('payment').getAttribute('aria-expanded'), 'true');
+    assert.equal(container.querySelector('.faq-filter').value, '支付');
+    assert.equal(container.querySelector('.faq-filter').placeholder, JSON.parse(readFile('locales/en/common.json')).faq.filterPlaceholder);
+  });
+
+  it('is reused on other pages with their own namespace', async () => {
+    await load({ file: 'pages/about.html' });
+    const items = container.querySelectorAll('.faq-item');
+
+    assert.equal(items.length, zhAbout.faq.items.length);
+    // 回答中的链接按白名单保留
+    assert.equal(page.document.querySelector('#faq-contact-panel a').getAttribute('href'), '#contact-form');
+
+    const text = page.document.head.querySelector('script[data-faq-jsonld]').textContent;
+    assert.ok(text.indexOf('</a>') === -1);
+    assert.ok(JSON.parse(text).mainEntity[3].acceptedAnswer.text.indexOf('<a href="#contact-form">') !== -1);
+  });
+});
@@ -0,0 +1,203 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile } = require('./helpers/dom');
+
+const zhCommon = JSON.parse(readFile('locales/zh/common.json'));
+const zhAbout = JSON.parse(readFile('locales/zh/about.json'));
+
+describe('forms', () => {
+  let page;
+  let forms;
+  let form;
+
+  /**
+   * 填写联系表单
+   * @param {object} values - { name, email, message }
+   */
+  function fill(values) {
+    Object.keys(values).forEach(name => {
+      form.elements[name].value = values[name];
+    });
+  }
+
+  /**
+   * 记录表单上派发的事件
+   * @param {string[]} names - 事件名
+   * @returns {Array<{type: string, detail: object}>}
+   */
+  function record(names) {
+    const events = [];
+    names.forEach(name => form.addEventListener(name, e => events.push({ type: e.type, detail: e.detail })));
+    return events;
+  }
+
+  const VALID = {
+    name: 'Puck',
+    email: 'puck@example.com',
+    message: 'Phase shift timings please'
+  };
+
+  beforeEach(async () => {
+    page = loadPage({ file: 'pages/about.html' });
+    await page.ready();
+
+    forms = page.app.forms;
+    form = page.document.getElementById('contact-form');
+    form.setAttribute('data-endpoint', 'mock:contact?delay=1');
+  });
+
+  afterEach(() => page.close());
+
+  describe('validation', () => {
+    it('finds the error element of fields whose names contain quotes', async () => {
+      const field = page.document.createElement('input');
+      field.name = 'extra["note"]';
+      field.required = true;
+      form.appendChild(field);
+      fill({ name: '刀友', email: 'me@example.com', message: 'Hello from the tests' });
+
+      assert.equal(await forms.submit(form), false);
+      assert.equal(field.getAttribute('aria-invalid'), 'true');
+      const error = page.document.getElementById(field.getAttribute('aria-describedby'));
+      assert.equal(error.getAttribute('data-error-for'), 'extra["note"]');
+      assert.equal(error.textContent, zhCommon.forms.errors.required);
+
+      // 再次校验时复用同一个元素
+      assert.equal(await forms.submit(form), false);
+      const errors = Array.from(form.querySelectorAll('[data-error-for]')).filter(el => el.getAttribute('data-error-for') === field.name);
+      assert.equal(errors.length, 1);
+    });
+
+    it('shows required and format errors inline and focuses the first invalid field', async () => {
+      fill({ name: '', email: 'not-an-email', message: 'short' });
+
+      const ok = await forms.submit(form);
+
+      assert.equal(ok, false);
+      const name = form.elements.name;
+      const email = form.elements.email;
+      assert.equal(name.getAttribute('aria-invalid'), 'true');
+      assert.equal(page.document.getElementById(name.getAttribute('aria-describedby')).textContent, zhCommon.forms.errors.required);
+      assert.equal(email.getAttribute('aria-invalid'), 'true');
+      assert.equal(form.querySelector('[data-error-for="email"]').textContent, zhCommon.forms.errors.email);
+      assert.equal(form.querySelector('[data-error-for="message"]').textContent, zhCommon.forms.errors.minlength.replace('{min}', '10'));
+      assert.equal(page.document.activeElement, name);
+      // 校验失败时不会提交
+      assert.ok(!page.fetch.calls.some(call => call.url.indexOf('contact') !== -1));
+    });
+
+    it('re-validates a field as it is edited after the first submit', async () => {
+      await forms.submit(form);
+      const name = form.elements.name;
+      assert.equal(name.getAttribute('aria-invalid'), 'true');
+
+      name.value = 'Puck';
+      name.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+
+      assert.equal(name.hasAttribute('aria-invalid'), false);
+      assert.equal(form.querySelector('[data-error-for="name"]').hidden, true);
+    });
+
+    it('ignores an invalid pattern attribute instead of throwing', async () => {
+      fill(VALID);
+      form.elements.name.setAttribute('pattern', '[a-z');
+
+      assert.equal(forms.validate(form), true);
+      assert.equal(form.elements.name.hasAttribute('aria-invalid'), false);
+    });
+  });
+
+  describe('submission', () => {
+    it('submits on the submit event, then resets the form and shows the success message', async () => {
+      const events = record(['formSuccess', 'formError']);
+      fill(VALID);
+
+      form.requestSubmit();
+      assert.ok(form.classList.contains('is-submitting'));
+      assert.equal(form.querySelector('[type="submit"]').disabled, true);
+      assert.equal(form.querySelector('.form-status').textContent, zhCommon.forms.status.sending);
+
+      await new Promise(resolve => form.addEventListener('formSuccess', resolve, { once: true }));
+
+      const status = form.querySelector('.form-status');
+      assert.deepEqual(events.map(e => e.type), ['formSuccess']);
+      assert.ok(status.classList.contains('is-success'));
+      assert.equal(status.textContent, zhAbout.contact.form.success);
+      assert.equal(form.elements.name.value, '');
+      assert.equal(form.hasAttribute('data-validated'), false);
+    });
+
+    it('retries retryable failures through a registered adapter', async () => {
+      const requests = [];
+      forms.registerAdapter('flaky', request => {
+        requests.push(request);
+        return requests.length === 1
+          ? { ok: false, status: 503, data: null }
+          : { ok: true, status: 200, data: { ok: true } };
+      });
+      form.setAttribute('data-endpoint', 'flaky:contact');
+      form.setAttribute('data-retries', '1');
+      fill(VALID);
+
+      const ok = await forms.submit(form);
+
+      assert.equal(ok, true);
+      assert.equal(requests.length, 2);
+      assert.equal(requests[0].url, 'flaky:contact');
+      assert.equal(requests[0].headers['Content-Type'], 'application/json');
+      assert.deepEqual(JSON.parse(requests[0].body), VALID);
+    });
+
+    it('shows server-side field errors and fires formError when the server rejects', async () => {
+      forms.registerAdapter('reject', () => ({
+        ok: false,
+        status: 422,
+        data: { errors: { email: 'This address is blocked' } }
+      }));
+      form.setAttribute('data-endpoint', 'reject:contact');
+      const events = record(['formSuccess', 'formError']);
+      fill(VALID);
+
+      const ok = await forms.submit(form);
+
+      assert.equal(ok, false);
+      assert.deepEqual(events.map(e => e.type), ['formError']);
+      assert.equal(events[0].detail.error.response.status, 422);
+      assert.equal(form.querySelector('[data-error-for="email"]').textContent, 'This address is blocked');
+      assert.ok(form.querySelector('.form-status').classList.contains('is-error'));
+      // 提交失败时保留用户填写的内容
+      assert.equal(form.elements.email.value, VALID.email);
+      assert.equal(form.classList.contains('is-submitting'), false);
+    });
+  });
+
+  describe('offline queue', () => {
+    it('queues submissions while offline and replays them when back online', async () => {
+      const events = record(['formQueued', 'formSuccess']);
+      page.setOnline(false);
+      fill(VALID);
+
+      const ok = await forms.submit(form);
+
+      const status = form.querySelector('.form-status');
+      assert.equal(ok, false);
+      assert.deepEqual(events.map(e => e.type), ['formQueued']);
+      assert.equal(events[0].detail.record.endpoint, 'mock:contact?delay=1');
+      assert.ok(status.classList.contains('is-queued'));
+      assert.equal(status.textContent, zhCommon.forms.status.queued);
+      assert.equal(form.elements.name.value, '');
+
+      const flushed = new Promise(resolve => page.window.addEventListener('formQueueFlushed', e => resolve(e.detail), { once: true }));
+      page.setOnline(true);
+      const result = await flushed;
+
+      assert.equal(result.sent, 1);
+      assert.equal(result.remaining, 0);
+      assert.ok(status.classList.contains('is-success'));
+      assert.equal(status.textContent, zhAbout.contact.form.success);
+      assert.equal((await forms.flushQueue()).remaining, 0);
+    });
+  });
+});
@@ -0,0 +1,340 @@
+/**
+ * 刀友 - AI Coach for Dota2
+ * 测试环境
+ *
+ * 在 jsdom 中加载页面并执行 assets/js/ 中的脚本（与页面中的顺序相同），提供离线运行所需的替身:
+ * - fetch: 从仓库读取文件，可为指定路径注册自定义响应
+ * - IntersectionObserver: 由测试手动触发进入/离开视口
+ * - matchMedia: 由测试切换媒体查询结果
+ * - 计时器: 可选的手动时钟（setTimeout / setInterval / Date.now）
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+// 页面依次引入的脚本；合并后一次执行，使顶层的 const 在各文件之间可见
+const SCRIPTS = ['utils.js', 'particle-engine.js', 'form-transport.js', 'main.js']
+  .map(file => fs.readFileSync(path.join(ROOT, 'assets/js', file), 'utf8'))
+  .join('\n');
+const SITE_URL = 'http://localhost:8080/';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * 读取仓库中的文件
+ * @param {string} file - 相对于仓库根目录的路径
+ * @returns {string}
+ */
+function readFile(file) {
+  return fs.readFileSync(path.join(ROOT, file), 'utf8');
+}
+
+/**
+ * 创建 fetch 替身：routes 中的路径优先，其余从仓库读取
+ * @param {object} routes - { '/api/contact': (url, init) => Response | Promise<Response> }
+ * @returns {Function} 带 calls 记录的 fetch
+ */
+function createFetch(routes) {
+  const fakeFetch = function(input, init) {
+    const url = new URL(typeof input === 'string' ? input : input.url, SITE_URL);
+    fakeFetch.calls.push({ url: url.href, init: init || {} });
+
+    if (routes[url.pathname]) {
+      return Promise.resolve().then(() => routes[url.pathname](url, init || {}));
+    }
+
+    const file = path.join(ROOT, decodeURIComponent(url.pathname));
+    if (file.indexOf(ROOT + path.sep) !== 0 || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+      return Promise.resolve(new Response('Not found', { status: 404 }));
+    }
+
+    return Promise.resolve(new Response(fs.readFileSync(file), {
+      status: 200,
+      headers: { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'text/plain' }
+    }));
+  };
+
+  fakeFetch.calls = [];
+  return fakeFetch;
+}
+
+/**
+ * 创建 IntersectionObserver 替身
+ * @returns {Function} 构造函数，instances 中保存所有实例
+ */
+function createIntersectionObserver() {
+  class FakeIntersectionObserver {
+    constructor(callback, options) {
+      this.callback = callback;
+      this.options = options || {};
+      this.targets = new Set();
+      FakeIntersectionObserver.instances.push(this);
+    }
+
+    observe(el) {
+      this.targets.add(el);
+    }
+
+    unobserve(el) {
+      this.targets.delete(el);
+    }
+
+    disconnect() {
+      this.targets.clear();
+    }
+
+    takeRecords() {
+      return [];
+    }
+  }
+
+  FakeIntersectionObserver.instances = [];
+
+  /**
+   * 让观察这些元素的观察器收到一批通知
+   * @param {Element[]} elements - 元素
+   * @param {object} state - { isIntersecting, intersectionRatio }
+   */
+  FakeIntersectionObserver.trigger = function(elements, state) {
+    const ratio = state.intersectionRatio !== undefined ? state.intersectionRatio : (state.isIntersecting ? 1 : 0);
+
+    FakeIntersectionObserver.instances.forEach(observer => {
+      const entries = elements
+        .filter(el => observer.targets.has(el))
+        .map(target => ({ target, isIntersecting: state.isIntersecting, intersectionRatio: ratio }));
+      if (entries.length) observer.callback(entries, observer);
+    });
+  };
+
+  /**
+   * 正在观察该元素的观察器
+   * @param {Element} el - 元素
+   * @returns {FakeIntersectionObserver[]}
+   */
+  FakeIntersectionObserver.observing = function(el) {
+    return FakeIntersectionObserver.instances.filter(observer => observer.targets.has(el));
+  };
+
+  return FakeIntersectionObserver;
+}
+
+/**
+ * 创建 matchMedia 替身
+ * @param {object} initial - { '(prefers-reduced-motion: reduce)': true }
+ * @returns {Function} 带 set(query, matches) 的 matchMedia
+ */
+function createMatchMedia(initial) {
+  const state = Object.assign({}, initial);
+  const lists = {};
+
+  const matchMedia = function(query) {
+    if (!lists[query]) {
+      const listeners = new Set();
+      lists[query] = {
+        media: query,
+        get matches() {
+          return !!state[query];
+        },
+        addEventListener: (type, fn) => listeners.add(fn),
+        removeEventListener: (type, fn) => listeners.delete(fn),
+        addListener: fn => listeners.add(fn),
+        removeListener: fn => listeners.delete(fn),
+        listeners
+      };
+    }
+    return lists[query];
+  };
+
+  /**
+   * 切换媒体查询结果并通知监听器
+   * @param {string} query - 媒体查询
+   * @param {boolean} matches - 是否匹配
+   */
+  matchMedia.set = function(query, matches) {
+    state[query] = matches;
+    const list = lists[query];
+    if (list) list.listeners.forEach(fn => fn({ matches, media: query }));
+  };
+
+  return matchMedia;
+}
+
+/**
+ * 用手动时钟替换窗口中的计时器
+ * @param {Window} window - jsdom 窗口
+ * @returns {{tick: Function, now: Function, pending: Function}}
+ */
+function installClock(window) {
+  let now = 0;
+  let nextId = 1;
+  const timers = new Map();
+
+  function add(fn, delay, args, interval) {
+    const id = nextId++;
+    timers.set(id, { fn, args, time: now + Math.max(0, delay || 0), interval: interval ? Math.max(1, delay || 0) : 0 });
+    return id;
+  }
+
+  window.setTimeout = (fn, delay, ...args) => add(fn, delay, args, false);
+  window.setInterval = (fn, delay, ...args) => add(fn, delay, args, true);
+  window.clearTimeout = id => timers.delete(id);
+  window.clearInterval = id => timers.delete(id);
+  window.Date.now = () => now;
+
+  return {
+    /**
+     * 推进时间，按到期顺序执行计时器
+     * @param {number} ms - 毫秒
+     */
+    tick(ms) {
+      const target = now + ms;
+
+      for (;;) {
+        let dueId = null;
+        timers.forEach((timer, id) => {
+          if (timer.time <= target && (dueId === null || timer.time < timers.get(dueId).time)) dueId = id;
+        });
+        if (dueId === null) break;
+
+        const timer = timers.get(dueId);
+        now = timer.time;
+        if (timer.interval) {
+          timer.time += timer.interval;
+        } else {
+          timers.delete(dueId);
+        }
+        timer.fn(...timer.args);
+      }
+
+      now = target;
+    },
+    now: () => now,
+    pending: () => timers.size
+  };
+}
+
+/**
+ * 等待挂起的 Promise 与宏任务执行完
+ * @param {number} ms - 额外等待的毫秒数
+ * @returns {Promise}
+ */
+function flush(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms || 0));
+}
+
+/**
+ * 在 jsdom 中加载页面并执行 main.js
+ * @param {object} opts - {
+ *   file: 仓库中的页面（如 'pages/about.html'），
+ *   html: 直接提供的 HTML（与 file 二选一），
+ *   url: 页面地址，默认为 file 对应的地址,
+ *   languages: navigator.languages，默认 ['zh-CN'],
+ *   storage: 预先写入 localStorage 的键值,
+ *   media: matchMedia 的初始结果,
+ *   routes: 自定义 fetch 响应,
+ *   online: navigator.onLine 初始值，默认 true,
+ *   loadingScreen: 是否显示加载屏幕，默认 false
+ * }
+ * @returns {object} { window, document, app: main.js 的导出, fetch, IntersectionObserver, matchMedia, setOnline, ready, close }
+ */
+function loadPage(opts = {}) {
+  const file = opts.file || 'index.html';
+  const url = opts.url || SITE_URL + file;
+  const html = opts.html || readFile(file);
+
+  // 丢弃页面日志，避免淹没测试输出
+  const virtualConsole = new VirtualConsole();
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const window = dom.window;
+
+  const fakeFetch = createFetch(opts.routes || {});
+  const FakeIntersectionObserver = createIntersectionObserver();
+  const matchMedia = createMatchMedia(opts.media);
+  let online = opts.online !== false;
+
+  window.fetch = fakeFetch;
+  window.IntersectionObserver = FakeIntersectionObserver;
+  window.matchMedia = matchMedia;
+  window.indexedDB = new IDBFactory();
+  window.HTMLCanvasElement.prototype.getContext = () => null;
+  window.scrollTo = () => {};
+
+  Object.defineProperty(window.navigator, 'languages', { value: opts.languages || ['zh-CN'] });
+  Object.defineProperty(window.navigator, 'language', { value: (opts.languages || ['zh-CN'])[0] });
+  Object.defineProperty(window.navigator, 'onLine', { get: () => online });
+
+  Object.keys(opts.storage || {}).forEach(key => window.localStorage.setItem(key, opts.storage[key]));
+  if (!opts.loadingScreen) window.sessionStorage.setItem('daoyou-loaded', '1');
+
+  // main.js 通过 document.currentScript 定位站点根目录，通过 module.exports 导出模块
+  Object.defineProperty(window.document, 'currentScript', {
+    configurable: true,
+    get: () => ({ src: SITE_URL + 'assets/js/main.js' })
+  });
+  window.module = { exports: {} };
+  window.eval(SCRIPTS);
+  const app = window.module.exports;
+
+  // 文档仍在解析时 app.start() 在 DOMContentLoaded 时执行（监听器先于这里注册）
+  const started = new Promise(resolve => {
+    if (window.document.readyState === 'loading') {
+      window.document.addEventListener('DOMContentLoaded', () => resolve(), { once: true });
+    } else {
+      resolve();
+    }
+  });
+
+  return {
+    window,
+    document: window.document,
+    app,
+    fetch: fakeFetch,
+    IntersectionObserver: FakeIntersectionObserver,
+    matchMedia,
+
+    /**
+     * 切换网络状态并派发 online / offline 事件
+     * @param {boolean} value - 是否在线
+     */
+    setOnline(value) {
+      online = value;
+      window.dispatchEvent(new window.Event(value ? 'online' : 'offline'));
+    },
+
+    /**
+     * 等待应用启动（DOMContentLoaded）且 i18n 初始化完成
+     * @returns {Promise}
+     */
+    ready() {
+      return started.then(() => app.modules.ready('i18n'));
+    },
+
+    /**
+     * 等待进行中的初始化结束后销毁所有模块并关闭窗口
+     * @returns {Promise}
+     */
+    close() {
+      return this.ready().catch(() => {}).then(() => flush()).then(() => {
+        app.app.destroy();
+        window.close();
+      });
+    }
+  };
+}
+
+module.exports = {
+  ROOT,
+  SITE_URL,
+  readFile,
+  loadPage,
+  installClock,
+  flush
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile, flush } = require('./helpers/dom');
+
+const zhCommon = JSON.parse(readFile('locales/zh/common.json'));
+const enCommon = JSON.parse(readFile('locales/en/common.json'));
+
+describe('i18n', () => {
+  let page;
+  let i18n;
+
+  beforeEach(async () => {
+    page = loadPage({ file: 'index.html' });
+    i18n = page.app.i18n;
+    await page.ready();
+  });
+
+  afterEach(() => page.close());
+
+  describe('t()', () => {
+    it('resolves nested keys from the page namespace and then common', () => {
+      assert.equal(i18n.getLanguage(), 'zh');
+      assert.equal(i18n.t('nav.home'), zhCommon.nav.home);
+      assert.equal(i18n.t('forms.errors.required', 'common'), zhCommon.forms.errors.required);
+    });
+
+    it('resolves array indexes and returns non-string values as-is', () => {
+      i18n.addTranslations('zh', 'home', { list: ['a', 'b'], nested: { count: 3 } });
+
+      assert.equal(i18n.t('list.1', 'home'), 'b');
+      assert.deepEqual(i18n.t('list', 'home'), ['a', 'b']);
+      assert.equal(i18n.t('nested.count', 'home'), 3);
+    });
+
+    it('returns the key when no language defines it', () => {
+      assert.equal(i18n.t('nav.doesNotExist'), 'nav.doesNotExist');
+      assert.equal(i18n.t('nav.home.deeper'), 'nav.home.deeper');
+    });
+
+    it('falls back along the language chain and records the fallback in debug mode', async () => {
+      i18n.setDebug(true);
+      i18n.addTranslations('zh', 'common', Object.assign({}, zhCommon, { onlyZh: '仅中文' }));
+      await i18n.setLanguage('en');
+
+      assert.equal(i18n.t('nav.home'), enCommon.nav.home);
+      assert.equal(i18n.t('onlyZh'), '仅中文');
+      const missing = i18n.getMissingKeys().filter(entry => entry.key === 'onlyZh');
+      assert.equal(missing.length, 1);
+      assert.equal(missing[0].lang, 'en');
+      assert.equal(missing[0].page, 'home');
+      assert.equal(missing[0].fallback, 'zh');
+      i18n.setDebug(false);
+    });
+
+    it('fetches a fallback language only once a key is missing', async () => {
+      const full = loadPage({ file: 'index.html', url: 'http://localhost:8080/index.html?lang=en' });
+      await full.ready();
+      assert.ok(!full.fetch.calls.some(call => call.url.indexOf('/locales/zh/') !== -1));
+      await full.close();
+
+      const partial = loadPage({
+        file: 'index.html',
+        url: 'http://localhost:8080/index.html?lang=en',
+        routes: {
+          '/locales/en/common.json': () => new Response(JSON.stringify(Object.assign({}, enCommon, { nav: undefined })))
+        }
+      });
+      const events = [];
+      partial.window.addEventListener('languageChanged', e => events.push(e.detail));
+      await partial.ready();
+      await flush(10);
+
+      assert.ok(partial.fetch.calls.some(call => call.url === 'http://localhost:8080/locales/zh/common.json'));
+      assert.equal(partial.document.querySelector('.nav-link[data-i18n="nav.home"]').textContent.trim(), zhCommon.nav.home);
+      assert.deepEqual(events.map(detail => [detail.lang, detail.fallback]), [['en', true]]);
+      await partial.close();
+    });
+
+    it('formats placeholders and plurals with the current language rules', async () => {
+      const messages = {
+        greeting: '{name}, welcome back',
+        matches: '{count, plural, one {# match} other {# matches}}'
+      };
+      i18n.addTranslations('zh', 'home', messages);
+      i18n.addTranslations('en', 'home', messages);
+
+      assert.equal(i18n.t('greeting', 'home', { name: 'Shadow Fiend' }), 'Shadow Fiend, welcome back');
+      // 中文没有单复数之分
+      assert.equal(i18n.t('matches', 'home', { count: 1 }), '1 matches');
+
+      await i18n.setLanguage('en');
+      assert.equal(i18n.t('matches', 'home', { count: 1 }), '1 match');
+      assert.equal(i18n.t('matches', 'home', { count: 5 }), '5 matches');
+    });
+
+    it('keeps the plural value for # inside a nested select', () => {
+      i18n.addTranslations('zh', 'home', { heroes: '{n, plural, other {{g, select, male {# 个} other {#}}}}' });
+
+      assert.equal(i18n.t('heroes', 'home', { n: 3, g: 'male' }), '3 个');
+      assert.equal(i18n.t('heroes', 'home', { n: 1200, g: 'female' }), '1,200');
+    });
+  });
+
+  describe('setLanguage()', () => {
+    it('translates the page, updates <html lang> and fires languageChanged', async () => {
+      const events = [];
+      page.window.addEventListener('languageChanged', e => events.push(e.detail.lang));
+
+      await i18n.setLanguage('en');
+
+      assert.deepEqual(events, ['en']);
+      assert.equal(i18n.getLanguage(), 'en');
+      assert.equal(page.document.documentElement.lang, 'en');
+      assert.equal(page.window.localStorage.getItem('daoyou-lang'), 'en');
+      assert.equal(page.document.querySelector('.nav-link[data-i18n="nav.home"]').textContent.trim(), enCommon.nav.home);
+      assert.equal(page.document.querySelector('.lang-btn[data-lang="en"]').getAttribute('aria-pressed'), 'true');
+    });
+
+    it('does nothing for the current or an unknown language', async () => {
+      const events = [];
+      page.window.addEventListener('languageChanged', e => events.push(e.detail.lang));
+
+      await i18n.setLanguage('zh');
+      await i18n.setLanguage('xx');
+
+      assert.deepEqual(events, []);
+      assert.equal(i18n.getLanguage(), 'zh');
+    });
+  });
+
+  describe('language detection', () => {
+    it('prefers ?lang= over the saved preference and the browser language', async () => {
+      const other = loadPage({
+        file: 'index.html',
+        url: 'http://localhost:8080/index.html?lang=en',
+        languages: ['zh-CN'],
+        storage: { 'daoyou-lang': 'zh' }
+      });
+      await other.ready();
+
+      assert.equal(other.app.i18n.getLanguage(), 'en');
+      await other.close();
+    });
+
+    it('negotiates the browser language against the manifest', () => {
+      assert.equal(i18n.negotiateLanguage(['fr-FR', 'en-GB']), 'en');
+      assert.equal(i18n.negotiateLanguage(['zh-TW']), 'zh');
+      assert.equal(i18n.negotiateLanguage(['fr']), null);
+    });
+  });
+});
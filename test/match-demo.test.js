@@ -0,0 +1,215 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile, installClock, flush } = require('./helpers/dom');
+
+const zhAigc = JSON.parse(readFile('locales/zh/aigc.json'));
+const enAigc = JSON.parse(readFile('locales/en/aigc.json'));
+const fixture = JSON.parse(readFile('assets/data/matches.json'));
+
+describe('matchDemo', () => {
+  let page;
+  let container;
+
+  /**
+   * 加载 AI 分析页面，演示使用指定的数据源
+   * @param {string} source - data-source
+   * @param {object} opts - loadPage() 的其他参数
+   * @returns {Promise}
+   */
+  async function load(source, opts) {
+    page = loadPage(Object.assign({ file: 'pages/aigc.html' }, opts));
+    await page.ready();
+    container = page.document.querySelector('[data-match-demo]');
+    container.setAttribute('data-source', source);
+  }
+
+  /**
+   * 在输入框中填写并提交
+   * @param {string} value - 比赛 ID 或链接
+   */
+  function submit(value) {
+    container.querySelector('input').value = value;
+    container.querySelector('form').dispatchEvent(new page.window.Event('submit', { bubbles: true, cancelable: true }));
+  }
+
+  /**
+   * 读取元素文字
+   * @param {string} selector - 选择器
+   * @returns {string}
+   */
+  function text(selector) {
+    return container.querySelector(selector).textContent.trim();
+  }
+
+  /**
+   * JSON 响应
+   * @param {number} status - 状态码
+   * @param {object} body - 内容
+   * @param {object} headers - 其他响应头
+   * @returns {Response}
+   */
+  function json(status, body, headers) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: Object.assign({ 'Content-Type': 'application/json' }, headers)
+    });
+  }
+
+  afterEach(() => page.close());
+
+  it('renders the header, graph, timeline and summary of a sample match', async () => {
+    await load('mock:matches?delay=1');
+    const match = fixture.matches['7421530002'];
+
+    const state = await page.app.matchDemo.analyze(container, 'https://www.opendota.com/matches/7421530002');
+
+    assert.equal(state, 'ready');
+    assert.equal(container.getAttribute('data-state'), 'ready');
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.ready.replace('{id}', '7421530002'));
+    assert.equal(container.querySelector('.match-demo-result').hidden, false);
+
+    // 玩家在夜魇，比分与曲线都从夜魇看
+    assert.equal(text('.match-demo-hero'), zhAigc.demo.heroes.puck);
+    assert.equal(text('.match-demo-outcome'), zhAigc.demo.result.win);
+    assert.deepEqual(Array.from(container.querySelectorAll('.match-demo-stat dd')).map(dd => dd.textContent), [
+      '41:37', '36 : 29', '9 / 7 / 21', '548', '671', '247'
+    ]);
+    assert.equal(container.querySelector('.match-demo-canvas').getAttribute('aria-label'), '我方经济差曲线：最多领先 9,800，最多落后 7,350，比赛结束时为 +9,800');
+
+    const events = container.querySelectorAll('.match-demo-event');
+    assert.equal(events.length, match.events.length);
+    assert.equal(events[0].textContent, '3:52帕吉拿下一血');
+    assert.ok(events[0].classList.contains('is-enemy'));
+    assert.equal(events[1].querySelector('time').getAttribute('datetime'), 'PT11M45S');
+    assert.ok(events[1].classList.contains('is-mistake'));
+    assert.equal(events[4].textContent, '28:32夜魇赢下团战，经济 +3,800');
+
+    assert.equal(text('.match-demo-summary-text'), '22 分钟时一度落后 7,350 经济，28:32 的团战扭转了局势，帕克帮助队伍完成翻盘。');
+    assert.deepEqual(Array.from(container.querySelectorAll('.match-demo-tips li')).map(li => li.textContent), [
+      zhAigc.demo.summary.tips.vision,
+      zhAigc.demo.summary.tips.buyback
+    ]);
+  });
+
+  it('re-renders the analysis in the new language', async () => {
+    await load('mock:matches?delay=1');
+    container.querySelector('[data-match-sample="7421530003"]').click();
+    assert.equal(container.getAttribute('data-state'), 'loading');
+    assert.equal(container.getAttribute('aria-busy'), 'true');
+    assert.equal(container.querySelector('input').value, '7421530003');
+
+    await flush(20);
+    assert.equal(container.getAttribute('data-state'), 'ready');
+
+    await page.app.i18n.setLanguage('en');
+    assert.equal(text('.match-demo-outcome'), enAigc.demo.result.loss);
+    assert.equal(text('.match-demo-status'), 'Match 7421530003 analyzed');
+    assert.equal(text('.match-demo-summary-text'), 'Your team led by 9,440 gold at minute 26, but the mistake at 30:42 gave the enemy an opening and the lead slipped away.');
+    assert.equal(container.querySelectorAll('.match-demo-event')[4].textContent, "30:42Earthshaker's mistake: pushed too deep and got caught");
+  });
+
+  it('reports invalid input and unknown matches', async () => {
+    await load('mock:matches?delay=1');
+    const input = container.querySelector('input');
+
+    submit('not a match');
+    assert.equal(container.getAttribute('data-state'), 'invalid');
+    assert.equal(input.getAttribute('aria-invalid'), 'true');
+    assert.equal(page.document.activeElement, input);
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.invalid);
+
+    const state = await page.app.matchDemo.analyze(container, ' 123 ');
+    assert.equal(state, 'not-found');
+    assert.equal(input.hasAttribute('aria-invalid'), false);
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.notFound.replace('{id}', '123'));
+    assert.equal(container.querySelector('.match-demo-result').hidden, true);
+  });
+
+  it('counts down after the mock rate limit before allowing another request', async () => {
+    await load('mock:matches?delay=0&limit=1');
+    const clock = installClock(page.window);
+    const button = container.querySelector('button[type="submit"]');
+
+    /**
+     * 推进时钟直到分析结束
+     * @param {string} value - 比赛 ID
+     * @returns {Promise<string>}
+     */
+    async function analyze(value) {
+      let done = false;
+      const result = page.app.matchDemo.analyze(container, value).then(state => {
+        done = true;
+        return state;
+      });
+      for (let i = 0; i < 20 && !done; i++) {
+        await flush();
+        clock.tick(1);
+      }
+      return result;
+    }
+
+    assert.equal(await analyze('7421530001'), 'ready');
+    assert.equal(await analyze('7421530002'), 'rate-limited');
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.rateLimited.replace('{seconds}', '60'));
+    assert.equal(button.disabled, true);
+    assert.equal(container.querySelector('.match-demo-result').hidden, true);
+
+    clock.tick(1000);
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.rateLimited.replace('{seconds}', '59'));
+
+    // 倒计时中不会发出请求
+    assert.equal(await page.app.matchDemo.analyze(container, '7421530003'), 'rate-limited');
+
+    clock.tick(59000);
+    assert.equal(container.getAttribute('data-state'), 'idle');
+    assert.equal(text('.match-demo-status'), '');
+    assert.equal(button.disabled, false);
+  });
+
+  it('reads an HTTP source and honours Retry-After', async () => {
+    let status = 200;
+    await load('/api/matches', {
+      routes: {
+        '/api/matches/7421530001': () => {
+          if (status === 429) return json(429, { error: 'Rate limit exceeded' }, { 'Retry-After': '5' });
+          if (status === 500) return json(500, { error: 'Internal error' });
+          return json(200, fixture.matches['7421530001']);
+        }
+      }
+    });
+
+    assert.equal(await page.app.matchDemo.analyze(container, '7421530001'), 'ready');
+    assert.equal(page.fetch.calls[page.fetch.calls.length - 1].url, 'http://localhost:8080/api/matches/7421530001');
+    assert.equal(text('.match-demo-hero'), zhAigc.demo.heroes.nevermore);
+
+    status = 500;
+    assert.equal(await page.app.matchDemo.analyze(container, '7421530001'), 'error');
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.error);
+
+    status = 429;
+    assert.equal(await page.app.matchDemo.analyze(container, '7421530001'), 'rate-limited');
+    assert.equal(text('.match-demo-status'), zhAigc.demo.status.rateLimited.replace('{seconds}', '5'));
+  });
+
+  it('uses registered adapters and ignores a superseded request', async () => {
+    await load('slow:matches');
+    const pending = [];
+    page.app.matchDemo.registerAdapter('slow', request => new Promise(resolve => pending.push({ request, resolve })));
+
+    const first = page.app.matchDemo.analyze(container, '7421530001');
+    const second = page.app.matchDemo.analyze(container, '7421530003');
+    await flush();
+
+    assert.equal(pending[0].request.signal.aborted, true);
+    assert.equal(pending[1].request.url, 'slow:matches/7421530003');
+
+    pending[1].resolve({ ok: true, status: 200, data: fixture.matches['7421530003'], retryAfter: null });
+    pending[0].resolve({ ok: false, status: 404, data: null, retryAfter: null });
+
+    assert.equal(await second, 'ready');
+    assert.equal(await first, 'ready');
+    assert.equal(text('.match-demo-hero'), zhAigc.demo.heroes.earthshaker);
+  });
+});
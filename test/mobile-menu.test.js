@@ -0,0 +1,129 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/dom');
+
+describe('mobileMenu', () => {
+  let page;
+  let document;
+  let mobileMenu;
+  let button;
+  let menu;
+  let events;
+
+  /**
+   * 在当前焦点元素上按键
+   * @param {string} key - 按键
+   * @param {object} opts - { shiftKey }
+   * @returns {KeyboardEvent}
+   */
+  function press(key, opts = {}) {
+    const event = new page.window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, opts));
+    (document.activeElement || document.body).dispatchEvent(event);
+    return event;
+  }
+
+  beforeEach(async () => {
+    page = loadPage({ file: 'index.html' });
+    await page.ready();
+
+    document = page.document;
+    mobileMenu = page.app.mobileMenu;
+    button = document.querySelector('.mobile-menu-btn');
+    menu = document.querySelector('.mobile-menu');
+
+    events = [];
+    page.window.addEventListener('mobileMenuOpen', () => events.push('open'));
+    page.window.addEventListener('mobileMenuClose', () => events.push('close'));
+  });
+
+  afterEach(() => page.close());
+
+  it('starts closed with the ARIA wiring in place', () => {
+    assert.equal(mobileMenu.isOpen(), false);
+    assert.equal(button.getAttribute('aria-controls'), menu.id);
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.getAttribute('aria-hidden'), 'true');
+  });
+
+  it('opens and closes from the button, moving focus and locking the page', () => {
+    button.click();
+
+    assert.equal(mobileMenu.isOpen(), true);
+    assert.equal(button.getAttribute('aria-expanded'), 'true');
+    assert.equal(menu.hasAttribute('aria-hidden'), false);
+    assert.ok(menu.classList.contains('active'));
+    assert.ok(document.body.classList.contains('menu-open'));
+    assert.equal(document.activeElement, menu.querySelector('a'));
+
+    button.click();
+
+    assert.equal(mobileMenu.isOpen(), false);
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+    assert.equal(menu.getAttribute('aria-hidden'), 'true');
+    assert.ok(!document.body.classList.contains('menu-open'));
+    assert.equal(document.activeElement, button);
+    assert.deepEqual(events, ['open', 'close']);
+  });
+
+  it('closes on Escape and returns focus to the button', () => {
+    mobileMenu.open();
+    press('Escape');
+
+    assert.equal(mobileMenu.isOpen(), false);
+    assert.equal(document.activeElement, button);
+  });
+
+  it('closes on a click outside without taking focus', () => {
+    mobileMenu.open();
+    const link = menu.querySelector('a');
+    document.querySelector('main').click();
+
+    assert.equal(mobileMenu.isOpen(), false);
+    assert.equal(document.activeElement, link);
+  });
+
+  it('closes when a menu link is followed', () => {
+    mobileMenu.open();
+    const link = menu.querySelector('a');
+    // jsdom 不支持跳转，这里只关心菜单状态
+    link.addEventListener('click', e => e.preventDefault());
+    link.click();
+
+    assert.equal(mobileMenu.isOpen(), false);
+  });
+
+  it('keeps Tab focus between the button and the menu links', () => {
+    mobileMenu.open();
+    const links = menu.querySelectorAll('a');
+    const last = links[links.length - 1];
+
+    last.focus();
+    assert.equal(press('Tab').defaultPrevented, true);
+    assert.equal(document.activeElement, button);
+
+    assert.equal(press('Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(document.activeElement, last);
+
+    // 焦点在中间的元素时交给浏览器处理
+    links[1].focus();
+    assert.equal(press('Tab').defaultPrevented, false);
+  });
+
+  it('closes when the viewport reaches the desktop breakpoint', () => {
+    mobileMenu.open();
+    page.matchMedia.set('(min-width: 768px)', true);
+
+    assert.equal(mobileMenu.isOpen(), false);
+    assert.deepEqual(events, ['open', 'close']);
+  });
+
+  it('stops listening after destroy', () => {
+    page.app.modules.destroy('mobileMenu');
+    button.click();
+
+    assert.equal(mobileMenu.isOpen(), false);
+    assert.equal(button.getAttribute('aria-expanded'), 'false');
+  });
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile, SITE_URL } = require('./helpers/dom');
+
+const zhNotFound = JSON.parse(readFile('locales/zh/notfound.json'));
+const enNotFound = JSON.parse(readFile('locales/en/notfound.json'));
+const zhPricing = JSON.parse(readFile('locales/zh/pricing.json'));
+
+describe('notFound', () => {
+  let page;
+  let container;
+
+  /**
+   * 在指定路径上加载 404.html（与服务器返回 404 时相同），并等待推荐生成
+   * @param {string} path - 相对于站点根目录的请求路径
+   * @param {object} opts - loadPage() 的其他参数
+   * @returns {Promise}
+   */
+  async function load(path, opts) {
+    page = loadPage(Object.assign({ file: '404.html', url: SITE_URL + path }, opts));
+    await page.ready();
+    await page.app.modules.ready('notFound');
+    container = page.document.querySelector('[data-not-found]');
+  }
+
+  /**
+   * 当前列出的链接地址（相对于站点根目录）
+   * @returns {string[]}
+   */
+  function links() {
+    return Array.from(container.querySelectorAll('[data-not-found-results] a')).map(a => a.href.replace(SITE_URL, ''));
+  }
+
+  /**
+   * 在搜索框中输入
+   * @param {string} value - 关键词
+   */
+  function search(value) {
+    const input = container.querySelector('[data-not-found-search] input');
+    input.value = value;
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+  }
+
+  /**
+   * 读取元素文字
+   * @param {string} selector - 选择器
+   * @returns {string}
+   */
+  function text(selector) {
+    return container.querySelector(selector).textContent.trim();
+  }
+
+  afterEach(() => page.close());
+
+  it('suggests the closest pages for a misspelled path', async () => {
+    await load('pages/pricng.html');
+
+    assert.deepEqual(links(), ['pages/pricing.html', 'pages/pricing.html#plans', 'pages/pricing.html#coach', 'pages/pricing.html#faq']);
+    assert.equal(text('[data-not-found-heading]'), zhNotFound.suggestions.title);
+    assert.equal(text('[data-not-found-path]'), '没有找到 /pages/pricng.html');
+    assert.equal(page.document.title.indexOf(zhNotFound.meta.title), 0);
+    // 锚点显示所在页面与标题
+    assert.equal(container.querySelector('a[href$="#faq"] .suggested-link-page').textContent, '定价');
+  });
+
+  it('resolves shared assets and links from the site root at any depth', async () => {
+    await load('some/deep/path/contakt');
+
+    assert.equal(page.document.querySelector('link[href="assets/css/main.css"]').href, SITE_URL + 'assets/css/main.css');
+    assert.equal(page.document.querySelector('.nav a[href="pages/about.html"]').href, SITE_URL + 'pages/about.html');
+    assert.ok(page.fetch.calls.some(call => call.url === SITE_URL + 'locales/zh/notfound.json'));
+    assert.deepEqual(links().slice(0, 2), ['pages/about.html#contact-form', 'pages/about.html#faq-contact']);
+  });
+
+  it('takes the language from the path prefix and lists every page when nothing is close', async () => {
+    await load('en/xyz');
+
+    assert.equal(page.app.i18n.getLanguage(), 'en');
+    assert.equal(text('[data-not-found-heading]'), enNotFound.suggestions.popular);
+    assert.deepEqual(links(), [
+      'index.html',
+      'pages/features.html',
+      'pages/aigc.html',
+      'pages/community.html',
+      'pages/pricing.html',
+      'pages/about.html'
+    ]);
+    assert.equal(page.document.querySelector('.lang-switcher .lang-btn.active').textContent.trim(), 'EN');
+  });
+
+  it('searches the local index in the current language', async () => {
+    await load('pages/old-page.html');
+    const status = container.querySelector('[data-not-found-status]');
+    const cancel = zhPricing.faq.items.find(item => item.id === 'cancel');
+
+    search('取消');
+    assert.deepEqual(links(), ['pages/pricing.html#faq-cancel']);
+    assert.equal(text('[data-not-found-results] a'), `定价 ${cancel.question}`);
+    assert.equal(status.textContent, zhNotFound.search.results.replace('{count}', '1'));
+    assert.equal(container.querySelector('[data-not-found-heading]').hidden, true);
+
+    // 拼写错误也能找到
+    search('comunity');
+    assert.equal(links()[0], 'pages/community.html');
+
+    search('zzz');
+    assert.deepEqual(links(), []);
+    assert.equal(status.textContent, zhNotFound.search.noResults);
+
+    await page.app.i18n.setLanguage('en');
+    search('cancel');
+    assert.deepEqual(links(), ['pages/pricing.html#faq-cancel']);
+    assert.equal(status.textContent, '1 matching page');
+
+    search('');
+    assert.equal(status.textContent, '');
+    assert.equal(text('[data-not-found-heading]'), enNotFound.suggestions.popular);
+  });
+
+  it('does nothing on regular pages', async () => {
+    page = loadPage({ file: 'pages/pricing.html' });
+    await page.ready();
+    await page.app.modules.ready('notFound');
+
+    assert.equal(page.app.notFound.search('定价').length, 0);
+    assert.ok(!page.fetch.calls.some(call => call.url.indexOf('notfound.json') !== -1));
+  });
+});
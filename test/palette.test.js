@@ -0,0 +1,237 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile, SITE_URL } = require('./helpers/dom');
+
+const zhCommon = JSON.parse(readFile('locales/zh/common.json'));
+const enCommon = JSON.parse(readFile('locales/en/common.json'));
+
+describe('palette', () => {
+  let page;
+
+  /**
+   * 加载页面
+   * @param {object} opts - loadPage() 的参数
+   * @returns {Promise}
+   */
+  async function load(opts) {
+    page = loadPage(Object.assign({ file: 'pages/pricing.html' }, opts));
+    await page.ready();
+    await page.app.modules.ready('palette');
+  }
+
+  /**
+   * 在当前焦点元素上按键
+   * @param {string} key - 按键
+   * @param {object} modifiers - ctrlKey / metaKey 等
+   */
+  function press(key, modifiers) {
+    const target = page.document.activeElement || page.document.body;
+    target.dispatchEvent(new page.window.KeyboardEvent('keydown', Object.assign({ key, bubbles: true, cancelable: true }, modifiers)));
+  }
+
+  /**
+   * 用 Ctrl+K 打开面板，并等待索引建立
+   * @returns {Promise}
+   */
+  async function open() {
+    press('k', { ctrlKey: true });
+    await page.app.palette.search('');
+  }
+
+  /**
+   * 在输入框中输入
+   * @param {string} value - 关键词
+   */
+  function type(value) {
+    const input = page.document.querySelector('.palette-input');
+    input.value = value;
+    input.dispatchEvent(new page.window.Event('input', { bubbles: true }));
+  }
+
+  /**
+   * 列出的结果
+   * @returns {HTMLElement[]}
+   */
+  function options() {
+    return Array.from(page.document.querySelectorAll('.palette-option'));
+  }
+
+  /**
+   * 当前选中的结果
+   * @returns {HTMLElement}
+   */
+  function selected() {
+    return page.document.querySelector('.palette-option[aria-selected="true"]');
+  }
+
+  afterEach(() => page.close());
+
+  it('opens with Ctrl+K as a modal combobox and returns focus on Escape', async () => {
+    await load();
+    const link = page.document.querySelector('.nav a[href$="about.html"]');
+    link.focus();
+
+    await open();
+    const root = page.document.querySelector('.palette');
+    const input = root.querySelector('.palette-input');
+    const dialog = root.querySelector('[role="dialog"]');
+
+    assert.equal(page.app.palette.isOpen(), true);
+    assert.equal(dialog.getAttribute('aria-modal'), 'true');
+    assert.equal(page.document.getElementById(dialog.getAttribute('aria-labelledby')).textContent, zhCommon.palette.title);
+    assert.equal(page.document.activeElement, input);
+    assert.equal(input.getAttribute('role'), 'combobox');
+    assert.equal(input.placeholder, zhCommon.palette.placeholder);
+    assert.ok(page.document.body.classList.contains('palette-open'));
+
+    // 没有关键词时只列出操作，第一项被选中
+    assert.deepEqual(options().map(option => option.textContent), [
+      '前往首页', '前往功能', '前往AI 分析', '前往社区', '前往定价', '前往关于', '切换语言：English'
+    ]);
+    assert.equal(input.getAttribute('aria-activedescendant'), options()[0].id);
+
+    press('Escape');
+    assert.equal(page.app.palette.isOpen(), false);
+    assert.equal(root.hidden, true);
+    assert.equal(page.document.activeElement, link);
+    assert.ok(!page.document.body.classList.contains('palette-open'));
+
+    // 页头按钮与 Cmd+K
+    page.document.querySelector('[data-palette-open]').click();
+    assert.equal(page.app.palette.isOpen(), true);
+    press('k', { metaKey: true });
+    assert.equal(page.app.palette.isOpen(), false);
+  });
+
+  it('finds Chinese content by substring and character bigrams with highlighted snippets', async () => {
+    await load();
+    await open();
+    const status = page.document.querySelector('.palette-status');
+
+    type('取消');
+    assert.equal(options().length, 1);
+    assert.equal(options()[0].querySelector('.palette-option-page').textContent, '定价');
+    assert.deepEqual(Array.from(options()[0].querySelectorAll('mark')).map(mark => mark.textContent), ['取消', '取消']);
+    assert.equal(status.textContent, zhCommon.palette.results.replace('{count}', '1'));
+
+    // 词序不同也能命中
+    const results = await page.app.palette.search('比赛深度');
+    assert.equal(results[0].href, SITE_URL + 'pages/aigc.html#analysis');
+
+    type('语言');
+    assert.equal(options()[0].textContent, '切换语言：English');
+    assert.equal(page.document.querySelector('.palette-group-label').textContent, zhCommon.palette.groups.actions);
+
+    type('zzz');
+    assert.equal(options().length, 0);
+    assert.equal(status.textContent, zhCommon.palette.noResults);
+  });
+
+  it('rebuilds the index in the new language and tolerates typos', async () => {
+    await load();
+    await open();
+    await page.app.i18n.setLanguage('en');
+    await page.app.palette.search('');
+
+    assert.equal(page.document.querySelector('.palette-input').placeholder, enCommon.palette.placeholder);
+
+    type('cancle subscription');
+    assert.equal(options()[0].querySelector('.palette-option-title').textContent, 'Can I cancel anytime?');
+    assert.equal(page.document.querySelector('.palette-status').textContent, '1 result');
+
+    const results = await page.app.palette.search('pricing');
+    assert.deepEqual([results[0].kind, results[0].title], ['action', 'Go to Pricing']);
+    assert.equal(results[1].href, SITE_URL + 'pages/pricing.html');
+  });
+
+  it('discards an index started before the language changed', async () => {
+    // 中文的 AI 分析页文案迟迟不返回
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    await load({
+      routes: {
+        '/locales/zh/aigc.json': () => pending.then(() => new Response(readFile('locales/zh/aigc.json')))
+      }
+    });
+
+    press('k', { ctrlKey: true });
+    const stale = page.app.palette.search('weekly analysis');
+    await new Promise(resolve => page.window.setTimeout(resolve));
+    assert.ok(page.fetch.calls.some(call => call.url.endsWith('/locales/zh/aigc.json')));
+    await page.app.i18n.setLanguage('en');
+    release();
+
+    const results = await stale;
+    assert.equal(results[0].page, 'AI Analysis');
+    type('cancle subscription');
+    assert.equal(options()[0].querySelector('.palette-option-title').textContent, 'Can I cancel anytime?');
+    assert.equal(page.document.querySelector('.palette-status').textContent, '1 result');
+  });
+
+  it('shows an error when the index fails to build and retries on the next open', async () => {
+    await load();
+    const i18n = page.app.i18n;
+    const loadNamespaces = i18n.loadNamespaces;
+    i18n.loadNamespaces = () => {
+      i18n.loadNamespaces = loadNamespaces;
+      return Promise.reject(new Error('offline'));
+    };
+    const warn = page.window.console.warn;
+    page.window.console.warn = () => {};
+
+    await open();
+    type('取消');
+    assert.equal(page.document.querySelector('.palette-status').textContent, zhCommon.palette.error);
+    page.window.console.warn = warn;
+
+    press('Escape');
+    await open();
+    type('取消');
+    assert.equal(options().length, 1);
+    assert.equal(page.document.querySelector('.palette-status').textContent, zhCommon.palette.results.replace('{count}', '1'));
+  });
+
+  it('moves the selection with the arrow keys and runs it with Enter', async () => {
+    await load();
+    await open();
+
+    type('前往');
+    const count = options().length;
+    press('ArrowUp');
+    assert.equal(selected(), options()[count - 1]);
+    press('ArrowDown');
+    assert.equal(selected(), options()[0]);
+    press('ArrowDown');
+    assert.equal(page.document.querySelector('.palette-input').getAttribute('aria-activedescendant'), options()[1].id);
+
+    // Tab 留在面板中
+    press('Tab');
+    assert.equal(page.document.activeElement, page.document.querySelector('.palette-input'));
+
+    type('语言');
+    press('Enter');
+    assert.equal(page.app.palette.isOpen(), false);
+    await new Promise(resolve => page.window.addEventListener('languageChanged', resolve, { once: true }));
+    assert.equal(page.app.i18n.getLanguage(), 'en');
+  });
+
+  it('scrolls to anchors on the current page and navigates to other pages', async () => {
+    await load();
+    await open();
+
+    type('取消');
+    press('Enter');
+    assert.equal(page.window.location.hash, '#faq-cancel');
+
+    const visits = [];
+    page.app.router.navigate = url => visits.push(url);
+
+    await open();
+    type('深度分析');
+    options()[0].click();
+    assert.deepEqual(visits, [SITE_URL + 'pages/aigc.html#analysis']);
+    assert.equal(page.app.palette.isOpen(), false);
+  });
+});
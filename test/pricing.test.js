@@ -0,0 +1,139 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, readFile } = require('./helpers/dom');
+
+const zhPricing = JSON.parse(readFile('locales/zh/pricing.json'));
+const enPricing = JSON.parse(readFile('locales/en/pricing.json'));
+
+describe('pricing', () => {
+  let page;
+  let pricing;
+  let container;
+
+  /**
+   * 读取套餐卡片上的文字
+   * @param {string} id - 套餐 id
+   * @returns {object}
+   */
+  function card(id) {
+    const el = container.querySelector(`.pricing-card[data-plan="${id}"]`);
+    const text = selector => el.querySelector(selector).textContent.trim();
+    const badge = el.querySelector('.pricing-badge');
+    const note = el.querySelector('.pricing-note');
+
+    return {
+      el,
+      amount: text('.pricing-amount'),
+      period: text('.pricing-period'),
+      cta: text('.pricing-cta .btn'),
+      badge: badge.hidden ? null : badge.textContent,
+      note: note.hidden ? null : note.textContent,
+      features: Array.from(el.querySelectorAll('.pricing-feature')).map(li => li.textContent.trim())
+    };
+  }
+
+  /**
+   * 计费周期按钮
+   * @param {string} billing - 'month' 或 'year'
+   * @returns {HTMLButtonElement}
+   */
+  function toggle(billing) {
+    return container.querySelector(`.pricing-toggle-btn[data-billing="${billing}"]`);
+  }
+
+  beforeEach(async () => {
+    page = loadPage({ file: 'pages/pricing.html' });
+    await page.ready();
+    await page.app.modules.ready('pricing');
+
+    pricing = page.app.pricing;
+    container = page.document.querySelector('[data-pricing]');
+  });
+
+  afterEach(() => page.close());
+
+  it('renders the plans monthly in the currency of the current language', () => {
+    const free = card('free');
+    const premium = card('premium');
+
+    assert.equal(free.amount, '¥0');
+    assert.equal(free.period, zhPricing.period.forever);
+    assert.equal(free.features.length, 5);
+    assert.equal(free.features[4], zhPricing.features.weeklySummaries.replace('{count}', '5'));
+
+    assert.equal(premium.amount, '¥7');
+    assert.equal(premium.period, zhPricing.period.month);
+    assert.equal(premium.badge, zhPricing.badges.popular);
+    assert.equal(premium.cta, zhPricing.plans.premium.cta.month);
+    assert.equal(premium.note, null);
+    assert.ok(premium.el.classList.contains('popular'));
+    // 功能翻译中的受限标记保留为元素
+    assert.equal(premium.el.querySelector('.pricing-feature strong').textContent, '免费');
+
+    assert.equal(toggle('month').getAttribute('aria-pressed'), 'true');
+    assert.equal(container.querySelector('.pricing-save').textContent, '省 17%');
+  });
+
+  it('switches to yearly billing and shows the monthly equivalent and savings', () => {
+    const events = [];
+    container.addEventListener('billingChanged', e => events.push(e.detail.billing));
+
+    toggle('year').click();
+
+    const premium = card('premium');
+    assert.deepEqual(events, ['year']);
+    assert.equal(container.getAttribute('data-billing'), 'year');
+    assert.equal(toggle('year').getAttribute('aria-pressed'), 'true');
+    assert.equal(toggle('month').getAttribute('aria-pressed'), 'false');
+
+    assert.equal(premium.amount, '¥70');
+    assert.equal(premium.period, zhPricing.period.year);
+    assert.equal(premium.badge, zhPricing.badges.bestValue);
+    assert.equal(premium.cta, zhPricing.plans.premium.cta.year);
+    assert.equal(premium.note, '折合每月 ¥5.83 · 省 17%');
+    assert.equal(premium.features[1], zhPricing.features.priorityProcessing);
+
+    // 免费版不随计费周期变化
+    assert.equal(card('free').amount, '¥0');
+  });
+
+  it('re-formats prices when the language changes', async () => {
+    pricing.setBilling(container, 'year');
+    await page.app.i18n.setLanguage('en');
+
+    const premium = card('premium');
+    assert.equal(premium.amount, '$10');
+    assert.equal(premium.period, enPricing.period.year);
+    assert.equal(premium.note, '$0.83 per month, billed yearly · Save 17%');
+    assert.equal(toggle('year').textContent.replace(/\s+/g, ' ').trim(), 'Yearly Save 17%');
+    assert.equal(card('free').features[4], '5 AI analysis summaries per week (delayed)');
+  });
+
+  it('computes savings from the plan definition', () => {
+    const plan = { id: 'team', prices: { month: { CNY: 30, USD: 5 }, year: { CNY: 360, USD: 45 } } };
+
+    assert.equal(pricing.getSavings(plan, 'CNY'), 0);
+    assert.equal(pricing.getSavings(plan, 'USD'), 0.25);
+    assert.equal(pricing.getSavings({ id: 'free', prices: { forever: { USD: 0 } } }, 'USD'), 0);
+  });
+
+  it('renders replacement plans and falls back to USD when a price is missing', () => {
+    page.app.i18n.addTranslations('zh', 'pricing', Object.assign({}, zhPricing, {
+      plans: Object.assign({}, zhPricing.plans, { team: { name: '战队版', tagline: '五人同行', cta: '联系我们' } })
+    }));
+
+    pricing.setPlans([
+      { id: 'team', prices: { month: { USD: 5 }, year: { USD: 50 } }, features: ['forum'] }
+    ]);
+
+    const cards = container.querySelectorAll('.pricing-card');
+    const team = card('team');
+    assert.equal(cards.length, 1);
+    assert.equal(team.amount, 'US$5');
+    assert.equal(team.badge, null);
+    assert.deepEqual(team.features, [zhPricing.features.forum]);
+    assert.equal(container.querySelector('.pricing-save').textContent, '省 17%');
+  });
+});
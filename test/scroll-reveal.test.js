@@ -0,0 +1,147 @@
+'use strict';
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, flush } = require('./helpers/dom');
+
+const HTML = `<!DOCTYPE html>
+<html lang="zh-CN">
+<head><meta charset="UTF-8"><title>Reveal</title></head>
+<body>
+  <main id="main">
+    <div class="reveal" id="single"></div>
+    <div class="reveal" id="delayed" data-reveal-delay="50" data-reveal-duration="400"></div>
+    <div data-reveal-group="80">
+      <div class="reveal" id="first"></div>
+      <div class="reveal" id="second"></div>
+      <div class="reveal" id="third"></div>
+    </div>
+    <div class="reveal" id="repeat" data-reveal-repeat></div>
+    <div class="reveal" id="half" data-reveal-threshold="0.5"></div>
+  </main>
+</body>
+</html>`;
+
+describe('scrollReveal', () => {
+  let page;
+
+  /**
+   * 加载测试页面
+   * @param {object} media - matchMedia 的初始结果
+   * @returns {Promise}
+   */
+  async function load(media) {
+    page = loadPage({ html: HTML, media });
+    await page.ready();
+  }
+
+  /**
+   * 按 id 获取元素
+   * @param {...string} ids - 元素 id
+   * @returns {Element[]}
+   */
+  function byId(...ids) {
+    return ids.map(id => page.document.getElementById(id));
+  }
+
+  afterEach(() => page.close());
+
+  it('shows elements as they intersect and stops observing one-shot elements', async () => {
+    await load();
+    const [single] = byId('single');
+
+    assert.equal(page.IntersectionObserver.observing(single).length, 1);
+    assert.ok(!single.classList.contains('active'));
+
+    page.IntersectionObserver.trigger([single], { isIntersecting: true });
+
+    assert.ok(single.classList.contains('active'));
+    assert.equal(single.style.getPropertyValue('--reveal-delay'), '0ms');
+    assert.equal(page.IntersectionObserver.observing(single).length, 0);
+
+    // 离开视口后保持显示
+    page.IntersectionObserver.trigger([single], { isIntersecting: false });
+    assert.ok(single.classList.contains('active'));
+  });
+
+  it('applies per-element delay and duration', async () => {
+    await load();
+    const [delayed] = byId('delayed');
+
+    assert.equal(delayed.style.getPropertyValue('--reveal-duration'), '400ms');
+    page.IntersectionObserver.trigger([delayed], { isIntersecting: true });
+    assert.equal(delayed.style.getPropertyValue('--reveal-delay'), '50ms');
+  });
+
+  it('staggers a group in document order when it enters together', async () => {
+    await load();
+    const elements = byId('first', 'second', 'third');
+
+    page.IntersectionObserver.trigger([elements[2], elements[0], elements[1]], { isIntersecting: true });
+
+    assert.deepEqual(elements.map(el => el.style.getPropertyValue('--reveal-delay')), ['0ms', '80ms', '160ms']);
+    assert.ok(elements.every(el => el.classList.contains('active')));
+  });
+
+  it('hides repeat elements again when they leave the viewport', async () => {
+    await load();
+    const [repeat] = byId('repeat');
+
+    page.IntersectionObserver.trigger([repeat], { isIntersecting: true });
+    assert.ok(repeat.classList.contains('active'));
+    assert.equal(page.IntersectionObserver.observing(repeat).length, 1);
+
+    page.IntersectionObserver.trigger([repeat], { isIntersecting: false });
+    assert.ok(!repeat.classList.contains('active'));
+
+    page.IntersectionObserver.trigger([repeat], { isIntersecting: true });
+    assert.ok(repeat.classList.contains('active'));
+  });
+
+  it('waits for the element threshold before showing it', async () => {
+    await load();
+    const [half] = byId('half');
+    const observer = page.IntersectionObserver.observing(half)[0];
+
+    assert.deepEqual(Array.from(observer.options.threshold), [0, 0.5]);
+
+    page.IntersectionObserver.trigger([half], { isIntersecting: true, intersectionRatio: 0.2 });
+    assert.ok(!half.classList.contains('active'));
+
+    page.IntersectionObserver.trigger([half], { isIntersecting: true, intersectionRatio: 0.6 });
+    assert.ok(half.classList.contains('active'));
+  });
+
+  it('observes elements added later and releases removed ones', async () => {
+    await load();
+    const added = page.document.createElement('section');
+    added.innerHTML = '<div class="reveal" id="late"></div>';
+    page.document.getElementById('main').appendChild(added);
+    await flush();
+
+    const [late] = byId('late');
+    assert.equal(page.IntersectionObserver.observing(late).length, 1);
+
+    added.remove();
+    await flush();
+    assert.equal(page.IntersectionObserver.observing(late).length, 0);
+  });
+
+  it('shows everything at once when the user prefers reduced motion', async () => {
+    await load({ '(prefers-reduced-motion: reduce)': true });
+    const elements = page.document.querySelectorAll('.reveal');
+
+    assert.ok(Array.from(elements).every(el => el.classList.contains('active')));
+    assert.ok(Array.from(elements).every(el => page.IntersectionObserver.observing(el).length === 0));
+  });
+
+  it('reveals pending elements when reduced motion is switched on', async () => {
+    await load();
+    const [single] = byId('single');
+
+    page.matchMedia.set('(prefers-reduced-motion: reduce)', true);
+
+    assert.ok(single.classList.contains('active'));
+    assert.equal(page.IntersectionObserver.observing(single).length, 0);
+  });
+});
@@ -0,0 +1,150 @@
+'use strict';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, installClock } = require('./helpers/dom');
+
+describe('utils', () => {
+  let page;
+  let utils;
+  let clock;
+
+  beforeEach(async () => {
+    page = loadPage({ file: 'index.html' });
+    await page.ready();
+    utils = page.app.utils;
+    clock = installClock(page.window);
+    // 时钟从 0 开始，先推进一段时间，避免第一次调用落在节流窗口内
+    clock.tick(1000);
+  });
+
+  afterEach(() => page.close());
+
+  describe('throttle()', () => {
+    it('calls immediately, then once more at the end of the wait for the calls in between', () => {
+      const calls = [];
+      const throttled = utils.throttle(value => calls.push(value), 100);
+
+      throttled(1);
+      throttled(2);
+      throttled(3);
+      assert.deepEqual(calls, [1]);
+
+      clock.tick(99);
+      assert.deepEqual(calls, [1]);
+
+      // 窗口内只安排一次延迟调用，使用安排时的参数
+      clock.tick(1);
+      assert.deepEqual(calls, [1, 2]);
+    });
+
+    it('calls immediately again once the wait has passed', () => {
+      const calls = [];
+      const throttled = utils.throttle(value => calls.push(value), 100);
+
+      throttled(1);
+      clock.tick(150);
+      throttled(2);
+
+      assert.deepEqual(calls, [1, 2]);
+      assert.equal(clock.pending(), 0);
+    });
+
+    it('keeps the caller as this', () => {
+      const target = { hits: 0 };
+      target.hit = utils.throttle(function() {
+        this.hits++;
+      }, 100);
+
+      target.hit();
+      target.hit();
+      clock.tick(100);
+
+      assert.equal(target.hits, 2);
+    });
+  });
+
+  describe('debounce()', () => {
+    it('calls once with the latest arguments after the calls stop', () => {
+      const calls = [];
+      const debounced = utils.debounce(value => calls.push(value), 200);
+
+      debounced(1);
+      clock.tick(150);
+      debounced(2);
+      clock.tick(150);
+      assert.deepEqual(calls, []);
+
+      clock.tick(50);
+      assert.deepEqual(calls, [2]);
+
+      clock.tick(1000);
+      assert.deepEqual(calls, [2]);
+    });
+  });
+
+  describe('createAdapters()', () => {
+    it('picks the adapter by scheme and falls back to http', () => {
+      const adapters = utils.createAdapters({ http: 'http', mock: 'mock' });
+      adapters.register('slow', 'slow');
+
+      assert.equal(adapters.get('/api/contact'), 'http');
+      assert.equal(adapters.get('https://example.com/api'), 'http');
+      assert.equal(adapters.get('MOCK:contact?delay=1'), 'mock');
+      assert.equal(adapters.get('slow:matches'), 'slow');
+      assert.equal(adapters.get('ftp://example.com'), 'http');
+    });
+  });
+
+  describe('withTimeout()', () => {
+    it('aborts the request and rejects with a TimeoutError once the time is up', async () => {
+      let signal;
+      const result = utils.withTimeout(s => {
+        signal = s;
+        return new Promise(() => {});
+      }, 500).catch(err => err);
+
+      await Promise.resolve();
+      clock.tick(499);
+      assert.equal(signal.aborted, false);
+      clock.tick(1);
+
+      assert.equal((await result).name, 'TimeoutError');
+      assert.equal(signal.aborted, true);
+    });
+
+    it('resolves with the result and uses the given controller', async () => {
+      const controller = new page.window.AbortController();
+      const value = await utils.withTimeout(signal => signal === controller.signal && 'done', 500, controller);
+
+      assert.equal(value, 'done');
+      clock.tick(1000);
+      assert.equal(controller.signal.aborted, false);
+    });
+  });
+
+  describe('tokenize()', () => {
+    it('splits on anything but letters and digits, keeping runs of Chinese together', () => {
+      assert.deepEqual(Array.from(utils.tokenize('pages/Pricing.html#FAQ-2')), ['pages', 'pricing', 'html', 'faq', '2']);
+      assert.deepEqual(Array.from(utils.tokenize('深度分析，AI 教练')), ['深度分析', 'ai', '教练']);
+    });
+  });
+
+  describe('fuzzyMatch()', () => {
+    it('prefers exact words, then prefixes and substrings, then close spellings', () => {
+      const exact = utils.fuzzyMatch('cancel', 'Can I cancel?');
+      assert.deepEqual([exact.similarity, exact.start, exact.end], [1, 6, 12]);
+      assert.equal(utils.fuzzyMatch('sub', 'a subscription').similarity, 0.95);
+      assert.equal(utils.fuzzyMatch('script', 'a subscription').similarity, 0.9);
+      assert.equal(utils.fuzzyMatch('cancle', 'Can I cancel?').start, 6);
+    });
+
+    it('applies the given thresholds', () => {
+      assert.equal(utils.fuzzyMatch('c', 'cancel'), null);
+      assert.equal(utils.fuzzyMatch('cancellation', 'cancel'), null);
+      assert.ok(utils.fuzzyMatch('pricng', 'pricing', { minSimilarity: 0.8 }));
+      assert.equal(utils.fuzzyMatch('pricng', 'pricing', { minSimilarity: 0.99 }), null);
+      assert.ok(utils.fuzzyMatch('cancellation', 'cancel', { maxLengthDifference: 6, minSimilarity: 0.5 }));
+    });
+  });
+});